@@ -0,0 +1,113 @@
+/**
+ * LLM Configuration
+ * Declares the LLM providers and which one serves each task.
+ *
+ * Providers:
+ *   gemini - Google Gemini REST API (GEMINI_API_KEY)
+ *   openai - OpenAI Chat Completions (OPENAI_API_KEY)
+ *   local  - any OpenAI-compatible server, e.g. Ollama or llama.cpp
+ *            (LOCAL_LLM_URL, default http://localhost:11434/v1)
+ *
+ * LLM_PROVIDER picks the default provider for every task; per-task
+ * overrides use LLM_<TASK>_PROVIDER / LLM_<TASK>_MODEL, e.g.
+ *   LLM_PROVIDER=gemini
+ *   LLM_VERDICT_PROVIDER=local
+ *   LLM_VERDICT_MODEL=llama3.1:8b
+ */
+
+const isSet = (value, placeholder) => !!value && value !== placeholder;
+
+const providers = {
+  gemini: {
+    apiKey: process.env.GEMINI_API_KEY,
+    baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+    model: process.env.GEMINI_MODEL || 'gemini-2.5-flash',
+    configured: isSet(process.env.GEMINI_API_KEY, 'your_gemini_api_key_here')
+  },
+  openai: {
+    apiKey: process.env.OPENAI_API_KEY,
+    baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    structuredOutputs: true,
+    configured: !!process.env.OPENAI_API_KEY && process.env.OPENAI_API_KEY.startsWith('sk-')
+  },
+  local: {
+    apiKey: process.env.LOCAL_LLM_API_KEY,
+    baseUrl: process.env.LOCAL_LLM_URL || 'http://localhost:11434/v1',
+    model: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+    // Many local servers only support plain JSON mode, not json_schema
+    structuredOutputs: process.env.LOCAL_LLM_STRUCTURED_OUTPUTS === 'true',
+    // No key needed: selecting it for any task is enough
+    configured: !!process.env.LOCAL_LLM_URL || Object.keys(process.env).some(name =>
+      /^LLM_(\w+_)?PROVIDER$/.test(name) && process.env[name].trim().toLowerCase() === 'local'
+    )
+  }
+};
+
+// Per-task defaults: timeouts and sampling differ between a quick
+// structured extraction and a long-form verdict
+const tasks = {
+  ranking: { timeout: 15000, retries: 1, temperature: 0.1 },
+  verdict: { timeout: 20000, retries: 1, temperature: 0.7, maxTokens: 1024 },
+  queryParsing: { timeout: 4000, retries: 0, temperature: 0 },
+  comparison: { timeout: 30000, retries: 1, temperature: 0.3 }
+};
+
+const TASK_ENV = {
+  ranking: 'RANKING',
+  verdict: 'VERDICT',
+  queryParsing: 'QUERY',
+  comparison: 'COMPARISON'
+};
+
+/**
+ * Default provider: LLM_PROVIDER, else the first configured one
+ */
+function getDefaultProvider() {
+  const explicit = (process.env.LLM_PROVIDER || '').trim().toLowerCase();
+  if (explicit) return explicit;
+  return ['gemini', 'openai', 'local'].find(id => providers[id].configured) || 'gemini';
+}
+
+/**
+ * Resolves the provider, model and call settings for a task
+ * @param {string} task - 'ranking' | 'verdict' | 'queryParsing' | 'comparison'
+ * @returns {Object} { task, provider, model, timeout, retries, temperature, maxTokens, providerConfig }
+ */
+function getTaskConfig(task) {
+  const defaults = tasks[task];
+  if (!defaults) {
+    throw new Error(`Unknown LLM task "${task}"`);
+  }
+
+  const envName = TASK_ENV[task];
+  const provider = (process.env[`LLM_${envName}_PROVIDER`] || getDefaultProvider()).trim().toLowerCase();
+  const providerConfig = providers[provider];
+  if (!providerConfig) {
+    throw new Error(`Unknown LLM provider "${provider}" for task "${task}"`);
+  }
+
+  return {
+    task,
+    provider,
+    model: process.env[`LLM_${envName}_MODEL`] || providerConfig.model,
+    ...defaults,
+    providerConfig
+  };
+}
+
+function getLLMConfig() {
+  return {
+    providers: Object.fromEntries(
+      Object.entries(providers).map(([id, p]) => [id, { configured: p.configured, model: p.model }])
+    ),
+    tasks: Object.fromEntries(
+      Object.keys(tasks).map(task => {
+        const config = getTaskConfig(task);
+        return [task, { provider: config.provider, model: config.model }];
+      })
+    )
+  };
+}
+
+module.exports = { getTaskConfig, getLLMConfig, TASKS: Object.keys(tasks) };
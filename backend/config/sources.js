@@ -0,0 +1,91 @@
+/**
+ * Source Adapter Configuration
+ * Declares which source adapters the aggregator fans out to.
+ *
+ * Each entry references an adapter factory in services/sources by `id`
+ * (or by `adapter`, when several entries share a factory). `enabled`,
+ * `priority` and `timeout` override the adapter defaults, and `options` is
+ * passed straight to the factory.
+ *
+ * Stores that embed schema.org product data only need a search URL template
+ * for the generic 'structured' adapter. The built-in ones below are turned on
+ * with USE_STRUCTURED_DATA_STORES=true; STRUCTURED_DATA_STORES (JSON) adds
+ * more, e.g. STRUCTURED_DATA_STORES={"Poorvika":"https://www.poorvika.com/s?q={query}"}
+ *
+ * SOURCES (comma-separated adapter ids) overrides the per-adapter flags,
+ * e.g. SOURCES=amazon,flipkart,serpapi
+ */
+
+const SCRAPER_TIMEOUT = Number(process.env.SCRAPER_TIMEOUT_MS) || 6000;
+const USE_SERPAPI = process.env.USE_SERPAPI === 'true';
+const USE_AMAZON_FLIPKART_DIRECT = process.env.USE_AMAZON_FLIPKART_DIRECT === 'true';
+const USE_STRUCTURED_DATA_STORES = process.env.USE_STRUCTURED_DATA_STORES === 'true';
+
+// { store, searchUrl } for the structured adapter; {query} is URL-encoded
+const structuredDataStores = [
+  { id: 'croma', store: 'Croma', searchUrl: 'https://www.croma.com/searchB?q={query}' },
+  { id: 'reliancedigital', store: 'Reliance Digital', searchUrl: 'https://www.reliancedigital.in/search?q={query}' },
+  { id: 'tatacliq', store: 'Tata CLiQ', searchUrl: 'https://www.tatacliq.com/search/?searchCategory=all&text={query}' },
+  { id: 'vijaysales', store: 'Vijay Sales', searchUrl: 'https://www.vijaysales.com/search/{query}' }
+];
+
+function loadExtraStructuredStores() {
+  if (!process.env.STRUCTURED_DATA_STORES) return [];
+  try {
+    const parsed = JSON.parse(process.env.STRUCTURED_DATA_STORES);
+    return Object.entries(parsed).map(([store, searchUrl]) => ({
+      id: store.toLowerCase().replace(/[^a-z0-9]+/g, ''),
+      store,
+      searchUrl,
+      enabled: true
+    }));
+  } catch (error) {
+    console.error('❌ STRUCTURED_DATA_STORES is not valid JSON, ignoring it:', error.message);
+    return [];
+  }
+}
+
+const sources = [
+  {
+    id: 'amazon',
+    enabled: USE_AMAZON_FLIPKART_DIRECT,
+    priority: 10,
+    timeout: SCRAPER_TIMEOUT
+  },
+  {
+    id: 'flipkart',
+    enabled: USE_AMAZON_FLIPKART_DIRECT,
+    priority: 10,
+    timeout: SCRAPER_TIMEOUT
+  },
+  ...[...structuredDataStores, ...loadExtraStructuredStores()].map(({ id, store, searchUrl, enabled }) => ({
+    id,
+    adapter: 'structured',
+    enabled: enabled ?? USE_STRUCTURED_DATA_STORES,
+    priority: 20,
+    timeout: SCRAPER_TIMEOUT,
+    // The adapter spends what the search page leaves of this on product pages
+    options: { store, searchUrl, timeout: SCRAPER_TIMEOUT }
+  })),
+  {
+    id: 'serpapi',
+    enabled: USE_SERPAPI,
+    priority: 50,
+    timeout: SCRAPER_TIMEOUT
+  }
+];
+
+function getSourceConfig() {
+  const override = (process.env.SOURCES || '')
+    .split(',')
+    .map(s => s.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (override.length === 0) {
+    return sources;
+  }
+
+  return sources.map(entry => ({ ...entry, enabled: override.includes(entry.id) }));
+}
+
+module.exports = { getSourceConfig };
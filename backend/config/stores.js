@@ -0,0 +1,58 @@
+/**
+ * Store Shipping Configuration
+ * Delivery fees and free-shipping thresholds (in INR) used by the cart
+ * optimizer. Stores that aren't listed are treated as free delivery with
+ * `known: false`, so results can say the fee wasn't accounted for.
+ *
+ * STORE_FEES (JSON) overrides or adds entries, e.g.
+ * STORE_FEES={"amazon":{"deliveryFee":40,"freeShippingThreshold":499}}
+ */
+
+// Standard (non-member) delivery terms; these change, so keep them overridable
+const stores = {
+  amazon: { name: 'Amazon', deliveryFee: 40, freeShippingThreshold: 499 },
+  flipkart: { name: 'Flipkart', deliveryFee: 40, freeShippingThreshold: 500 },
+  croma: { name: 'Croma', deliveryFee: 0, freeShippingThreshold: null },
+  'reliance digital': { name: 'Reliance Digital', deliveryFee: 0, freeShippingThreshold: null }
+};
+
+function loadOverrides() {
+  if (!process.env.STORE_FEES) return {};
+  try {
+    const parsed = JSON.parse(process.env.STORE_FEES);
+    return Object.fromEntries(Object.entries(parsed).map(([id, fees]) => [id.toLowerCase(), fees]));
+  } catch (error) {
+    console.error('❌ STORE_FEES is not valid JSON, using defaults:', error.message);
+    return {};
+  }
+}
+
+const overrides = loadOverrides();
+
+/**
+ * Delivery terms for a store name as it appears on listings
+ * (e.g. "Amazon.in", "Flipkart")
+ * @param {string} store
+ * @returns {{ deliveryFee: number, freeShippingThreshold: number|null, known: boolean }}
+ */
+function getStoreFees(store) {
+  const name = (store || '').toLowerCase();
+  const entries = { ...stores };
+  Object.entries(overrides).forEach(([id, fees]) => {
+    entries[id] = { ...entries[id], ...fees };
+  });
+
+  const match = Object.entries(entries).find(([id]) => name.includes(id));
+  if (!match) {
+    return { deliveryFee: 0, freeShippingThreshold: null, known: false };
+  }
+
+  const [, fees] = match;
+  return {
+    deliveryFee: Number(fees.deliveryFee) || 0,
+    freeShippingThreshold: Number(fees.freeShippingThreshold) > 0 ? Number(fees.freeShippingThreshold) : null,
+    known: true
+  };
+}
+
+module.exports = { getStoreFees };
@@ -3,6 +3,9 @@
  * Validates environment variables on application startup
  */
 
+const { getSourceConfig } = require('./sources');
+const { getTaskConfig, TASKS } = require('./llm');
+
 function validateConfig() {
   const required = ['PORT'];
   const optional = [
@@ -12,10 +15,49 @@ function validateConfig() {
     'CACHE_TTL_SECONDS',
     'RATE_LIMIT_WINDOW_MS',
     'RATE_LIMIT_MAX_REQUESTS',
+    'COMPARE_RATE_LIMIT_MAX',
+    'CART_REVALIDATE_RATE_LIMIT_MAX',
+    'CART_REVALIDATE_TTL_SECONDS',
+    'CART_OPTIMIZE_RATE_LIMIT_MAX',
+    'LOOKUP_RATE_LIMIT_MAX',
+    'CHECKOUT_RATE_LIMIT_MAX',
+    'STORE_FEES',
+    'CHECKOUT_WEBHOOK_URL',
+    'CHECKOUT_WEBHOOK_SECRET',
     'SCRAPER_TIMEOUT_MS',
+    'BROWSER_POOL_SIZE',
+    'BROWSER_PAGE_MAX_USES',
+    'BROWSER_IDLE_TIMEOUT_MS',
+    'BROWSER_ACQUIRE_TIMEOUT_MS',
+    'SELECTORS_DIR',
+    'SELECTOR_DRIFT_WINDOW',
     'MAX_PRODUCTS_PER_STORE',
     'USE_SERPAPI',
-    'USE_WEB_SCRAPERS'
+    'USE_AMAZON_FLIPKART_DIRECT',
+    'USE_STRUCTURED_DATA_STORES',
+    'STRUCTURED_DATA_STORES',
+    'SOURCES',
+    'PRICE_HISTORY_DB',
+    'PRICE_HISTORY_MIN_INTERVAL_MS',
+    'CONVEX_URL',
+    'WATCHLIST_JOB_SECRET',
+    'WATCH_CHECK_INTERVAL_MS',
+    'ALERT_MAX_ATTEMPTS',
+    'NOTIFIERS',
+    'WATCH_WEBHOOK_URL',
+    'SMTP_HOST',
+    'SMTP_PORT',
+    'SMTP_USER',
+    'SMTP_PASS',
+    'SMTP_FROM',
+    'LLM_PROVIDER',
+    'GEMINI_MODEL',
+    'OPENAI_MODEL',
+    'OPENAI_BASE_URL',
+    'LOCAL_LLM_URL',
+    'LOCAL_LLM_MODEL',
+    'LOCAL_LLM_API_KEY',
+    'LOCAL_LLM_STRUCTURED_OUTPUTS'
   ];
   
   // Check required variables
@@ -40,21 +82,32 @@ function validateConfig() {
     warnings.push('   → Free tier: 100 searches/month');
   }
   
-  if (!process.env.OPENAI_API_KEY || !process.env.OPENAI_API_KEY.startsWith('sk-')) {
-    warnings.push('⚠️  OPENAI_API_KEY not configured - AI summaries disabled');
-  }
-  
-  if (!process.env.GEMINI_API_KEY || process.env.GEMINI_API_KEY === 'your_gemini_api_key_here') {
-    warnings.push('⚠️  GEMINI_API_KEY not configured - AI ranking disabled');
+  // LLM tasks: unknown provider names are fatal, unconfigured ones degrade
+  const llmTasks = TASKS.map(task => getTaskConfig(task));
+  const unconfigured = llmTasks.filter(t => !t.providerConfig.configured);
+  if (unconfigured.length > 0) {
+    warnings.push(`⚠️  No LLM configured for: ${unconfigured.map(t => `${t.task} (${t.provider})`).join(', ')}`);
+    warnings.push('   → Set GEMINI_API_KEY, OPENAI_API_KEY or LOCAL_LLM_URL; pick with LLM_PROVIDER');
+    warnings.push('   → Ranking and summaries fall back to local heuristics');
   }
   
   // Check if any data source is enabled
-  const useSerpAPI = process.env.USE_SERPAPI === 'true';
-  const useWebScrapers = process.env.USE_WEB_SCRAPERS === 'true';
+  const enabledSources = getSourceConfig().filter(s => s.enabled);
   
-  if (!useSerpAPI && !useWebScrapers) {
+  if (enabledSources.length === 0) {
     warnings.push('⚠️  No data sources enabled!');
     warnings.push('   → Set USE_SERPAPI=true in .env (recommended)');
+    warnings.push('   → Or list adapters explicitly, e.g. SOURCES=amazon,flipkart,serpapi');
+  }
+  
+  if (process.env.CONVEX_URL && !process.env.WATCHLIST_JOB_SECRET) {
+    warnings.push('⚠️  WATCHLIST_JOB_SECRET not set - price-drop watchlist disabled');
+    warnings.push('   → Set the same secret in .env and in the Convex dashboard');
+  }
+  
+  if (process.env.CHECKOUT_WEBHOOK_URL && !process.env.CHECKOUT_WEBHOOK_SECRET) {
+    warnings.push('⚠️  CHECKOUT_WEBHOOK_SECRET not set - checkout webhook requests are unsigned');
+    warnings.push('   → Set a shared secret so the automation can verify X-Findlee-Signature');
   }
   
   if (warnings.length > 0) {
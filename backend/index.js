@@ -1,12 +1,26 @@
 
 
 require('dotenv').config();
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const rateLimit = require('express-rate-limit');
 const NodeCache = require('node-cache');
 const { getProductResults } = require('./services/aggregator');
 const { getAccountInfo } = require('./services/serpapi');
+const { parseResultOptions, applyResultOptions } = require('./services/resultFilters');
+const priceHistory = require('./services/priceHistory');
+const priceWatcher = require('./services/priceWatcher');
+const llm = require('./services/llm');
+const { getLLMConfig } = require('./config/llm');
+const { parseCompareRequest, compareProducts } = require('./services/comparison');
+const { parseRevalidateRequest, revalidateItems } = require('./services/cartRevalidator');
+const { parseOptimizeRequest, optimizeCart } = require('./services/cartOptimizer');
+const { parseLookupRequest, lookupProduct } = require('./services/productLookup');
+const checkout = require('./services/checkout');
+const browserPool = require('./services/scrapers/browserPool');
+const { getDriftStatus } = require('./services/scrapers/drift');
+const { getEnabledAdapters } = require('./services/sources/registry');
 const { validateConfig } = require('./config/validator');
 
 const app = express();
@@ -32,15 +46,49 @@ const limiter = rateLimit({
 
 app.use('/api/', limiter);
 
+// Comparisons are LLM calls, so they get a tighter budget on top
+const compareLimiter = rateLimit({
+  windowMs: Number(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+  max: Number(process.env.COMPARE_RATE_LIMIT_MAX) || 20,
+  message: { error: 'Too many comparison requests, please try again later.' }
+});
+
+// Revalidation re-scrapes every item in the cart
+const revalidateLimiter = rateLimit({
+  windowMs: Number(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+  max: Number(process.env.CART_REVALIDATE_RATE_LIMIT_MAX) || 30,
+  message: { error: 'Too many cart revalidation requests, please try again later.' }
+});
+
+// Optimizing may look up every cart item at every store
+const optimizeLimiter = rateLimit({
+  windowMs: Number(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+  max: Number(process.env.CART_OPTIMIZE_RATE_LIMIT_MAX) || 20,
+  message: { error: 'Too many cart optimization requests, please try again later.' }
+});
+
+// A lookup reads a product page (in the browser for Flipkart) and runs a search
+const lookupLimiter = rateLimit({
+  windowMs: Number(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+  max: Number(process.env.LOOKUP_RATE_LIMIT_MAX) || 20,
+  message: { error: 'Too many lookup requests, please try again later.' }
+});
+
+// Each checkout can POST an order to the automation webhook
+const checkoutLimiter = rateLimit({
+  windowMs: Number(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+  max: Number(process.env.CHECKOUT_RATE_LIMIT_MAX) || 10,
+  message: { error: 'Too many checkout requests, please try again later.' }
+});
+
 // Cache setup
 const cacheTtl = Number(process.env.CACHE_TTL_SECONDS || 300);
 const cache = new NodeCache({ stdTTL: cacheTtl, checkperiod: 120 });
 
 // API key configuration checks
-const isOpenAIConfigured = !!process.env.OPENAI_API_KEY && 
-  process.env.OPENAI_API_KEY.startsWith('sk-');
-const isGeminiConfigured = !!process.env.GEMINI_API_KEY && 
-  process.env.GEMINI_API_KEY !== 'your_gemini_api_key_here';
+const llmConfig = getLLMConfig();
+const isOpenAIConfigured = llmConfig.providers.openai.configured;
+const isGeminiConfigured = llmConfig.providers.gemini.configured;
 const isSerpAPIConfigured = !!process.env.SERPAPI_KEY &&
   process.env.SERPAPI_KEY !== 'your_serpapi_key_here';
 
@@ -73,17 +121,144 @@ const validateQuery = (req, res, next) => {
   next();
 };
 
+// Filter, sort and pagination validation middleware
+const validateResultOptions = (req, res, next) => {
+  try {
+    req.resultOptions = parseResultOptions(req.query);
+    next();
+  } catch (error) {
+    res.status(400).json({ 
+      error: 'Invalid filter parameters',
+      message: error.message
+    });
+  }
+};
+
+// Compare request validation middleware
+const validateCompareRequest = (req, res, next) => {
+  try {
+    req.compareRequest = parseCompareRequest(req.body);
+    next();
+  } catch (error) {
+    res.status(400).json({ 
+      error: 'Invalid comparison request',
+      message: error.message
+    });
+  }
+};
+
+// Cart revalidation request validation middleware
+const validateRevalidateRequest = (req, res, next) => {
+  try {
+    req.revalidateItems = parseRevalidateRequest(req.body);
+    next();
+  } catch (error) {
+    res.status(400).json({ 
+      error: 'Invalid revalidation request',
+      message: error.message
+    });
+  }
+};
+
+// Cart optimization request validation middleware
+const validateOptimizeRequest = (req, res, next) => {
+  try {
+    req.optimizeRequest = parseOptimizeRequest(req.body);
+    next();
+  } catch (error) {
+    res.status(400).json({ 
+      error: 'Invalid optimization request',
+      message: error.message
+    });
+  }
+};
+
+// Checkout request validation middleware
+const validateCheckoutRequest = (req, res, next) => {
+  try {
+    req.checkoutRequest = checkout.parseCheckoutRequest(req.body);
+    next();
+  } catch (error) {
+    res.status(400).json({ 
+      error: 'Invalid checkout request',
+      message: error.message
+    });
+  }
+};
+
+// Product URL lookup validation middleware
+const validateLookupRequest = (req, res, next) => {
+  try {
+    req.lookupRequest = parseLookupRequest(req.query);
+    next();
+  } catch (error) {
+    res.status(400).json({ 
+      error: 'Invalid lookup request',
+      message: error.message
+    });
+  }
+};
+
+// Finds a product by id or productKey in cached search results, falling
+// back to the price history store
+const findProduct = (id) => {
+  for (const key of cache.keys().filter(k => k.startsWith('products:'))) {
+    const listings = (cache.get(key)?.products || []).flatMap(p => [p, ...(p.offers || [])]);
+    const match = listings.find(p => p.id === id || p.productKey === id);
+    if (match) return match;
+  }
+
+  const history = priceHistory.getHistory(id, { windows: [30], days: 30 });
+  if (!history) return null;
+  const latest = history.points[history.points.length - 1];
+  return { ...history.product, productKey: history.product.key, price: latest?.price, rating: latest?.rating, reviews: latest?.reviews };
+};
+
+// Cross-store offers for a listing from cached search results, or null
+const findOffers = (item) => {
+  for (const key of cache.keys().filter(k => k.startsWith('products:'))) {
+    const match = (cache.get(key)?.products || []).find(p =>
+      (p.offers || [p]).some(o => o.id === item.productId || (item.productKey && o.productKey === item.productKey))
+    );
+    if (match) return match.offers || [match];
+  }
+  return null;
+};
+
+// Aggregated results for a query, shared with /api/products through the cache
+const getCachedResults = async (query) => {
+  const cacheKey = `products:${query.toLowerCase()}`;
+  const cached = cache.get(cacheKey);
+  if (cached) return cached;
+
+  const fresh = await getProductResults(query);
+  const results = { products: fresh.items, summary: fresh.summary, metadata: fresh.metadata };
+  if (results.products.length > 0) {
+    cache.set(cacheKey, results);
+  }
+  return results;
+};
+
 // Health check endpoint
 app.get('/api/health', async (req, res) => {
   const serpInfo = isSerpAPIConfigured ? await getAccountInfo() : null;
+  // Scrapers whose selectors stopped matching the store's pages
+  const scrapers = getDriftStatus();
+  const degraded = Object.keys(scrapers).filter(store => scrapers[store].status === 'degraded');
   
   res.json({ 
     ok: true, 
+    status: degraded.length > 0 ? 'degraded' : 'ok',
+    degraded,
     message: 'ShopMate Backend is running!',
     config: {
       serpApiConfigured: isSerpAPIConfigured,
       openaiConfigured: isOpenAIConfigured,
       geminiConfigured: isGeminiConfigured,
+      llm: llmConfig,
+      priceHistoryEnabled: priceHistory.isEnabled(),
+      priceWatcherEnabled: priceWatcher.isConfigured(),
+      checkoutWebhookConfigured: checkout.isWebhookConfigured(),
       cacheEnabled: true,
       cacheTTL: cacheTtl
     },
@@ -93,7 +268,10 @@ app.get('/api/health', async (req, res) => {
       searchesUsed: serpInfo.searchesUsed,
       resetDate: serpInfo.resetDate
     } : null,
+    scrapers,
     stats: {
+      llmUsage: llm.getUsage().totals,
+      browserPool: browserPool.getStats(),
       cacheKeys: cache.keys().length,
       uptime: Math.round(process.uptime())
     }
@@ -101,7 +279,9 @@ app.get('/api/health', async (req, res) => {
 });
 
 // Main products endpoint
-app.get('/api/products', validateQuery, async (req, res) => {
+// Filters/sort/page apply to the cached aggregate, so every filter
+// combination of a query shares one cache entry
+app.get('/api/products', validateQuery, validateResultOptions, async (req, res) => {
   const startTime = Date.now();
   
   try {
@@ -109,34 +289,44 @@ app.get('/api/products', validateQuery, async (req, res) => {
     const cacheKey = `products:${query.toLowerCase()}`;
     
     // Check cache first
-    const cached = cache.get(cacheKey);
-    if (cached) {
+    let results = cache.get(cacheKey);
+    let source = 'cache';
+
+    if (results) {
       console.log('✓ Cache hit for:', query);
-      return res.json({ 
-        ...cached,
-        source: 'cache',
-        responseTime: Date.now() - startTime
-      });
+    } else {
+      // Fetch fresh results
+      console.log('⟳ Fetching fresh results for:', query);
+      const fresh = await getProductResults(query);
+      results = {
+        products: fresh.items,
+        summary: fresh.summary,
+        metadata: fresh.metadata
+      };
+      source = 'live';
+      
+      // Only cache successful results with products
+      if (results.products.length > 0) {
+        cache.set(cacheKey, results);
+      }
     }
 
-    // Fetch fresh results
-    console.log('⟳ Fetching fresh results for:', query);
-    const results = await getProductResults(query);
-    
-    // Only cache successful results with products
-    if (results.items.length > 0) {
-      cache.set(cacheKey, {
-        products: results.items,
-        summary: results.summary,
-        metadata: results.metadata
+    let page;
+    try {
+      page = applyResultOptions(query, results.products, req.resultOptions);
+    } catch (error) {
+      return res.status(400).json({ 
+        error: 'Invalid cursor',
+        message: error.message
       });
     }
     
     res.json({ 
-      products: results.items, 
+      products: page.items, 
       summary: results.summary, 
       metadata: results.metadata,
-      source: 'live',
+      pageInfo: page.pageInfo,
+      source,
       responseTime: Date.now() - startTime
     });
     
@@ -150,6 +340,212 @@ app.get('/api/products', validateQuery, async (req, res) => {
   }
 });
 
+// Writes a single Server-Sent Event
+const sendEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Streaming products endpoint (Server-Sent Events)
+// Emits: source, merged, ranked, verdict, done (or failed)
+app.get('/api/products/stream', validateQuery, async (req, res) => {
+  const startTime = Date.now();
+  const query = req.validQuery;
+  const cacheKey = `products:${query.toLowerCase()}`;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  req.on('close', () => { closed = true; });
+
+  const emit = (event, data) => {
+    if (!closed) sendEvent(res, event, data);
+  };
+
+  try {
+    // Replay cached results as a complete event sequence
+    const cached = cache.get(cacheKey);
+    if (cached) {
+      console.log('✓ Cache hit (stream) for:', query);
+      emit('merged', { items: cached.products, sources: cached.metadata.sources });
+      emit('ranked', { items: cached.products, rankedByAI: cached.metadata.rankedByAI, rankingMethod: cached.metadata.rankingMethod });
+      emit('verdict', { summary: cached.summary });
+      emit('done', { metadata: cached.metadata, source: 'cache', responseTime: Date.now() - startTime });
+      return res.end();
+    }
+
+    console.log('⟳ Streaming fresh results for:', query);
+    const results = await getProductResults(query, { onEvent: emit });
+
+    if (results.items.length > 0) {
+      cache.set(cacheKey, {
+        products: results.items,
+        summary: results.summary,
+        metadata: results.metadata
+      });
+    }
+
+    emit('done', { metadata: results.metadata, source: 'live', responseTime: Date.now() - startTime });
+  } catch (err) {
+    console.error('❌ Error in /api/products/stream:', err);
+    emit('failed', { error: 'Internal server error', message: err.message });
+  }
+
+  res.end();
+});
+
+// Price history endpoint
+// :id is a product identity key (e.g. amazon:B0CHX1W1XY), URL-encoded
+app.get('/api/products/:id/history', (req, res) => {
+  const windows = (req.query.windows || '7,30,90')
+    .split(',')
+    .map(Number);
+  const days = req.query.days === undefined ? undefined : Number(req.query.days);
+
+  if (windows.some(w => !Number.isInteger(w) || w < 1 || w > 365) ||
+      (days !== undefined && (!Number.isInteger(days) || days < 1 || days > 365))) {
+    return res.status(400).json({ 
+      error: 'Invalid history parameters',
+      message: 'windows and days must be whole numbers of days between 1 and 365'
+    });
+  }
+
+  if (!priceHistory.isEnabled()) {
+    return res.status(503).json({ 
+      error: 'Price history unavailable',
+      message: 'The price history database could not be opened'
+    });
+  }
+
+  const history = priceHistory.getHistory(req.params.id, { windows, days });
+  if (!history) {
+    return res.status(404).json({ 
+      error: 'Product not found',
+      message: `No price history recorded for ${req.params.id}`
+    });
+  }
+
+  res.json(history);
+});
+
+// Single product endpoint, used to restore shared comparison links
+// :id is a listing ID or identity key, URL-encoded
+app.get('/api/products/:id', (req, res) => {
+  const product = findProduct(req.params.id);
+  if (!product) {
+    return res.status(404).json({ 
+      error: 'Product not found',
+      message: `No recent listing found for ${req.params.id}`
+    });
+  }
+
+  res.json({ product });
+});
+
+// Product comparison endpoint
+// Body: { prompt: "iphone 15 vs pixel 8" } or { products: [id | snapshot, ...] }
+app.post('/api/compare', compareLimiter, validateCompareRequest, async (req, res) => {
+  const startTime = Date.now();
+  const request = req.compareRequest;
+
+  if (request.products) {
+    const missing = [];
+    request.products = request.products.map(product => {
+      if (typeof product !== 'string') return product;
+      const found = findProduct(product);
+      if (!found) missing.push(product);
+      return found;
+    });
+
+    if (missing.length > 0) {
+      return res.status(404).json({ 
+        error: 'Product not found',
+        message: `Unknown product IDs: ${missing.join(', ')}. Send a product snapshot instead.`
+      });
+    }
+  }
+
+  const cacheKey = `compare:${crypto.createHash('sha1').update(JSON.stringify(request)).digest('hex')}`;
+  const cached = cache.get(cacheKey);
+  if (cached) {
+    return res.json({ comparison: cached, source: 'cache', responseTime: Date.now() - startTime });
+  }
+
+  try {
+    const comparison = await compareProducts(request);
+    if (comparison.generatedBy === 'ai') {
+      cache.set(cacheKey, comparison);
+    }
+    res.json({ comparison, source: 'live', responseTime: Date.now() - startTime });
+  } catch (err) {
+    console.error('❌ Error in /api/compare:', err.message);
+    res.status(503).json({ 
+      error: 'Comparison unavailable',
+      message: err.message,
+      responseTime: Date.now() - startTime
+    });
+  }
+});
+
+// Product URL lookup endpoint: the linked product's offers at other stores
+// e.g. ?url=https://www.amazon.in/dp/B0CHX1W1XY
+app.get('/api/lookup', lookupLimiter, validateLookupRequest, async (req, res) => {
+  const startTime = Date.now();
+  const cacheKey = `lookup:${req.lookupRequest.url}`;
+
+  const cached = cache.get(cacheKey);
+  if (cached) {
+    return res.json({ ...cached, source: 'cache', responseTime: Date.now() - startTime });
+  }
+
+  try {
+    const lookup = await lookupProduct(req.lookupRequest, { getResults: getCachedResults });
+    if (lookup.product.detailsSource === 'page') {
+      cache.set(cacheKey, lookup);
+    }
+    res.json({ ...lookup, source: 'live', responseTime: Date.now() - startTime });
+  } catch (err) {
+    console.error('❌ Error in /api/lookup:', err.message);
+    res.status(err.status || 500).json({ 
+      error: err.status ? 'Lookup failed' : 'Internal server error',
+      message: err.message,
+      responseTime: Date.now() - startTime
+    });
+  }
+});
+
+// Cart price revalidation endpoint
+// Body: { items: [{ productId, productKey, title, store, price }] }
+app.post('/api/cart/revalidate', revalidateLimiter, validateRevalidateRequest, async (req, res) => {
+  const startTime = Date.now();
+  const items = await revalidateItems(req.revalidateItems);
+  res.json({ items, responseTime: Date.now() - startTime });
+});
+
+// Cart optimization endpoint: cheapest store for each item, with delivery fees
+// Body: { items: [{ productId, productKey, title, store, price, quantity }],
+//         maxStores?: 2, preferStores?: ['Amazon'] }
+app.post('/api/cart/optimize', optimizeLimiter, validateOptimizeRequest, async (req, res) => {
+  const startTime = Date.now();
+  const plan = await optimizeCart(req.optimizeRequest, { findOffers });
+  res.json({ plan, responseTime: Date.now() - startTime });
+});
+
+// Checkout handoff endpoint: per-store cart links plus the optional
+// automation webhook
+// Body: { items: [{ productId, productKey, title, store, price, quantity, link }],
+//         shippingAddress?: {...}, currency?: 'INR' }
+app.post('/api/checkout', checkoutLimiter, validateCheckoutRequest, async (req, res) => {
+  const startTime = Date.now();
+  const order = await checkout.createCheckout(req.checkoutRequest);
+  res.json({ order, responseTime: Date.now() - startTime });
+});
+
 // SerpAPI account info endpoint
 app.get('/api/serpapi/account', async (req, res) => {
   try {
@@ -208,6 +604,12 @@ app.listen(port, async () => {
   console.log(`📡 Server:        http://localhost:${port}`);
   console.log(`💚 Health Check:  http://localhost:${port}/api/health`);
   console.log(`🔍 Search:        http://localhost:${port}/api/products?q=laptop`);
+  console.log(`🌊 Stream:        http://localhost:${port}/api/products/stream?q=laptop`);
+  console.log(`🔗 Lookup:        http://localhost:${port}/api/lookup?url=https://www.amazon.in/dp/B0CHX1W1XY`);
+  console.log(`⚖️  Compare:       POST http://localhost:${port}/api/compare`);
+  console.log(`🛒 Cart check:    POST http://localhost:${port}/api/cart/revalidate`);
+  console.log(`🧮 Cart optimize: POST http://localhost:${port}/api/cart/optimize`);
+  console.log(`🧾 Checkout:      POST http://localhost:${port}/api/checkout`);
   console.log('='.repeat(60));
   console.log(`🌐 SerpAPI:       ${isSerpAPIConfigured ? '✓ Configured' : '✗ Not configured'}`);
   
@@ -224,6 +626,17 @@ app.listen(port, async () => {
   
   console.log(`🤖 OpenAI:        ${isOpenAIConfigured ? '✓ Configured' : '✗ Not configured'}`);
   console.log(`🧠 Gemini:        ${isGeminiConfigured ? '✓ Configured' : '✗ Not configured'}`);
+  Object.entries(llmConfig.tasks).forEach(([task, { provider, model }]) => {
+    const ready = llmConfig.providers[provider].configured;
+    console.log(`   ${(task + ':').padEnd(15)}${provider}/${model}${ready ? '' : ' (not configured)'}`);
+  });
   console.log(`💾 Cache TTL:     ${cacheTtl} seconds`);
+  console.log(`🧾 Checkout hook: ${checkout.isWebhookConfigured() ? '✓ Sending orders to CHECKOUT_WEBHOOK_URL' : '✗ Not configured (CHECKOUT_WEBHOOK_URL)'}`);
+  const browserAdapters = getEnabledAdapters().filter(a => a.capabilities.browser);
+  if (browserAdapters.length > 0) {
+    console.log(`🌐 Browser pool:  Warming up for ${browserAdapters.map(a => a.name).join(', ')}`);
+    browserPool.warmUp();
+  }
+  console.log(`👀 Watchlist:     ${priceWatcher.startPriceWatcher() ? '✓ Re-checking watched prices' : '✗ Not configured (CONVEX_URL, WATCHLIST_JOB_SECRET)'}`);
   console.log('='.repeat(60) + '\n');
 });
\ No newline at end of file
@@ -0,0 +1,57 @@
+/**
+ * Checkout Webhook Stand-in
+ * A local receiver for the checkout automation webhook, for trying out
+ * checkout without n8n/Zapier. Logs each order and checks its signature.
+ *
+ *   npm run checkout:stub        (listens on CHECKOUT_STUB_PORT, default 4100)
+ *   CHECKOUT_WEBHOOK_URL=http://localhost:4100/checkout npm start
+ *
+ * Set the same CHECKOUT_WEBHOOK_SECRET for both to verify signatures.
+ * Requests with a bad or missing signature get a 401 when a secret is set.
+ */
+
+require('dotenv').config();
+const http = require('http');
+const crypto = require('crypto');
+const { signPayload } = require('../services/checkout');
+
+const port = Number(process.env.CHECKOUT_STUB_PORT) || 4100;
+const secret = process.env.CHECKOUT_WEBHOOK_SECRET;
+
+function isValidSignature(body, headers) {
+  const signature = headers['x-findlee-signature'] || '';
+  const timestamp = headers['x-findlee-timestamp'] || '';
+  const expected = signPayload(body, secret, timestamp);
+  return signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method !== 'POST') {
+    res.writeHead(405).end();
+    return;
+  }
+
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    if (secret && !isValidSignature(body, req.headers)) {
+      console.warn('⚠️  Rejected checkout webhook: bad signature');
+      res.writeHead(401, { 'Content-Type': 'application/json' }).end(JSON.stringify({ error: 'Invalid signature' }));
+      return;
+    }
+
+    try {
+      const { order } = JSON.parse(body);
+      console.log(`🧾 Order ${order.orderId}: ₹${order.total} (${order.itemCount} items)${secret ? ' ✓ signature' : ''}`);
+      order.stores.forEach(s => console.log(`   ${s.store}: ₹${s.subtotal} via ${s.handoff.type === 'cart' ? s.handoff.url : 'product links'}`));
+      res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify({ ok: true }));
+    } catch (error) {
+      res.writeHead(400, { 'Content-Type': 'application/json' }).end(JSON.stringify({ error: error.message }));
+    }
+  });
+});
+
+server.listen(port, () => {
+  console.log(`🧾 Checkout webhook stand-in listening on http://localhost:${port}${secret ? ' (verifying signatures)' : ''}`);
+});
@@ -0,0 +1,146 @@
+/**
+ * Parser Fixture Recorder
+ * Saves a live search results page as a test fixture (test/support/fixtures.js)
+ * together with what the parser extracts from it. Re-recording an existing
+ * fixture bumps its version and prints a diff report of the extracted output,
+ * also written to test/reports/<store>-<name>.txt.
+ *
+ *   npm run test:record -- amazon "wireless earbuds"
+ *   npm run test:record -- flipkart "iphone 15" --name iphone-15
+ *   npm run test:record -- --update                  (every fixture)
+ *   npm run test:record -- --update amazon/wireless-earbuds
+ *
+ * --update re-extracts from the saved HTML instead of fetching, to accept a
+ * parser change after reviewing `npm test` failures. Pages the parser finds
+ * nothing on are not saved unless --force is given.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const amazon = require('../services/scrapers/amazon');
+const flipkart = require('../services/scrapers/flipkart');
+const browserPool = require('../services/scrapers/browserPool');
+const {
+  extract,
+  listFixtures,
+  loadFixture,
+  saveFixture,
+  diffExtractions,
+  hasChanges,
+  formatDiffReport
+} = require('../test/support/fixtures');
+
+const REPORT_DIR = path.join(__dirname, '..', 'test', 'reports');
+
+// Same URLs and blocked-page checks as the scrapers
+const SOURCES = {
+  amazon: {
+    searchUrl: query => `${amazon.BASE_URL}/s?k=${encodeURIComponent(query)}`,
+    fetchHtml: async (url) => {
+      const res = await fetch(url, { headers: amazon.REQUEST_HEADERS });
+      if (!res.ok) throw new Error(`Amazon returned status ${res.status}`);
+      const html = await res.text();
+      if (html.includes('Robot Check') || html.includes('captcha')) {
+        throw new Error('Amazon bot detection triggered');
+      }
+      return html;
+    }
+  },
+  flipkart: {
+    searchUrl: query => `https://www.flipkart.com/search?q=${encodeURIComponent(query)}`,
+    fetchHtml: async (url) => {
+      const html = await flipkart.fetchPageContentWithBrowser(url, {});
+      if (!html || html.length < 1000 || html.includes('Access Denied') || html.toLowerCase().includes('blocked')) {
+        throw new Error('Flipkart returned a blocked/empty page');
+      }
+      return html;
+    }
+  }
+};
+
+const slugify = text => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+function parseArgs(argv) {
+  const args = { positional: [], update: false, force: false, name: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--update') args.update = true;
+    else if (argv[i] === '--force') args.force = true;
+    else if (argv[i] === '--name') args.name = argv[++i];
+    else args.positional.push(argv[i]);
+  }
+  return args;
+}
+
+// Saves the fixture and reports how its extracted output changed
+function record(store, name, html, { query, url }, previous, force) {
+  const items = extract(store, html);
+  if (items.length === 0 && !force) {
+    throw new Error(`The ${store} parser found no products; not saving (use --force to keep it anyway)`);
+  }
+
+  const version = previous ? previous.meta.version + 1 : 1;
+  const label = `${store}/${name} v${previous ? previous.meta.version : 0} -> v${version}`;
+  const diff = diffExtractions(previous ? previous.meta.items : [], items);
+  const report = formatDiffReport(label, diff);
+
+  if (previous && !hasChanges(diff) && previous.html === html) {
+    console.log(`✓ ${store}/${name}: unchanged, still v${previous.meta.version}`);
+    return;
+  }
+
+  saveFixture(store, name, html, {
+    store,
+    query,
+    url,
+    version,
+    // --update re-extracts the same page, which keeps its recording time
+    // (and its synthetic note, if it was never recorded live)
+    recordedAt: previous && previous.html === html ? previous.meta.recordedAt : new Date().toISOString(),
+    ...(previous && previous.html === html && previous.meta.synthetic && { synthetic: previous.meta.synthetic }),
+    items
+  });
+  console.log(`💾 Saved ${store}/${name} v${version} (${items.length} products)`);
+  console.log(report);
+
+  if (previous && hasChanges(diff)) {
+    fs.mkdirSync(REPORT_DIR, { recursive: true });
+    const reportPath = path.join(REPORT_DIR, `${store}-${name}.txt`);
+    fs.writeFileSync(reportPath, report + '\n');
+    console.log(`📝 Diff report: ${path.relative(process.cwd(), reportPath)}`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.update) {
+    const fixtures = args.positional.length > 0
+      ? args.positional.map(id => loadFixture(...id.split('/')) || { missing: id })
+      : listFixtures();
+    fixtures.forEach(fixture => {
+      if (fixture.missing) throw new Error(`No fixture named ${fixture.missing}`);
+      record(fixture.store, fixture.name, fixture.html, fixture.meta, fixture, true);
+    });
+    return;
+  }
+
+  const [store, query] = args.positional;
+  const source = SOURCES[store];
+  if (!source || !query) {
+    throw new Error(`Usage: recordFixture.js <${Object.keys(SOURCES).join('|')}> "<query>" [--name <name>] [--force]`);
+  }
+
+  const name = args.name || slugify(query);
+  const url = source.searchUrl(query);
+  console.log(`🔍 Recording ${store} results for "${query}" from ${url}`);
+  const html = await source.fetchHtml(url);
+  record(store, name, html, { query, url }, loadFixture(store, name), args.force);
+}
+
+main()
+  .catch(error => {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => browserPool.closeAll());
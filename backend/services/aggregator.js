@@ -1,13 +1,12 @@
-const { searchGoogleShopping } = require('./serpapi');
-const { scrapeAmazon } = require('./scrapers/amazon');
-const { scrapeFlipkart } = require('./scrapers/flipkart');
-const { rankProducts } = require('./product_ranker');
+const { getEnabledAdapters } = require('./sources/registry');
+const { matchProducts } = require('./productMatcher');
+const { assessDiscounts } = require('./discountCredibility');
+const { parseQuery, applyParsedConstraints } = require('./queryParser');
+const { getProductKey } = require('./productIdentity');
+const { recordListings } = require('./priceHistory');
+const { rankProducts, rankProductsLocally } = require('./product_ranker');
 const { aiVerdict } = require('./aiAdvisor');
 
-const SCRAPER_TIMEOUT = Number(process.env.SCRAPER_TIMEOUT_MS) || 6000;
-const USE_SERPAPI = process.env.USE_SERPAPI === 'true';
-const USE_AMAZON_FLIPKART_DIRECT = process.env.USE_AMAZON_FLIPKART_DIRECT === 'true';
-
 /**
  * Wraps a promise with a timeout
  */
@@ -21,175 +20,151 @@ function withTimeout(promise, ms) {
 }
 
 /**
- * Deduplicates products based on title similarity and price
+ * Runs a single adapter's search, never rejecting
+ * @returns {Promise<{adapter: Object, items: Array<Object>, error?: string}>}
  */
-function deduplicateProducts(products) {
-  const seen = new Map();
-  return products.filter(p => {
-    const key = `${p.title.toLowerCase().slice(0, 50).trim()}_${p.price}`;
-    if (seen.has(key)) return false;
-    seen.set(key, true);
-    return true;
-  });
+async function runAdapter(adapter, query) {
+  try {
+    const data = await withTimeout(adapter.search(query), adapter.timeout);
+    return { adapter, items: Array.isArray(data) ? data : [] };
+  } catch (err) {
+    if (err.message === 'Timeout') {
+      console.error(`⏱️  ${adapter.name} timeout after ${adapter.timeout}ms`);
+    } else {
+      console.error(`❌ ${adapter.name} error:`, err.message);
+    }
+    return { adapter, items: [], error: err.message };
+  }
 }
 
 /**
- * [CRITICAL FALLBACK FIX] Filters out low-priced, generic accessories
- * This is ONLY used if the AI ranking fails to prevent price-sort takeover.
+ * Drops listings from multi-store adapters (e.g. SerpAPI) for stores that a
+ * direct adapter already covers, so direct links win.
  */
-function simpleAccessoryFilter(query, products) {
-    const queryLower = query.toLowerCase();
-    
-    // Only apply the filter if the query is for a primary product (not an accessory itself)
-    const isPrimaryQuery = !queryLower.includes('case') && 
-                           !queryLower.includes('cover') &&
-                           !queryLower.includes('charger') &&
-                           !queryLower.includes('cable') &&
-                           !queryLower.includes('protector') &&
-                           !queryLower.includes('stand');
-
-    if (!isPrimaryQuery) {
-        return products; // Don't filter if the user is explicitly looking for an accessory
-    }
+function excludeDirectStores(items, adapter, adapters) {
+  if (!adapter.capabilities.multiStore) return items;
 
-    const filtered = products.filter(p => {
-        const titleLower = p.title.toLowerCase();
-        
-        // Define common accessory keywords
-        const isAccessory = titleLower.includes('case') || 
-                            titleLower.includes('cover') ||
-                            titleLower.includes('protector') || 
-                            titleLower.includes('charger') ||
-                            titleLower.includes('cable') ||
-                            titleLower.includes('stand'); 
-        
-        // If it's a known accessory AND it's below a low price threshold (e.g., ₹1000), filter it out.
-        if (isAccessory && p.price < 1000) {
-            return false;
-        }
-        
-        return true;
-    });
-
-    const removedCount = products.length - filtered.length;
-    if (removedCount > 0) {
-        console.log(`⚠️  Applied Simple Accessory Filter: Removed ${removedCount} low-cost accessories.`);
-    }
+  const directStores = adapters
+    .filter(a => a !== adapter)
+    .flatMap(a => a.capabilities.stores)
+    .map(s => s.toLowerCase());
 
-    return filtered;
+  if (directStores.length === 0) return items;
+
+  const filtered = items.filter(p => {
+    const store = (p.store || '').toLowerCase();
+    return !directStores.some(ds => store.includes(ds));
+  });
+
+  const removed = items.length - filtered.length;
+  if (removed > 0) {
+    console.log(`   🔄 Filtered out ${removed} duplicate direct-store items from ${adapter.name}`);
+  }
+
+  return filtered;
 }
 
+/**
+ * Applies the multi-store filter and builds the metadata.sources entry
+ * for one finished adapter
+ */
+function collectSource({ adapter, items: data, error }, adapters) {
+  const accepted = excludeDirectStores(data, adapter, adapters);
+  const directLinks = accepted.filter(p => p.link && !p.link.includes('google.com')).length;
+
+  if (accepted.length > 0) {
+    console.log(`   ✓ ${adapter.name}: ${accepted.length} products (${directLinks} direct)`);
+    return {
+      items: accepted,
+      source: {
+        name: adapter.name,
+        count: accepted.length,
+        directLinks,
+        redirectLinks: accepted.length - directLinks,
+        type: adapter.type
+      }
+    };
+  }
+
+  console.log(`   ⚠️  ${adapter.name}: 0 products${error ? ` (${error})` : ' (source may be blocked)'}`);
+  return {
+    items: [],
+    source: { name: adapter.name, count: 0, type: 'failed', ...(error && { error }) }
+  };
+}
 
 /**
  * Main aggregation function
- * Strategy: Amazon & Flipkart direct scrapers + SerpAPI for everything else
+ * Strategy: fan out to every enabled source adapter, then merge, dedupe and rank
+ *
+ * Progress is reported through `options.onEvent(event, data)` as each stage
+ * finishes, in this order:
+ *   'source'  - once per adapter: { source, items }
+ *   'merged'  - matched + deduplicated list: { items, sources }
+ *   'ranked'  - final ordering: { items, rankedByAI, rankingMethod }
+ *   'verdict' - AI summary text: { summary }
+ *
+ * @param {string} query - Search query
+ * @param {Object} [options]
+ * @param {function(string, Object): void} [options.onEvent] - Stage listener
  */
-async function getProductResults(query) {
+async function getProductResults(query, options = {}) {
   console.log('🔍 Aggregating products for:', query);
   const startTime = Date.now();
+  const emit = (event, data) => {
+    if (options.onEvent) options.onEvent(event, data);
+  };
 
   let items = [];
-  const sources = [];
-
-  // STEP 1: Direct scrapers for Amazon & Flipkart ONLY (guaranteed direct links)
-  if (USE_AMAZON_FLIPKART_DIRECT) {
-    console.log('🎯 Scraping Amazon & Flipkart directly...');
-    
-    const directScrapers = [
-      { name: 'Amazon', fn: scrapeAmazon },
-      { name: 'Flipkart', fn: scrapeFlipkart }
-    ];
-
-    const scraperPromises = directScrapers.map(({ name, fn }) =>
-      withTimeout(
-        fn(query).catch(err => {
-          console.error(`❌ ${name} scraper error:`, err.message);
-          return [];
-        }),
-        SCRAPER_TIMEOUT
-      ).catch(err => {
-        console.error(`⏱️  ${name} timeout after ${SCRAPER_TIMEOUT}ms`);
-        return [];
-      })
-    );
-
-    const results = await Promise.allSettled(scraperPromises);
-
-    results.forEach((result, idx) => {
-      const name = directScrapers[idx].name;
-      const data = result.status === 'fulfilled' ? result.value : [];
-      
-      if (data.length > 0) {
-        items.push(...data);
-        sources.push({ name, count: data.length, type: 'direct' });
-        console.log(`   ✓ ${name}: ${data.length} products (direct links)`);
-      } else {
-        sources.push({ name, count: 0, type: 'failed' });
-        console.log(`   ⚠️  ${name}: 0 products (scraper may be blocked)`);
-      }
-    });
-
-    // If both scrapers failed, log a warning
-    if (items.length === 0) {
-      console.log('   ⚠️  Amazon & Flipkart scrapers returned no results (likely blocked)');
-      console.log('   📡 Relying on SerpAPI for all results...');
-    }
-  }
+  const adapters = getEnabledAdapters();
 
-  // STEP 2: SerpAPI for ALL other stores (eBay, Myntra, JioMart, Walmart, etc.)
-  if (USE_SERPAPI) {
-    console.log('📡 Using SerpAPI for other stores (eBay, Myntra, JioMart, etc.)...');
-    try {
-      const serpResults = await withTimeout(
-        searchGoogleShopping(query),
-        SCRAPER_TIMEOUT
-      );
-      
-      // Filter out Amazon & Flipkart from SerpAPI if we already scraped them directly
-      let filteredResults = serpResults;
-      if (USE_AMAZON_FLIPKART_DIRECT) {
-        const directStores = ['amazon', 'flipkart'];
-        filteredResults = serpResults.filter(p => {
-          const store = p.store.toLowerCase();
-          // Filter out items whose store name contains 'amazon' or 'flipkart'
-          return !directStores.some(ds => store.includes(ds)); 
-        });
-        
-        const filtered = serpResults.length - filteredResults.length;
-        if (filtered > 0) {
-          console.log(`   🔄 Filtered out ${filtered} duplicate Amazon/Flipkart items from SerpAPI`);
-        }
-      }
-      
-      // Count link types
-      const directLinks = filteredResults.filter(p => !p.link.includes('google.com')).length;
-      const redirectLinks = filteredResults.length - directLinks;
-      
-      items.push(...filteredResults);
-      sources.push({ 
-        name: 'SerpAPI (Other Stores)', 
-        count: filteredResults.length,
-        directLinks,
-        redirectLinks,
-        type: 'serpapi'
-      });
-      console.log(`   ✓ SerpAPI: ${filteredResults.length} products (${directLinks} direct, ${redirectLinks} redirects)`);
-    } catch (error) {
-      console.error('❌ SerpAPI error:', error.message);
-      sources.push({ name: 'SerpAPI', count: 0, error: error.message });
-    }
+  // STEP 0: Understand the query - core terms go upstream, constraints filter later
+  const parsedQuery = await parseQuery(query);
+  const searchQuery = parsedQuery.searchQuery;
+  if (searchQuery !== query) {
+    console.log(`🧩 Parsed query (${parsedQuery.parser}): "${searchQuery}"`);
   }
 
-  // Filter out invalid items
-  items = items.filter(item => item && item.price > 0 && item.title && item.link);
+  // STEP 1: Fan out to all enabled adapters in parallel, reporting each as it lands
+  console.log(`📡 Querying sources: ${adapters.map(a => a.name).join(', ') || 'none'}`);
+  const collected = await Promise.all(adapters.map(adapter =>
+    runAdapter(adapter, searchQuery).then(result => {
+      const entry = collectSource(result, adapters);
+      emit('source', entry);
+      return entry;
+    })
+  ));
+
+  // STEP 2: Merge per-source results (in priority order)
+  const sources = collected.map(entry => entry.source);
+  collected.forEach(entry => items.push(...entry.items));
+
+  // Filter out invalid items and tag each listing with its stable identity
+  items = items
+    .filter(item => item && item.price > 0 && item.title && item.link)
+    .map(item => ({ ...item, productKey: getProductKey(item) }));
 
   console.log(`✓ Found ${items.length} total products in ${Date.now() - startTime}ms`);
 
-  // Deduplicate
-  const beforeDedup = items.length;
-  items = deduplicateProducts(items);
-  if (beforeDedup > items.length) {
-    console.log(`🔄 Removed ${beforeDedup - items.length} duplicates`);
+  // Group listings of the same product across stores into offers[]
+  const beforeMatch = items.length;
+  items = matchProducts(items);
+  if (beforeMatch > items.length) {
+    console.log(`🔗 Matched ${beforeMatch} listings into ${items.length} products`);
+  }
+
+  // Apply the constraints parsed out of the query (price, rating, brand, attributes)
+  const beforeConstraints = items.length;
+  items = applyParsedConstraints(items, parsedQuery);
+  if (beforeConstraints > items.length) {
+    console.log(`🧩 Removed ${beforeConstraints - items.length} products not matching query constraints`);
+  }
+
+  // Check claimed discounts against price history and the other stores
+  items = assessDiscounts(items);
+  const suspicious = items.filter(p => p.discountCheck?.suspicious).length;
+  if (suspicious > 0) {
+    console.log(`🚩 Flagged ${suspicious} products with doubtful discounts`);
   }
 
   // Calculate link statistics
@@ -200,38 +175,43 @@ async function getProductResults(query) {
 
   // Handle empty results
   if (items.length === 0) {
+    const summary = getSetupMessage();
+    emit('merged', { items: [], sources });
+    emit('ranked', { items: [], rankedByAI: false });
+    emit('verdict', { summary });
+
     return {
       items: [],
-      summary: getSetupMessage(),
+      summary,
       metadata: {
         totalResults: 0,
         rankedByAI: false,
         fetchTime: Date.now() - startTime,
         directLinks: 0,
         redirectLinks: 0,
-        sources
+        sources,
+        parsedQuery
       }
     };
   }
 
   // Sort by price initially (required for topProducts slice)
   items.sort((a, b) => (a.price || Infinity) - (b.price || Infinity));
+  emit('merged', { items, sources });
 
   // Get top products for AI analysis
   const topCount = Math.min(20, items.length); // FIX: Increased candidate pool from 5 to 20
   const productsForAI = items.slice(0, topCount);
 
-  // Initialize result variables
-  let summary = `Found ${items.length} products! Best price starts at ₹${productsForAI[0].price} from ${productsForAI[0].store}.`;
   let rankedProducts = [];
   let rankingFailed = false;
 
-  // Attempt AI ranking and verdict
+  // STEP 3: Attempt AI ranking
   try {
     console.log('🤖 Attempting AI ranking...');
     
     // Pass only the top subset to the ranker
-    const rankResult = await rankProducts(query, productsForAI); 
+    const rankResult = await rankProducts(searchQuery, productsForAI); 
 
     if (rankResult && typeof rankResult === 'object') {
       rankedProducts = rankResult.rankedProducts || [];
@@ -240,18 +220,6 @@ async function getProductResults(query) {
       rankedProducts = rankResult;
     }
 
-    // Products used for AI verdict 
-    const productsForVerdict = (rankedProducts.length > 0 && !rankingFailed) 
-                                ? rankedProducts.slice(0, 5) 
-                                : productsForAI.slice(0, 5);
-    
-    const rankNote = rankingFailed
-      ? ' (Note: AI ranking temporarily unavailable, results filtered and sorted by price.)'
-      : '';
-
-    console.log('💬 Getting AI verdict...');
-    summary = await aiVerdict(productsForVerdict, rankNote);
-
     // Replace the top subset of items with the ranked products
     if (rankedProducts.length > 0 && !rankingFailed) {
       // Splice the ranked items back into the main list
@@ -266,29 +234,45 @@ async function getProductResults(query) {
     }
 
   } catch (err) {
-    console.error('⚠️  AI ranking/verdict error:', err.message);
+    console.error('⚠️  AI ranking error:', err.message);
     rankingFailed = true;
-    summary = `Found ${items.length} products! Best deal: ₹${productsForAI[0].price} from ${productsForAI[0].store}. ${productsForAI[0].discount > 0 ? `(${productsForAI[0].discount}% off!)` : ''}`;
   }
 
-
-  // CRITICAL FIX: If AI ranking fails, apply simple filter to remove cheap junk
+  // If AI ranking fails, rank the whole list with the offline relevance
+  // scorer rather than leaving cheap accessories at the top
   if (rankingFailed) {
-      const beforeFilter = items.length;
-      items = simpleAccessoryFilter(query, items);
-      
-      if (items.length < beforeFilter) {
-          // Re-sort by price after filtering
-          items.sort((a, b) => (a.price || Infinity) - (b.price || Infinity));
-          
-          // Update summary with the new best product
-          const newTopProduct = items[0];
-          if (newTopProduct) {
-             summary = `Found ${items.length} products! Best deal: ₹${newTopProduct.price} from ${newTopProduct.store}. (Note: AI ranking unavailable. Cheap accessories filtered out.)`;
-          }
-      }
+    items = rankProductsLocally(searchQuery, items);
+    console.log('✓ Applied local relevance ranking');
   }
 
+  const rankedByAI = !rankingFailed && rankedProducts.length > 0;
+  const rankingMethod = rankedByAI ? 'ai' : 'local';
+  emit('ranked', { items, rankedByAI, rankingMethod });
+
+  // STEP 4: AI verdict over the final top products
+  let summary;
+  try {
+    const productsForVerdict = items.slice(0, 5);
+    
+    const rankNote = rankingFailed
+      ? ' (Note: AI ranking temporarily unavailable, results ranked by keyword relevance.)'
+      : '';
+
+    console.log('💬 Getting AI verdict...');
+    summary = await aiVerdict(productsForVerdict, rankNote);
+  } catch (err) {
+    console.error('⚠️  AI verdict error:', err.message);
+    const top = items[0];
+    summary = `Found ${items.length} products! Best deal: ₹${top.price} from ${top.store}. ${top.discount > 0 ? `(${top.discount}% off!)` : ''}`;
+  }
+
+  emit('verdict', { summary });
+
+  // Keep a price point for every listing we returned
+  const recorded = recordListings(items);
+  if (recorded > 0) {
+    console.log(`💾 Recorded ${recorded} price points`);
+  }
 
   return {
     items,
@@ -297,30 +281,33 @@ async function getProductResults(query) {
       totalResults: items.length,
       topPrice: items[0]?.price, 
       topStore: items[0]?.store, 
-      rankedByAI: !rankingFailed && rankedProducts.length > 0,
+      rankedByAI,
+      rankingMethod,
       fetchTime: Date.now() - startTime,
       directLinks,
       redirectLinks,
       sources,
+      parsedQuery,
       strategy: {
-        amazonFlipkartDirect: USE_AMAZON_FLIPKART_DIRECT,
-        serpApiOthers: USE_SERPAPI
+        adapters: adapters.map(a => a.id)
       }
     }
   };
 }
 
 function getSetupMessage() {
-  if (!USE_SERPAPI && !USE_AMAZON_FLIPKART_DIRECT) {
-    return '⚠️ No data sources enabled. Enable USE_SERPAPI and/or USE_AMAZON_FLIPKART_DIRECT in .env';
+  const adapters = getEnabledAdapters();
+  if (adapters.length === 0) {
+    return '⚠️ No data sources enabled. Enable USE_SERPAPI and/or USE_AMAZON_FLIPKART_DIRECT (or set SOURCES) in .env';
   }
   
   const apiKey = process.env.SERPAPI_KEY;
-  if (USE_SERPAPI && (!apiKey || apiKey === 'your_serpapi_key_here')) {
+  const usesSerpAPI = adapters.some(a => a.id === 'serpapi');
+  if (usesSerpAPI && (!apiKey || apiKey === 'your_serpapi_key_here')) {
     return '🔑 Please add SERPAPI_KEY to .env file. Get free key at: https://serpapi.com/users/sign_up';
   }
   
   return '😔 No products found. Try a different search term.';
 }
 
-module.exports = { getProductResults };
\ No newline at end of file
+module.exports = { getProductResults, runAdapter };
\ No newline at end of file
@@ -1,36 +1,27 @@
-// Use native fetch for Gemini API calls
-let fetch;
-if (typeof globalThis.fetch === 'function') {
-  fetch = globalThis.fetch;
-} else {
-  fetch = (...args) => import('node-fetch').then(({ default: f }) => f(...args));
-}
-
-// FIX: Use stable model for consistency
-const GEMINI_MODEL = 'gemini-2.5-flash';
+const llm = require('./llm');
 
 /**
- * Generates AI-powered product recommendation summary using Gemini API
+ * Generates AI-powered product recommendation summary using the LLM
+ * configured for the 'verdict' task
  */
 async function aiVerdict(products, crsFailureMessage = '') {
-  // Check if GEMINI_API_KEY is configured
-  if (!process.env.GEMINI_API_KEY || process.env.GEMINI_API_KEY === 'your_gemini_api_key_here') {
-    console.log('⚠️ Gemini API not configured - using fallback summary');
+  if (!llm.isAvailable('verdict')) {
+    console.log('⚠️ LLM not configured for verdicts - using fallback summary');
     return generateFallbackSummary(products, crsFailureMessage);
   }
 
   try {
-    const apiKey = process.env.GEMINI_API_KEY;
-    // FIX: Use the stable model variable
-    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent?key=${apiKey}`;
-
     // Format products for AI analysis
     const productLines = products
       .slice(0, 5)
       .map((p, i) => {
         const details = [];
         if (p.rating > 0) details.push(`⭐ ${p.rating}`);
-        if (p.discount > 0) details.push(`💰 ${p.discount}% off`);
+        if (p.discount > 0) {
+          details.push(p.discountCheck?.suspicious
+            ? `⚠️ claims ${p.discount}% off, likely inflated MRP`
+            : `💰 ${p.discount}% off`);
+        }
         if (p.reviews > 0) details.push(`📝 ${p.reviews.toLocaleString()} reviews`);
 
         const detailsStr = details.length > 0 ? `(${details.join(', ')})` : '';
@@ -53,80 +44,17 @@ ${crsFailureMessage ? `Note: ${crsFailureMessage}\n\n` : ''}Products:\n${product
 
 Provide your recommendation:`;
 
-    // Use proper Gemini REST API format
-    const requestBody = {
-      contents: [{
-        parts: [{
-          text: userPrompt
-        }]
-      }],
-      systemInstruction: {
-        parts: [{
-          text: systemInstruction
-        }]
-      },
-      generationConfig: {
-        temperature: 0.7,
-        // FIX: Increase max tokens to prevent the MAX_TOKENS crash error
-        maxOutputTokens: 1024, 
-        topP: 0.95,
-        topK: 40
-      }
-    };
-
-    console.log('📤 Sending request to Gemini API...');
-    
-    const response = await fetch(apiUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(requestBody)
+    console.log('📤 Requesting AI verdict...');
+    const verdict = await llm.generateText('verdict', {
+      system: systemInstruction,
+      prompt: userPrompt
     });
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Gemini API returned ${response.status}: ${errorText}`);
-    }
-
-    const data = await response.json();
-    
-    // Properly extract text from Gemini API response structure
-    if (!data.candidates || !data.candidates[0] || !data.candidates[0].content) {
-      console.error('❌ Unexpected Gemini API response structure:', JSON.stringify(data));
-      throw new Error('Invalid response structure from Gemini API');
-    }
-
-    const candidate = data.candidates[0];
-    
-    // Check for safety blocks or MAX_TOKENS cutoff
-    if (candidate.finishReason === 'SAFETY' || candidate.finishReason === 'RECITATION' || candidate.finishReason === 'MAX_TOKENS') {
-      console.warn('⚠️ Gemini response blocked or cut off:', candidate.finishReason);
-      return generateFallbackSummary(products, crsFailureMessage);
-    }
-
-    // Extract text from parts
-    const parts = candidate.content.parts;
-    if (!parts || parts.length === 0 || !parts[0].text) {
-      console.error('❌ No text in Gemini response parts:', JSON.stringify(candidate));
-      throw new Error('No text content in Gemini response');
-    }
-
-    const verdict = parts[0].text.trim();
-    
-    if (!verdict) {
-      console.warn('⚠️ Empty verdict from Gemini, using fallback');
-      return generateFallbackSummary(products, crsFailureMessage);
-    }
-
     console.log('✓ AI verdict generated successfully');
     return verdict;
 
   } catch (error) {
-    console.error('❌ Gemini API error:', error.message);
-    if (error.stack) {
-      console.error('Stack trace:', error.stack);
-    }
+    console.error('❌ AI verdict error:', error.message);
     return generateFallbackSummary(products, crsFailureMessage);
   }
 }
@@ -140,7 +68,7 @@ function generateFallbackSummary(products, note) {
   }
 
   const best = products[0];
-  const hasDiscount = best.discount > 0;
+  const hasDiscount = best.discount > 0 && !best.discountCheck?.suspicious;
   const hasRating = best.rating > 0;
   const hasReviews = best.reviews > 0;
   const otherProductsCount = products.length - 1;
@@ -0,0 +1,318 @@
+/**
+ * Cart Optimizer
+ * Works out the cheapest way to buy a cart whose products are sold by
+ * several stores: which store to buy each item from, counting each store's
+ * delivery fee and free-shipping threshold (config/stores.js).
+ *
+ * Every combination of stores (up to maxStores) is tried. Within one
+ * combination, items start at their cheapest store and are then moved
+ * between stores one at a time while that lowers the total, which is how
+ * reaching a free-shipping threshold gets picked up. This is a heuristic:
+ * a saving that needs two items moved at once can be missed.
+ */
+
+const { getEnabledAdapters } = require('./sources/registry');
+const { lookupOffers } = require('./listingLookup');
+const { getStoreFees } = require('../config/stores');
+
+const MAX_ITEMS = 50;
+// Match MAX_QUANTITY in convex/cart.js
+const MAX_QUANTITY = 10;
+// 2^n combinations are tried; long-tail stores beyond this are dropped,
+// keeping preferred stores and those that sell the most cart items
+const MAX_CANDIDATE_STORES = 10;
+const MAX_PREFER_STORES = 5;
+// Preferred-store prices count as this much (percent) cheaper when choosing
+const DEFAULT_PREFER_MARGIN = 5;
+const MAX_PREFER_MARGIN = 50;
+const LOOKUP_CONCURRENCY = 3;
+
+const round = (value) => Math.round(value * 100) / 100;
+const storeId = (store) => (store || '').trim().toLowerCase();
+
+function parseOffers(offers) {
+  if (!Array.isArray(offers)) return undefined;
+  return offers
+    .filter(o => o && typeof o.store === 'string' && o.store.trim() && Number(o.price) > 0)
+    .map(o => ({
+      id: typeof o.id === 'string' ? o.id : undefined,
+      productKey: typeof o.productKey === 'string' ? o.productKey : undefined,
+      store: o.store.trim(),
+      price: Number(o.price),
+      link: typeof o.link === 'string' ? o.link : undefined,
+      stock: o.stock
+    }));
+}
+
+/**
+ * Validates an optimization request body. Throws an Error with a
+ * user-facing message on invalid input.
+ * @param {Object} body - { items: [{ productId, productKey?, title, store,
+ *   price, quantity?, link?, availability?, offers? }], maxStores?,
+ *   preferStores?, preferMargin? }
+ * @returns {Object} { items, maxStores, preferStores, preferMargin }
+ */
+function parseOptimizeRequest(body = {}) {
+  const items = body.items;
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new Error('Provide a non-empty items array');
+  }
+  if (items.length > MAX_ITEMS) {
+    throw new Error(`items can contain at most ${MAX_ITEMS} entries`);
+  }
+
+  const parsedItems = items.map((item, i) => {
+    if (!item || typeof item.productId !== 'string' || !item.productId.trim()) {
+      throw new Error(`items[${i}].productId is required`);
+    }
+    if (typeof item.title !== 'string' || !item.title.trim()) {
+      throw new Error(`items[${i}].title is required`);
+    }
+    if (!(Number(item.price) > 0)) {
+      throw new Error(`items[${i}].price must be a positive number`);
+    }
+    const quantity = item.quantity === undefined ? 1 : Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY) {
+      throw new Error(`items[${i}].quantity must be a whole number between 1 and ${MAX_QUANTITY}`);
+    }
+    return {
+      productId: item.productId.trim(),
+      productKey: typeof item.productKey === 'string' ? item.productKey : undefined,
+      title: item.title.trim(),
+      store: typeof item.store === 'string' ? item.store.trim() : '',
+      price: Number(item.price),
+      quantity,
+      link: typeof item.link === 'string' ? item.link : undefined,
+      availability: item.availability,
+      offers: parseOffers(item.offers)
+    };
+  });
+
+  let maxStores = null;
+  if (body.maxStores !== undefined && body.maxStores !== null) {
+    maxStores = Number(body.maxStores);
+    if (!Number.isInteger(maxStores) || maxStores < 1 || maxStores > MAX_CANDIDATE_STORES) {
+      throw new Error(`maxStores must be a whole number between 1 and ${MAX_CANDIDATE_STORES}`);
+    }
+  }
+
+  const preferStores = (typeof body.preferStores === 'string' ? body.preferStores.split(',') : body.preferStores || [])
+    .map(s => (typeof s === 'string' ? s.trim() : ''))
+    .filter(Boolean);
+  if (preferStores.length > MAX_PREFER_STORES) {
+    throw new Error(`preferStores can contain at most ${MAX_PREFER_STORES} stores`);
+  }
+
+  const preferMargin = body.preferMargin === undefined ? DEFAULT_PREFER_MARGIN : Number(body.preferMargin);
+  if (isNaN(preferMargin) || preferMargin < 0 || preferMargin > MAX_PREFER_MARGIN) {
+    throw new Error(`preferMargin must be a percentage between 0 and ${MAX_PREFER_MARGIN}`);
+  }
+
+  return { items: parsedItems, maxStores, preferStores, preferMargin };
+}
+
+/**
+ * Where each item can be bought: offers sent with the request, then offers
+ * from recent search results, then a live lookup. The item's own listing is
+ * always included unless it's known to be out of stock.
+ * @returns {Promise<Array<Map<string, Object>>>} Cheapest offer per store id, per item
+ */
+async function collectOffers(items, findOffers) {
+  const adapters = getEnabledAdapters();
+  const found = items.map(item => item.offers || findOffers(item) || null);
+
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      if (found[index]) continue;
+      try {
+        found[index] = await lookupOffers(items[index], adapters);
+      } catch (error) {
+        console.error(`❌ Offer lookup failed for ${items[index].productId}:`, error.message);
+        found[index] = [];
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(LOOKUP_CONCURRENCY, items.length) }, worker));
+
+  return items.map((item, i) => {
+    const own = item.store && item.availability !== 'out_of_stock'
+      ? [{ id: item.productId, productKey: item.productKey, store: item.store, price: item.price, link: item.link }]
+      : [];
+    const options = new Map();
+    [...own, ...found[i]]
+      .filter(offer => offer.price > 0 && offer.stock !== false && storeId(offer.store))
+      .forEach(offer => {
+        const id = storeId(offer.store);
+        if (!options.has(id) || offer.price < options.get(id).price) options.set(id, offer);
+      });
+    return options;
+  });
+}
+
+function deliveryFee(fees, subtotal) {
+  if (subtotal <= 0) return 0;
+  if (fees.freeShippingThreshold && subtotal >= fees.freeShippingThreshold) return 0;
+  return fees.deliveryFee;
+}
+
+/**
+ * Best assignment of items to the given stores. Scores use preference-
+ * weighted prices; delivery fees always use real subtotals.
+ * @returns {{ assignment: Array<string|null>, score: number }}
+ */
+function optimizeForStores(stores, items, options, context) {
+  const { fees, weight } = context;
+  const subtotal = Object.fromEntries(stores.map(s => [s, 0]));
+  const line = (i, s) => options[i].get(s).price * items[i].quantity;
+
+  // Start every item at its cheapest (weighted) store in the combination
+  const assignment = items.map((item, i) => {
+    const available = stores.filter(s => options[i].has(s));
+    if (available.length === 0) return null;
+    const best = available.reduce((a, b) => (line(i, b) * weight(b) < line(i, a) * weight(a) ? b : a));
+    subtotal[best] += line(i, best);
+    return best;
+  });
+
+  const moveDelta = (i, from, to) => {
+    const before = deliveryFee(fees[from], subtotal[from]) + deliveryFee(fees[to], subtotal[to]);
+    const after = deliveryFee(fees[from], subtotal[from] - line(i, from)) + deliveryFee(fees[to], subtotal[to] + line(i, to));
+    return line(i, to) * weight(to) - line(i, from) * weight(from) + after - before;
+  };
+
+  for (let pass = 0; pass < items.length * stores.length; pass++) {
+    let best = null;
+    assignment.forEach((from, i) => {
+      if (from === null) return;
+      stores.forEach(to => {
+        if (to === from || !options[i].has(to)) return;
+        const delta = moveDelta(i, from, to);
+        if (delta < -0.005 && (!best || delta < best.delta)) best = { i, from, to, delta };
+      });
+    });
+    if (!best) break;
+    subtotal[best.from] -= line(best.i, best.from);
+    subtotal[best.to] += line(best.i, best.to);
+    assignment[best.i] = best.to;
+  }
+
+  const score = stores.reduce((total, s) => total + deliveryFee(fees[s], subtotal[s]), 0) +
+    assignment.reduce((total, s, i) => total + (s === null ? 0 : line(i, s) * weight(s)), 0);
+  return { assignment, score };
+}
+
+// All store combinations of 1..maxSize stores
+function* combinations(stores, maxSize) {
+  const total = 1 << stores.length;
+  for (let mask = 1; mask < total; mask++) {
+    const subset = stores.filter((_, i) => mask & (1 << i));
+    if (subset.length <= maxSize) yield subset;
+  }
+}
+
+// Per-store breakdown with real prices and fees
+function summarize(assignment, items, options, fees) {
+  const byStore = new Map();
+  assignment.forEach((s, i) => {
+    if (s === null) return;
+    const offer = options ? options[i].get(s) : { store: items[i].store, price: items[i].price, link: items[i].link };
+    if (!byStore.has(s)) byStore.set(s, { store: offer.store, items: [] });
+    byStore.get(s).items.push({
+      productId: items[i].productId,
+      productKey: offer.productKey,
+      title: items[i].title,
+      price: offer.price,
+      quantity: items[i].quantity,
+      lineTotal: round(offer.price * items[i].quantity),
+      link: offer.link,
+      isCurrentStore: storeId(items[i].store) === s
+    });
+  });
+
+  const stores = [...byStore.entries()].map(([id, group]) => {
+    const subtotal = round(group.items.reduce((total, item) => total + item.lineTotal, 0));
+    const fee = deliveryFee(fees[id], subtotal);
+    const threshold = fees[id].freeShippingThreshold;
+    return {
+      ...group,
+      subtotal,
+      deliveryFee: fee,
+      freeShippingThreshold: threshold,
+      amountToFreeShipping: threshold && subtotal < threshold ? round(threshold - subtotal) : 0,
+      feesKnown: fees[id].known,
+      total: round(subtotal + fee)
+    };
+  }).sort((a, b) => b.total - a.total);
+
+  const itemsTotal = round(stores.reduce((total, s) => total + s.subtotal, 0));
+  const deliveryFees = round(stores.reduce((total, s) => total + s.deliveryFee, 0));
+  return { stores, itemsTotal, deliveryFees, totalCost: round(itemsTotal + deliveryFees) };
+}
+
+/**
+ * Finds the cheapest store assignment for a cart. Never throws; items no
+ * allowed store sells come back in `unassigned`.
+ * @param {Object} request - From parseOptimizeRequest
+ * @param {Object} [options]
+ * @param {function(Object): Array<Object>|null} [options.findOffers] - Offers
+ *   for an item from recent search results, if any
+ * @returns {Promise<Object>} { totalCost, itemsTotal, deliveryFees, stores,
+ *   unassigned, currentCost, savings, constraints }, where currentCost is
+ *   the cart bought as added (each item from its own store)
+ */
+async function optimizeCart(request, { findOffers = () => null } = {}) {
+  const { items, maxStores, preferStores, preferMargin } = request;
+  const options = await collectOffers(items, findOffers);
+
+  const isPreferred = (id) => preferStores.some(p => id.includes(p.toLowerCase()));
+  const coverage = new Map();
+  options.forEach(o => o.forEach((_, id) => coverage.set(id, (coverage.get(id) || 0) + 1)));
+  const candidates = [...coverage.keys()]
+    .sort((a, b) => (isPreferred(b) - isPreferred(a)) || (coverage.get(b) - coverage.get(a)))
+    .slice(0, MAX_CANDIDATE_STORES);
+
+  const fees = {};
+  [...coverage.keys(), ...items.map(item => storeId(item.store))].forEach(id => {
+    fees[id] = getStoreFees(id);
+  });
+  const context = { fees, weight: (id) => (isPreferred(id) ? 1 - preferMargin / 100 : 1) };
+
+  // Fewest unassigned items first, then lowest score, then fewest stores
+  let best = null;
+  for (const stores of combinations(candidates, maxStores || candidates.length)) {
+    const plan = optimizeForStores(stores, items, options, context);
+    const unassigned = plan.assignment.filter(s => s === null).length;
+    const used = new Set(plan.assignment.filter(Boolean)).size;
+    if (!best || unassigned < best.unassigned ||
+        (unassigned === best.unassigned && (plan.score < best.score - 0.005 ||
+          (Math.abs(plan.score - best.score) <= 0.005 && used < best.used)))) {
+      best = { ...plan, unassigned, used };
+    }
+  }
+
+  const assignment = best ? best.assignment : items.map(() => null);
+  const plan = summarize(assignment, items, options, fees);
+  const current = summarize(items.map(item => storeId(item.store)), items, null, fees);
+
+  console.log(`🧮 Optimized ${items.length} cart items across ${plan.stores.length} store(s): ₹${plan.totalCost} vs ₹${current.totalCost} as added`);
+
+  const unassigned = items
+    .filter((_, i) => assignment[i] === null)
+    .map(item => ({ productId: item.productId, title: item.title }));
+
+  return {
+    ...plan,
+    unassigned,
+    currentCost: current.totalCost,
+    // Not comparable when the plan leaves items out
+    savings: unassigned.length === 0 ? round(current.totalCost - plan.totalCost) : null,
+    constraints: { maxStores, preferStores, preferMargin }
+  };
+}
+
+module.exports = {
+  parseOptimizeRequest,
+  optimizeCart
+};
@@ -0,0 +1,124 @@
+/**
+ * Cart Revalidator
+ * Re-fetches the current price and availability of cart items from the
+ * source adapter for each item's store, so totals aren't computed from
+ * prices captured when the item was added.
+ */
+
+const NodeCache = require('node-cache');
+const { getEnabledAdapters } = require('./sources/registry');
+const { lookupListing } = require('./listingLookup');
+const { recordListings } = require('./priceHistory');
+
+const MAX_ITEMS = 50;
+// Scrapers are slow; a few lookups in parallel keeps a full cart reasonable
+const CONCURRENCY = 3;
+// Re-opening the cart shouldn't re-scrape everything
+const lookups = new NodeCache({ stdTTL: Number(process.env.CART_REVALIDATE_TTL_SECONDS) || 300 });
+
+/**
+ * Validates a revalidation request body. Throws an Error with a
+ * user-facing message on invalid input.
+ * @param {Object} body - { items: [{ productId, productKey?, title, store, price? }] }
+ * @returns {Array<Object>} Normalized items
+ */
+function parseRevalidateRequest(body = {}) {
+  const items = body.items;
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new Error('Provide a non-empty items array');
+  }
+  if (items.length > MAX_ITEMS) {
+    throw new Error(`items can contain at most ${MAX_ITEMS} entries`);
+  }
+
+  return items.map((item, i) => {
+    if (!item || typeof item.productId !== 'string' || !item.productId.trim()) {
+      throw new Error(`items[${i}].productId is required`);
+    }
+    if (typeof item.title !== 'string' || !item.title.trim()) {
+      throw new Error(`items[${i}].title is required`);
+    }
+    return {
+      productId: item.productId.trim(),
+      productKey: typeof item.productKey === 'string' ? item.productKey : undefined,
+      title: item.title.trim(),
+      store: typeof item.store === 'string' ? item.store : '',
+      price: Number(item.price) > 0 ? Number(item.price) : undefined
+    };
+  });
+}
+
+// Only what the store reported; listings without stock info are 'unknown'
+function availabilityOf(listing) {
+  if (!listing || typeof listing.stock !== 'boolean') return 'unknown';
+  return listing.stock ? 'in_stock' : 'out_of_stock';
+}
+
+async function checkItem(item, adapters) {
+  const cacheKey = item.productKey || `${item.store}:${item.title}`.toLowerCase();
+  let listing = lookups.get(cacheKey);
+
+  if (listing === undefined) {
+    listing = await lookupListing(item, adapters);
+    lookups.set(cacheKey, listing);
+    if (listing) recordListings([listing]);
+  }
+
+  return {
+    productId: item.productId,
+    productKey: item.productKey,
+    found: !!listing,
+    price: listing ? listing.price : null,
+    previousPrice: item.price ?? null,
+    availability: availabilityOf(listing),
+    link: listing ? listing.link : null,
+    checkedAt: Date.now()
+  };
+}
+
+/**
+ * Looks up every item's current price. Items that can't be found come back
+ * with found: false and availability 'unknown', as do found items whose
+ * source doesn't report stock. Never throws.
+ * @param {Array<Object>} items - From parseRevalidateRequest
+ * @returns {Promise<Array<Object>>} One entry per item, in order:
+ *   { productId, productKey, found, price, previousPrice, availability, link,
+ *   checkedAt }
+ */
+async function revalidateItems(items) {
+  const adapters = getEnabledAdapters();
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await checkItem(items[index], adapters);
+      } catch (error) {
+        console.error(`❌ Revalidation failed for ${items[index].productId}:`, error.message);
+        results[index] = {
+          productId: items[index].productId,
+          productKey: items[index].productKey,
+          found: false,
+          price: null,
+          previousPrice: items[index].price ?? null,
+          availability: 'unknown',
+          link: null,
+          checkedAt: Date.now()
+        };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(CONCURRENCY, items.length) }, worker));
+
+  const changed = results.filter(r => r.found && r.previousPrice && r.price !== r.previousPrice).length;
+  console.log(`🛒 Revalidated ${items.length} cart items: ${results.filter(r => r.found).length} found, ${changed} price changes`);
+  return results;
+}
+
+module.exports = {
+  parseRevalidateRequest,
+  revalidateItems
+};
@@ -0,0 +1,74 @@
+/**
+ * Checkout Handoffs
+ * How each store's share of an order is handed over to that store, since
+ * orders are placed on the store's own site. Stores with a multi-item
+ * add-to-cart URL get one link that fills their cart; every other store
+ * gets its product page links.
+ *
+ * @typedef {Object} Handoff
+ * @property {'cart'|'links'} type
+ * @property {string} [url] - Add-to-cart URL (type 'cart')
+ * @property {Array<Object>} links - { productId, title, quantity, url } for
+ *   every item with a product page, always included
+ * @property {Array<string>} [notInCart] - productIds the cart URL couldn't include
+ */
+
+const { getProductKey } = require('../productIdentity');
+
+function productLinks(items) {
+  return items
+    .filter(item => item.link)
+    .map(item => ({ productId: item.productId, title: item.title, quantity: item.quantity, url: item.link }));
+}
+
+function asinOf(item) {
+  const key = item.productKey || getProductKey({ id: item.productId, link: item.link });
+  return key && key.startsWith('amazon:') ? key.slice('amazon:'.length) : null;
+}
+
+/**
+ * Amazon's add-to-cart form accepts ASIN.n/Quantity.n pairs, on the same
+ * marketplace domain as the listings (amazon.in by default)
+ */
+function amazonCart(items) {
+  const links = productLinks(items);
+  const withAsin = items.map(item => ({ item, asin: asinOf(item) })).filter(e => e.asin);
+  if (withAsin.length === 0) return { type: 'links', links };
+
+  const host = items
+    .map(item => { try { return new URL(item.link).hostname; } catch (e) { return null; } })
+    .find(h => h && /(^|\.)amazon\./i.test(h)) || 'www.amazon.in';
+
+  const params = new URLSearchParams();
+  withAsin.forEach(({ item, asin }, i) => {
+    params.set(`ASIN.${i + 1}`, asin);
+    params.set(`Quantity.${i + 1}`, String(item.quantity));
+  });
+
+  const notInCart = items.filter(item => !asinOf(item)).map(item => item.productId);
+  return {
+    type: 'cart',
+    url: `https://${host}/gp/aws/cart/add.html?${params}`,
+    links,
+    ...(notInCart.length > 0 && { notInCart })
+  };
+}
+
+// Keyed by a substring of the lowercased store name
+const builders = {
+  amazon: amazonCart
+};
+
+/**
+ * Builds the handoff for one store's items
+ * @param {string} store - Store name as it appears on listings
+ * @param {Array<Object>} items - { productId, productKey?, title, quantity, link? }
+ * @returns {Handoff}
+ */
+function buildHandoff(store, items) {
+  const name = (store || '').toLowerCase();
+  const match = Object.entries(builders).find(([id]) => name.includes(id));
+  return match ? match[1](items) : { type: 'links', links: productLinks(items) };
+}
+
+module.exports = { buildHandoff };
@@ -0,0 +1,206 @@
+/**
+ * Checkout Handoff
+ * Turns a cart into a per-store checkout: items grouped by store, each group
+ * with an add-to-cart URL or product links (./handoffs).
+ *
+ * When CHECKOUT_WEBHOOK_URL is set, a JSON order summary is also POSTed
+ * there for automations (n8n, Zapier, ...). With CHECKOUT_WEBHOOK_SECRET set
+ * the request is signed:
+ *
+ *   X-Findlee-Timestamp: <ms since epoch>
+ *   X-Findlee-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+ *
+ * The signature only proves the summary came from this backend. The
+ * checkout endpoint has no sign-in, so items and shippingAddress are
+ * whatever the client sent; payloads carry `authenticated: false` and
+ * automations must not treat them as a verified customer's order.
+ */
+
+const crypto = require('crypto');
+const { buildHandoff } = require('./handoffs');
+
+// Use native fetch (Node.js 18+) or fallback to node-fetch
+let fetch;
+if (typeof globalThis.fetch === 'function') {
+  fetch = globalThis.fetch;
+} else {
+  fetch = (...args) => import('node-fetch').then(({ default: f }) => f(...args));
+}
+
+const MAX_ITEMS = 50;
+// Match MAX_QUANTITY in convex/cart.js
+const MAX_QUANTITY = 10;
+const WEBHOOK_TIMEOUT = 5000;
+// Same fields as saved profile addresses (convex/schema.js)
+const ADDRESS_FIELDS = ['label', 'name', 'addressLine1', 'addressLine2', 'city', 'state', 'pincode', 'country', 'phone'];
+const MAX_FIELD_LENGTH = 200;
+// Listing prices are INR and aren't converted
+const SUPPORTED_CURRENCIES = ['INR'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+function parseAddress(address) {
+  if (address === undefined || address === null) return null;
+  if (typeof address !== 'object' || Array.isArray(address)) {
+    throw new Error('shippingAddress must be an object');
+  }
+  const parsed = {};
+  ADDRESS_FIELDS.forEach(field => {
+    const value = address[field];
+    if (value === undefined || value === null || value === '') return;
+    if (typeof value !== 'string' || value.length > MAX_FIELD_LENGTH) {
+      throw new Error(`shippingAddress.${field} must be a string of at most ${MAX_FIELD_LENGTH} characters`);
+    }
+    parsed[field] = value.trim();
+  });
+  return Object.keys(parsed).length > 0 ? parsed : null;
+}
+
+/**
+ * Validates a checkout request body. Throws an Error with a user-facing
+ * message on invalid input.
+ * @param {Object} body - { items: [{ productId, productKey?, title, store,
+ *   price, quantity, link? }], shippingAddress?, currency? }
+ * @returns {Object} { items, shippingAddress, currency }
+ */
+function parseCheckoutRequest(body = {}) {
+  const items = body.items;
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new Error('Provide a non-empty items array');
+  }
+  if (items.length > MAX_ITEMS) {
+    throw new Error(`items can contain at most ${MAX_ITEMS} entries`);
+  }
+
+  const parsedItems = items.map((item, i) => {
+    if (!item || typeof item.productId !== 'string' || !item.productId.trim()) {
+      throw new Error(`items[${i}].productId is required`);
+    }
+    if (typeof item.title !== 'string' || !item.title.trim()) {
+      throw new Error(`items[${i}].title is required`);
+    }
+    if (!(Number(item.price) > 0)) {
+      throw new Error(`items[${i}].price must be a positive number`);
+    }
+    const quantity = item.quantity === undefined ? 1 : Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY) {
+      throw new Error(`items[${i}].quantity must be a whole number between 1 and ${MAX_QUANTITY}`);
+    }
+    return {
+      productId: item.productId.trim(),
+      productKey: typeof item.productKey === 'string' ? item.productKey : undefined,
+      title: item.title.trim(),
+      store: typeof item.store === 'string' && item.store.trim() ? item.store.trim() : 'Other',
+      price: Number(item.price),
+      quantity,
+      link: typeof item.link === 'string' ? item.link : undefined
+    };
+  });
+
+  const currency = body.currency === undefined ? 'INR' : body.currency;
+  if (!SUPPORTED_CURRENCIES.includes(currency)) {
+    throw new Error(`currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`);
+  }
+
+  return { items: parsedItems, shippingAddress: parseAddress(body.shippingAddress), currency };
+}
+
+function groupByStore(items) {
+  const groups = new Map();
+  items.forEach(item => {
+    const id = item.store.toLowerCase();
+    if (!groups.has(id)) groups.set(id, { store: item.store, items: [] });
+    groups.get(id).items.push(item);
+  });
+
+  return [...groups.values()].map(({ store, items: storeItems }) => {
+    const lines = storeItems.map(({ productId, productKey, title, price, quantity, link }) =>
+      ({ productId, productKey, title, price, quantity, lineTotal: round(price * quantity), link }));
+    return {
+      store,
+      items: lines,
+      subtotal: round(lines.reduce((total, line) => total + line.lineTotal, 0)),
+      handoff: buildHandoff(store, storeItems)
+    };
+  });
+}
+
+/**
+ * Signs a webhook body
+ * @param {string} body - Raw JSON body
+ * @param {string} secret
+ * @param {number} timestamp - ms since epoch, sent as X-Findlee-Timestamp
+ * @returns {string} X-Findlee-Signature header value
+ */
+function signPayload(body, secret, timestamp) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+function isWebhookConfigured() {
+  return !!process.env.CHECKOUT_WEBHOOK_URL;
+}
+
+// POSTs the order summary; resolves to a delivery report, never rejects
+async function sendToWebhook(order) {
+  const body = JSON.stringify({ type: 'checkout', authenticated: false, order });
+  const timestamp = Date.now();
+  const headers = { 'Content-Type': 'application/json', 'X-Findlee-Timestamp': String(timestamp) };
+  if (process.env.CHECKOUT_WEBHOOK_SECRET) {
+    headers['X-Findlee-Signature'] = signPayload(body, process.env.CHECKOUT_WEBHOOK_SECRET, timestamp);
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT);
+  try {
+    const response = await fetch(process.env.CHECKOUT_WEBHOOK_URL, {
+      method: 'POST',
+      headers,
+      body,
+      signal: controller.signal
+    });
+    if (!response.ok) {
+      throw new Error(`Webhook returned ${response.status}`);
+    }
+    return { enabled: true, delivered: true, signed: !!headers['X-Findlee-Signature'] };
+  } catch (error) {
+    const message = error.name === 'AbortError' ? `No response after ${WEBHOOK_TIMEOUT}ms` : error.message;
+    console.error(`❌ Checkout webhook failed for ${order.orderId}:`, message);
+    return { enabled: true, delivered: false, error: message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Builds the checkout handoff for a cart and notifies the automation
+ * webhook if one is configured. Never throws; a webhook failure is reported
+ * in `automation`.
+ * @param {Object} request - From parseCheckoutRequest
+ * @returns {Promise<Object>} { orderId, createdAt, currency, stores, total,
+ *   itemCount, automation: { enabled, delivered?, signed?, error? } }
+ */
+async function createCheckout(request) {
+  const stores = groupByStore(request.items);
+  const order = {
+    orderId: `ord_${crypto.randomUUID()}`,
+    createdAt: new Date().toISOString(),
+    currency: request.currency,
+    stores,
+    total: round(stores.reduce((total, s) => total + s.subtotal, 0)),
+    itemCount: request.items.reduce((total, item) => total + item.quantity, 0),
+    shippingAddress: request.shippingAddress
+  };
+
+  const automation = isWebhookConfigured() ? await sendToWebhook(order) : { enabled: false };
+  console.log(`🧾 Checkout ${order.orderId}: ${order.itemCount} items from ${stores.length} store(s)${automation.delivered ? ', sent to webhook' : ''}`);
+
+  return { ...order, automation };
+}
+
+module.exports = {
+  parseCheckoutRequest,
+  createCheckout,
+  signPayload,
+  isWebhookConfigured
+};
@@ -0,0 +1,341 @@
+/**
+ * Product Comparison
+ * Compares products with the LLM configured for the 'comparison' task,
+ * either from a free-text prompt ("iPhone 15 vs Pixel 8") or from product
+ * snapshots/IDs picked in the UI (2-5 products).
+ *
+ * The result is a schema-validated object: an overall verdict, pros/cons/
+ * features per product and a spec matrix with one row per attribute and
+ * one column per product, each row naming its winning column.
+ */
+
+const llm = require('./llm');
+
+const MIN_COMPARE_PRODUCTS = 2;
+const MAX_COMPARE_PRODUCTS = 5;
+const MAX_PROMPT_LENGTH = 500;
+const MAX_SPEC_ROWS = 15;
+
+// Snapshot fields the comparison may use; anything else is dropped
+const SNAPSHOT_FIELDS = ['id', 'productKey', 'title', 'price', 'originalPrice', 'discount', 'store', 'rating', 'reviews', 'link', 'image'];
+
+const stringList = { type: 'array', items: { type: 'string' } };
+const winnerIndex = { type: ['integer', 'null'], description: '0-based index into products, or null for a tie / no winner' };
+
+const COMPARISON_SCHEMA = {
+  type: 'object',
+  properties: {
+    verdict: {
+      type: 'object',
+      properties: {
+        summary: { type: 'string' },
+        recommendation: { type: 'string' },
+        winner: winnerIndex
+      },
+      required: ['summary', 'recommendation', 'winner']
+    },
+    products: {
+      type: 'array',
+      minItems: MIN_COMPARE_PRODUCTS,
+      maxItems: MAX_COMPARE_PRODUCTS,
+      items: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          pros: stringList,
+          cons: stringList,
+          features: stringList
+        },
+        required: ['title', 'pros', 'cons', 'features']
+      }
+    },
+    specs: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          attribute: { type: 'string' },
+          values: { type: 'array', items: { type: ['string', 'null'] } },
+          better: { type: 'string', enum: ['higher', 'lower', 'none'] },
+          winner: winnerIndex
+        },
+        required: ['attribute', 'values', 'better', 'winner']
+      }
+    }
+  },
+  required: ['verdict', 'products', 'specs']
+};
+
+// Spec rows filled from listing data rather than the LLM
+const LISTING_SPECS = [
+  { attribute: 'Price', better: 'lower', value: p => (p.price ? `₹${p.price.toLocaleString('en-IN')}` : null) },
+  { attribute: 'Rating', better: 'higher', value: p => (p.rating ? `${p.rating}/5` : null) },
+  { attribute: 'Reviews', better: 'higher', value: p => (p.reviews ? p.reviews.toLocaleString('en-IN') : null) },
+  { attribute: 'Discount', better: 'higher', value: p => (p.discount > 0 ? `${p.discount}% off` : null) },
+  { attribute: 'Store', better: 'none', value: p => p.store || null }
+];
+
+function pickSnapshot(product) {
+  const snapshot = {};
+  SNAPSHOT_FIELDS.forEach(field => {
+    if (product[field] !== undefined && product[field] !== null) snapshot[field] = product[field];
+  });
+  return snapshot;
+}
+
+/**
+ * Validates and normalizes a compare request body. Throws an Error with a
+ * user-facing message on invalid input.
+ * @param {Object} body - { prompt } or { products: [id | snapshot, ...] }
+ * @returns {Object} { prompt } or { products }
+ */
+function parseCompareRequest(body = {}) {
+  const prompt = typeof body.prompt === 'string' ? body.prompt.trim() : '';
+  const products = Array.isArray(body.products) ? body.products : null;
+
+  if (prompt && products) {
+    throw new Error('Provide either prompt or products, not both');
+  }
+
+  if (prompt) {
+    if (prompt.length < 3 || prompt.length > MAX_PROMPT_LENGTH) {
+      throw new Error(`prompt must be between 3 and ${MAX_PROMPT_LENGTH} characters`);
+    }
+    return { prompt };
+  }
+
+  if (!products) {
+    throw new Error('Provide a prompt or a products array');
+  }
+  if (products.length < MIN_COMPARE_PRODUCTS || products.length > MAX_COMPARE_PRODUCTS) {
+    throw new Error(MIN_COMPARE_PRODUCTS === MAX_COMPARE_PRODUCTS
+      ? `products must contain exactly ${MIN_COMPARE_PRODUCTS} items`
+      : `products must contain between ${MIN_COMPARE_PRODUCTS} and ${MAX_COMPARE_PRODUCTS} items`);
+  }
+
+  return {
+    products: products.map((product, i) => {
+      if (typeof product === 'string' && product.trim()) return product.trim();
+      if (product && typeof product === 'object' && typeof product.title === 'string' && product.title.trim()) {
+        return pickSnapshot(product);
+      }
+      throw new Error(`products[${i}] must be a product ID or an object with a title`);
+    })
+  };
+}
+
+function describeProduct(product, index) {
+  const lines = [`Product ${index + 1}: ${product.title}`];
+  if (product.price) lines.push(`Price: ₹${product.price}`);
+  if (product.originalPrice > product.price) lines.push(`MRP: ₹${product.originalPrice}`);
+  if (product.store) lines.push(`Store: ${product.store}`);
+  if (product.rating) lines.push(`Rating: ${product.rating}/5${product.reviews ? ` (${product.reviews} reviews)` : ''}`);
+  return lines.join('\n');
+}
+
+// "4.3/5", "23% off", "8 GB", "5000 mAh", "120 Hz"
+const SPEC_UNIT = /^(?:%(?:\s*off)?|\/\s*5|[a-z"]{1,6})?$/i;
+
+/**
+ * A spec value that is only a number, optionally with a currency sign or a
+ * unit: "₹55,990" → { number: 55990, unit: '₹' }, "5000 mAh" → { number:
+ * 5000, unit: 'mah' }. Storage sizes are in GB so "1 TB" beats "512 GB".
+ * Anything else ("Apple A17 Pro", "8 GB LPDDR5X") is null.
+ */
+function parseSpecNumber(value) {
+  if (typeof value !== 'string') return null;
+  const match = value.replace(/,/g, '').trim().match(/^(₹|rs\.?)?\s*(\d+(?:\.\d+)?)\s*(.*)$/i);
+  if (!match || !SPEC_UNIT.test(match[3])) return null;
+
+  let number = Number(match[2]);
+  let unit = match[3].toLowerCase().replace(/\s+/g, ' ');
+  if (unit === 'tb') number *= 1024;
+  if (unit === 'mb') number /= 1024;
+  if (unit === 'tb' || unit === 'mb') unit = 'gb';
+  return { number, unit: match[1] ? '₹' : unit };
+}
+
+function isValidIndex(index, count) {
+  return Number.isInteger(index) && index >= 0 && index < count;
+}
+
+/**
+ * Winning column of a spec row. Rows where every value is a number in the
+ * same unit are decided here, since LLMs misjudge comparisons like "8 GB"
+ * vs "12 GB"; for anything else (chip names, panel types) the model's pick
+ * is kept. Ties have no winner.
+ */
+function pickWinner(values, better, suggested) {
+  if (better === 'none') return null;
+
+  const present = values.filter(v => v !== null);
+  const parsed = present.map(parseSpecNumber);
+  if (present.length >= 2 && parsed.every(p => p !== null && p.unit === parsed[0].unit)) {
+    const numbers = values.map(v => (v === null ? null : parseSpecNumber(v).number));
+    const known = numbers.filter(n => n !== null);
+    const best = better === 'higher' ? Math.max(...known) : Math.min(...known);
+    const winners = numbers.flatMap((n, i) => (n === best ? [i] : []));
+    return winners.length === 1 ? winners[0] : null;
+  }
+
+  return isValidIndex(suggested, values.length) && values[suggested] !== null ? suggested : null;
+}
+
+function cleanList(list) {
+  return (list || []).map(item => String(item).trim()).filter(Boolean);
+}
+
+function listingSpecRows(products) {
+  return LISTING_SPECS
+    .map(({ attribute, better, value }) => {
+      const values = products.map(value);
+      if (values.every(v => v === null)) return null;
+      return { attribute, values, better, winner: pickWinner(values, better, null) };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Normalizes a schema-valid comparison into one column per product:
+ * every spec row gets exactly one value per product, duplicate attributes
+ * are dropped and winners are recomputed. With snapshots, titles and the
+ * price/rating rows come from the listings.
+ * @param {Object} result - COMPARISON_SCHEMA output
+ * @param {Array<Object>} [snapshots] - Compared products, in column order
+ * @returns {Object} { verdict, products, specs }
+ */
+function normalizeComparison(result, snapshots) {
+  const count = snapshots ? snapshots.length : result.products.length;
+  if (result.products.length !== count) {
+    throw new Error(`Comparison covers ${result.products.length} products, expected ${count}`);
+  }
+
+  const products = result.products.map((product, i) => ({
+    title: snapshots ? snapshots[i].title : product.title.trim(),
+    pros: cleanList(product.pros),
+    cons: cleanList(product.cons),
+    features: cleanList(product.features)
+  }));
+
+  const specs = snapshots ? listingSpecRows(snapshots) : [];
+  const seen = new Set(specs.map(row => row.attribute.toLowerCase()));
+
+  result.specs.forEach(row => {
+    const attribute = row.attribute.trim();
+    if (!attribute || seen.has(attribute.toLowerCase()) || specs.length >= MAX_SPEC_ROWS) return;
+    seen.add(attribute.toLowerCase());
+
+    const values = Array.from({ length: count }, (_, i) => {
+      const value = row.values[i];
+      return typeof value === 'string' && value.trim() ? value.trim() : null;
+    });
+    if (values.every(v => v === null)) return;
+
+    specs.push({ attribute, values, better: row.better, winner: pickWinner(values, row.better, row.winner) });
+  });
+
+  return {
+    verdict: {
+      summary: result.verdict.summary.trim(),
+      recommendation: result.verdict.recommendation.trim(),
+      winner: isValidIndex(result.verdict.winner, count) ? result.verdict.winner : null
+    },
+    products,
+    specs
+  };
+}
+
+/**
+ * Price/rating-based comparison used when no LLM is available
+ */
+function fallbackComparison(products) {
+  const specs = listingSpecRows(products);
+  const priceRow = specs.find(row => row.attribute === 'Price');
+  const ratingRow = specs.find(row => row.attribute === 'Rating');
+  const cheapest = priceRow?.winner ?? null;
+  const bestRated = ratingRow?.winner ?? null;
+
+  let recommendation = 'No single product stands out on price or rating.';
+  if (cheapest !== null && (bestRated === null || bestRated === cheapest)) {
+    recommendation = `${products[cheapest].title} offers the best value.`;
+  } else if (cheapest !== null) {
+    recommendation = `${products[cheapest].title} is the cheapest, while ${products[bestRated].title} is the best rated.`;
+  } else if (bestRated !== null) {
+    recommendation = `${products[bestRated].title} is the best rated.`;
+  }
+
+  const lowestPrice = cheapest !== null ? products[cheapest].price : null;
+
+  return {
+    verdict: {
+      summary: `Compared ${products.length} products on price and customer rating. AI analysis is currently unavailable.`,
+      recommendation,
+      winner: cheapest ?? bestRated
+    },
+    products: products.map((p, i) => ({
+      title: p.title,
+      pros: [
+        ...(i === cheapest ? [`Lowest price at ₹${p.price.toLocaleString('en-IN')}`] : []),
+        ...(i === bestRated ? [`Highest rated at ${p.rating}/5`] : []),
+        ...(p.discount > 0 ? [`${p.discount}% off at ${p.store}`] : [])
+      ],
+      cons: [
+        ...(lowestPrice && p.price > lowestPrice ? [`₹${(p.price - lowestPrice).toLocaleString('en-IN')} more than the cheapest option`] : []),
+        ...(!p.rating ? ['No customer rating available'] : [])
+      ],
+      features: [p.store && `Sold by ${p.store}`].filter(Boolean)
+    })),
+    specs,
+    generatedBy: 'fallback'
+  };
+}
+
+/**
+ * Compares products
+ * @param {Object} request - From parseCompareRequest, with IDs already
+ *   resolved to snapshots
+ * @param {string} [request.prompt] - Free-text comparison request
+ * @param {Array<Object>} [request.products] - Product snapshots
+ * @returns {Promise<Object>} {
+ *   verdict: { summary, recommendation, winner },
+ *   products: [{ title, pros, cons, features }],
+ *   specs: [{ attribute, values: [one per product], better, winner }],
+ *   generatedBy: 'ai' | 'fallback'
+ * } where winner is a product index or null
+ */
+async function compareProducts({ prompt, products }) {
+  if (!llm.isAvailable('comparison')) {
+    if (products) return fallbackComparison(products);
+    throw new Error('AI comparison is not configured on the server');
+  }
+
+  const system = `You are ShopMate, an expert shopping assistant for Indian shoppers. Compare the products objectively and concisely. Prices are in INR.
+- verdict: a one-paragraph summary, a single clear recommendation, and winner as the 0-based index of the recommended product.
+- products: one entry per product, in the order given, with 2-4 short pros, cons and key features each.
+- specs: 5-10 attributes that matter for this kind of product (e.g. processor, RAM, battery, display). values has one entry per product in the same order, with units (e.g. "8 GB", "5000 mAh"), or null when unknown. better is "higher" or "lower" when one end wins, otherwise "none"; winner is the index of the best value or null.`;
+
+  const userPrompt = products
+    ? `Compare these products:\n\n${products.map(describeProduct).join('\n\n')}`
+    : `Compare these products or options (${MIN_COMPARE_PRODUCTS}-${MAX_COMPARE_PRODUCTS} of them): ${prompt}`;
+
+  try {
+    const result = await llm.generateJSON('comparison', {
+      system,
+      prompt: userPrompt,
+      schema: COMPARISON_SCHEMA
+    });
+
+    return { ...normalizeComparison(result, products), generatedBy: 'ai' };
+  } catch (error) {
+    console.error('❌ AI comparison failed:', error.message);
+    if (products) return fallbackComparison(products);
+    throw error;
+  }
+}
+
+module.exports = {
+  parseCompareRequest,
+  normalizeComparison,
+  pickWinner,
+  compareProducts
+};
@@ -0,0 +1,149 @@
+/**
+ * Discount Credibility
+ * Stores compute `discount` from whatever MRP they display, so an inflated
+ * "original price" makes ordinary prices look like 80% off. This checks the
+ * claimed original price against what the product has actually sold for:
+ *
+ *   - price history: the highest price we've observed for the listing
+ *   - market: the median price across stores for the matched product
+ *
+ * Each listing gets a `discountCheck`:
+ *   { score: 0..1, suspicious, claimedDiscount, verifiedDiscount, reasons[] }
+ * where `verifiedDiscount` is the discount measured from the highest
+ * original price the evidence supports.
+ */
+
+const { getPriceRanges } = require('./priceHistory');
+
+const HISTORY_DAYS = 90;
+// Need at least this many observations before history is trusted
+const MIN_HISTORY_POINTS = 2;
+// How far above a reference an MRP may sit and still be believable. MRPs
+// in India routinely sit well above street price, so the market is lenient.
+const HISTORY_TOLERANCE = 0.15;
+const MARKET_TOLERANCE = 0.35;
+// With no evidence either way, discounts above this are treated as doubtful
+const IMPLAUSIBLE_DISCOUNT = 0.75;
+const UNVERIFIED_SCORE = 0.4;
+const SUSPICIOUS_BELOW = 0.6;
+
+/**
+ * Claimed original price, deriving it from the percentage when a store only
+ * shows "x% off"
+ */
+function claimedOriginalPrice(listing) {
+  if (listing.originalPrice > listing.price) return listing.originalPrice;
+  if (listing.discount > 0 && listing.discount < 100) {
+    return Math.round(listing.price / (1 - listing.discount / 100));
+  }
+  return null;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Scores one listing's discount
+ * @param {Object} listing - Listing with price/originalPrice/discount
+ * @param {Object} references
+ * @param {Object} [references.history] - { max, count } from price history
+ * @param {number} [references.marketMedian] - Cross-store median price
+ * @returns {Object|null} null when the listing claims no discount
+ */
+function assessListing(listing, { history, marketMedian } = {}) {
+  const original = claimedOriginalPrice(listing);
+  if (!original || !(listing.price > 0)) return null;
+
+  const claimed = (original - listing.price) / original;
+  const reasons = [];
+  // Highest original price each reference can vouch for
+  const ceilings = [];
+
+  if (history && history.count >= MIN_HISTORY_POINTS) {
+    const ceiling = history.max * (1 + HISTORY_TOLERANCE);
+    ceilings.push(ceiling);
+    if (original > ceiling) reasons.push('mrp_above_price_history');
+  }
+
+  if (marketMedian) {
+    const ceiling = marketMedian * (1 + MARKET_TOLERANCE);
+    ceilings.push(ceiling);
+    if (original > ceiling) reasons.push('mrp_above_market_median');
+  }
+
+  let score;
+  let supported = original;
+
+  if (ceilings.length > 0) {
+    supported = Math.min(original, ...ceilings);
+    // Share of the claimed saving the evidence supports
+    score = Math.max(0, Math.min(1, (supported - listing.price) / (original - listing.price)));
+  } else if (claimed > IMPLAUSIBLE_DISCOUNT) {
+    score = UNVERIFIED_SCORE;
+    supported = listing.price;
+    reasons.push('implausible_discount');
+  } else {
+    score = 1;
+  }
+
+  const verifiedDiscount = supported > listing.price
+    ? Math.round(((supported - listing.price) / supported) * 100)
+    : 0;
+
+  return {
+    score: Math.round(score * 100) / 100,
+    suspicious: score < SUSPICIOUS_BELOW,
+    claimedDiscount: Math.round(claimed * 100),
+    verifiedDiscount,
+    reasons
+  };
+}
+
+/**
+ * Adds `discountCheck` to every matched product and each of its offers.
+ * The product-level check is that of its headline (cheapest) offer.
+ * @param {Array<Object>} products - Output of matchProducts
+ * @returns {Array<Object>}
+ */
+function assessDiscounts(products) {
+  const keys = products.flatMap(p => (p.offers || [p]).map(o => o.productKey));
+  const history = getPriceRanges(keys, HISTORY_DAYS);
+
+  return products.map(product => {
+    const offers = product.offers || [product];
+    const stores = new Set(offers.map(o => o.store));
+    const marketMedian = stores.size >= 2 ? median(offers.map(o => o.price)) : null;
+
+    const checkedOffers = offers.map(offer => ({
+      ...offer,
+      discountCheck: assessListing(offer, { history: history.get(offer.productKey), marketMedian })
+    }));
+
+    const headline = checkedOffers.find(o => o.id === product.id) || checkedOffers[0];
+
+    return {
+      ...product,
+      ...(product.offers && { offers: checkedOffers }),
+      discountCheck: headline.discountCheck
+    };
+  });
+}
+
+/**
+ * Discount to trust for sorting/filtering: the verified figure when the
+ * claimed one is suspicious
+ */
+function credibleDiscount(product) {
+  const check = product.discountCheck;
+  if (!check) return product.discount || 0;
+  return check.suspicious ? check.verifiedDiscount : (product.discount || 0);
+}
+
+module.exports = {
+  assessDiscounts,
+  assessListing,
+  credibleDiscount
+};
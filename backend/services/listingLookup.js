@@ -0,0 +1,84 @@
+/**
+ * Listing Lookup
+ * Re-finds a known listing (a watched product, a cart item) in fresh
+ * results from the source adapter for its store, to read its current price,
+ * or finds the same product at other stores.
+ */
+
+const { runAdapter } = require('./aggregator');
+const { getProductKey } = require('./productIdentity');
+const { getSignature, isSameProduct } = require('./productMatcher');
+
+/**
+ * Adapters that can return the listing: direct adapters for its store
+ * first, multi-store sources as a fallback
+ */
+function adaptersForStore(store, adapters) {
+  const name = (store || '').toLowerCase();
+  const direct = adapters.filter(a =>
+    (a.capabilities.stores || []).some(s => name.includes(s.toLowerCase()))
+  );
+  return direct.length > 0 ? direct : adapters.filter(a => a.capabilities.multiStore);
+}
+
+/**
+ * Finds the listing in fresh search results: exact identity first, then
+ * the same product from the same store
+ */
+function findListing(known, items) {
+  if (known.productKey) {
+    const exact = items.find(item => getProductKey(item) === known.productKey);
+    if (exact) return exact;
+  }
+
+  const signature = getSignature({ title: known.title, price: known.price });
+  return items.find(item =>
+    (item.store || '').toLowerCase() === (known.store || '').toLowerCase() &&
+    item.price > 0 &&
+    isSameProduct(signature, getSignature(item))
+  ) || null;
+}
+
+/**
+ * Looks up the current state of one listing
+ * @param {Object} known - { productKey?, title, store, price? } as last seen
+ * @param {Array<Object>} adapters - Enabled source adapters
+ * @returns {Promise<Object|null>} The matching listing, or null if not found
+ */
+async function lookupListing(known, adapters) {
+  for (const adapter of adaptersForStore(known.store, adapters)) {
+    const { items } = await runAdapter(adapter, known.title);
+    const listing = findListing(known, items);
+    if (listing) return { ...listing, productKey: known.productKey || getProductKey(listing) };
+  }
+  return null;
+}
+
+/**
+ * Finds the product at every store the enabled adapters cover
+ * @param {Object} known - { title, price? } as last seen
+ * @param {Array<Object>} adapters - Enabled source adapters
+ * @returns {Promise<Array<Object>>} The cheapest in-stock listing per store,
+ *   sorted by price
+ */
+async function lookupOffers(known, adapters) {
+  const signature = getSignature({ title: known.title, price: known.price });
+  const results = await Promise.all(adapters.map(adapter => runAdapter(adapter, known.title)));
+
+  const cheapest = new Map();
+  results.flatMap(r => r.items)
+    .filter(item => item.price > 0 && item.stock !== false && isSameProduct(signature, getSignature(item)))
+    .forEach(item => {
+      const store = (item.store || '').toLowerCase();
+      if (!cheapest.has(store) || item.price < cheapest.get(store).price) {
+        cheapest.set(store, { ...item, productKey: getProductKey(item) });
+      }
+    });
+
+  return [...cheapest.values()].sort((a, b) => a.price - b.price);
+}
+
+module.exports = {
+  lookupListing,
+  lookupOffers
+};
@@ -0,0 +1,92 @@
+/**
+ * Gemini provider - generateContent REST API
+ */
+
+/**
+ * Converts a JSON Schema (lowercase types, ['x', 'null'] for optional) to
+ * Gemini's OpenAPI-style responseSchema
+ */
+function toGeminiSchema(schema) {
+  if (!schema || typeof schema !== 'object') return schema;
+
+  let type = schema.type;
+  let nullable = false;
+  if (Array.isArray(type)) {
+    nullable = type.includes('null');
+    type = type.find(t => t !== 'null');
+  }
+
+  const converted = { type: type.toUpperCase() };
+  if (nullable) converted.nullable = true;
+  if (schema.enum) converted.enum = schema.enum;
+  if (schema.description) converted.description = schema.description;
+  if (schema.items) converted.items = toGeminiSchema(schema.items);
+  if (schema.properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([name, value]) => [name, toGeminiSchema(value)])
+    );
+  }
+  if (schema.required) converted.required = schema.required;
+
+  return converted;
+}
+
+/**
+ * @param {Object} config - Provider config from config/llm.js
+ * @param {Function} fetch
+ */
+function createGeminiProvider(config, fetch) {
+  return {
+    name: 'gemini',
+    generate: async ({ model, system, prompt, schema, temperature, maxTokens, signal }) => {
+      const apiUrl = `${config.baseUrl}/models/${model}:generateContent?key=${config.apiKey}`;
+
+      const payload = {
+        contents: [{ parts: [{ text: prompt }] }],
+        ...(system && { systemInstruction: { parts: [{ text: system }] } }),
+        generationConfig: {
+          temperature,
+          ...(maxTokens && { maxOutputTokens: maxTokens }),
+          ...(schema && {
+            responseMimeType: 'application/json',
+            responseSchema: toGeminiSchema(schema)
+          })
+        }
+      };
+
+      const response = await fetch(apiUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal
+      });
+
+      if (!response.ok) {
+        const error = new Error(`Gemini API returned ${response.status}: ${(await response.text()).slice(0, 200)}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      const data = await response.json();
+      const candidate = data.candidates?.[0];
+      if (!candidate?.content) {
+        throw new Error('Invalid response structure from Gemini API');
+      }
+
+      // Safety blocks and cut-off responses aren't usable output
+      if (['SAFETY', 'RECITATION', 'MAX_TOKENS'].includes(candidate.finishReason)) {
+        throw new Error(`Gemini response blocked or cut off: ${candidate.finishReason}`);
+      }
+
+      return {
+        text: candidate.content.parts?.map(part => part.text || '').join('') || '',
+        usage: {
+          inputTokens: data.usageMetadata?.promptTokenCount || 0,
+          outputTokens: data.usageMetadata?.candidatesTokenCount || 0
+        }
+      };
+    }
+  };
+}
+
+module.exports = createGeminiProvider;
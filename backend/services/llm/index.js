@@ -0,0 +1,192 @@
+/**
+ * LLM Client
+ * One entry point for every LLM call in the backend. Callers name a task
+ * ('ranking', 'verdict', 'queryParsing', 'comparison'); config/llm.js maps
+ * it to a provider and model. Handles timeouts, retries with backoff and
+ * token accounting.
+ *
+ *   const llm = require('./llm');
+ *   if (llm.isAvailable('verdict')) {
+ *     const text = await llm.generateText('verdict', { system, prompt });
+ *   }
+ */
+
+const { getTaskConfig, TASKS } = require('../../config/llm');
+const createGeminiProvider = require('./gemini');
+const createOpenAIProvider = require('./openai');
+const { validateSchema } = require('./schema');
+
+// Use native fetch (Node.js 18+) or fallback to node-fetch
+let fetch;
+if (typeof globalThis.fetch === 'function') {
+  fetch = globalThis.fetch;
+} else {
+  fetch = (...args) => import('node-fetch').then(({ default: f }) => f(...args));
+}
+
+const RETRY_BASE_DELAY = 500;
+
+const providerFactories = {
+  gemini: (config) => createGeminiProvider(config, fetch),
+  openai: (config) => createOpenAIProvider('openai', config, fetch),
+  local: (config) => createOpenAIProvider('local', config, fetch)
+};
+
+const providerCache = {};
+const usage = {};
+
+function getProvider(config) {
+  if (!providerCache[config.provider]) {
+    providerCache[config.provider] = providerFactories[config.provider](config.providerConfig);
+  }
+  return providerCache[config.provider];
+}
+
+function track(config, result, failed) {
+  const key = `${config.task}:${config.provider}`;
+  if (!usage[key]) {
+    usage[key] = { task: config.task, provider: config.provider, requests: 0, failures: 0, inputTokens: 0, outputTokens: 0 };
+  }
+  const entry = usage[key];
+  entry.requests++;
+  if (failed) entry.failures++;
+  if (result) {
+    entry.inputTokens += result.usage.inputTokens;
+    entry.outputTokens += result.usage.outputTokens;
+  }
+}
+
+// Rate limits, server errors and timeouts are worth another attempt
+function isRetryable(error) {
+  if (error.name === 'AbortError' || error.name === 'TimeoutError') return true;
+  if (error.status) return error.status === 429 || error.status >= 500;
+  return error instanceof TypeError; // network failure
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Whether the provider configured for a task can be called
+ * @param {string} task
+ * @returns {boolean}
+ */
+function isAvailable(task) {
+  return getTaskConfig(task).providerConfig.configured;
+}
+
+async function callProvider(task, request) {
+  const config = getTaskConfig(task);
+  if (!config.providerConfig.configured) {
+    throw new Error(`LLM provider "${config.provider}" is not configured (task: ${task})`);
+  }
+
+  const provider = getProvider(config);
+  let lastError;
+
+  for (let attempt = 0; attempt <= config.retries; attempt++) {
+    if (attempt > 0) {
+      await sleep(RETRY_BASE_DELAY * 2 ** (attempt - 1));
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), config.timeout);
+
+    try {
+      const result = await provider.generate({
+        model: config.model,
+        temperature: config.temperature,
+        maxTokens: config.maxTokens,
+        ...request,
+        signal: controller.signal
+      });
+      track(config, result, false);
+      return result.text;
+    } catch (error) {
+      track(config, null, true);
+      lastError = error.name === 'AbortError'
+        ? Object.assign(new Error(`${config.provider} timed out after ${config.timeout}ms`), { name: 'AbortError' })
+        : error;
+      if (!isRetryable(lastError)) break;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Generates free text
+ * @param {string} task - Task name from config/llm.js
+ * @param {Object} request
+ * @param {string} [request.system] - System instruction
+ * @param {string} request.prompt - User prompt
+ * @param {number} [request.temperature] - Overrides the task default
+ * @param {number} [request.maxTokens] - Overrides the task default
+ * @returns {Promise<string>} Trimmed response text; rejects when empty
+ */
+async function generateText(task, request) {
+  const text = (await callProvider(task, request)).trim();
+  if (!text) {
+    throw new Error(`Empty response from LLM (task: ${task})`);
+  }
+  return text;
+}
+
+/**
+ * Generates JSON conforming to a schema
+ * @param {string} task - Task name from config/llm.js
+ * @param {Object} request
+ * @param {string} [request.system] - System instruction
+ * @param {string} request.prompt - User prompt
+ * @param {Object} request.schema - JSON Schema (lowercase types; use
+ *   ['number', 'null'] for nullable fields)
+ * @returns {Promise<*>} Parsed JSON; rejects on invalid JSON or JSON that
+ *   doesn't match the schema
+ */
+async function generateJSON(task, request) {
+  if (!request.schema) {
+    throw new Error('generateJSON requires a schema');
+  }
+
+  const text = await callProvider(task, request);
+  // Local models sometimes wrap JSON in a markdown fence
+  const json = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+  let result;
+  try {
+    result = JSON.parse(json);
+  } catch (e) {
+    throw new Error(`Failed to parse LLM JSON response: ${e.message}. Raw text: ${json.slice(0, 100)}...`);
+  }
+
+  const errors = validateSchema(result, request.schema);
+  if (errors.length > 0) {
+    throw new Error(`LLM response does not match schema: ${errors.slice(0, 3).join('; ')}`);
+  }
+  return result;
+}
+
+/**
+ * Token and request counts since startup, per task and provider
+ * @returns {Object} { totals, byTask }
+ */
+function getUsage() {
+  const byTask = Object.values(usage).map(entry => ({ ...entry }));
+  const totals = byTask.reduce((sum, entry) => ({
+    requests: sum.requests + entry.requests,
+    failures: sum.failures + entry.failures,
+    inputTokens: sum.inputTokens + entry.inputTokens,
+    outputTokens: sum.outputTokens + entry.outputTokens
+  }), { requests: 0, failures: 0, inputTokens: 0, outputTokens: 0 });
+
+  return { totals, byTask };
+}
+
+module.exports = {
+  generateText,
+  generateJSON,
+  isAvailable,
+  getUsage,
+  TASKS
+};
@@ -0,0 +1,76 @@
+/**
+ * OpenAI-compatible provider - Chat Completions API. Serves both OpenAI and
+ * local servers (Ollama, llama.cpp, vLLM, LM Studio) via `baseUrl`.
+ */
+
+/**
+ * @param {string} name - Provider id ('openai' or 'local')
+ * @param {Object} config - Provider config from config/llm.js
+ * @param {Function} fetch
+ */
+function createOpenAIProvider(name, config, fetch) {
+  return {
+    name,
+    generate: async ({ model, system, prompt, schema, temperature, maxTokens, signal }) => {
+      let systemText = system || '';
+      let responseFormat;
+
+      if (schema && config.structuredOutputs) {
+        responseFormat = {
+          type: 'json_schema',
+          json_schema: { name: 'response', schema, strict: false }
+        };
+      } else if (schema) {
+        // Plain JSON mode: the model only sees the schema through the prompt
+        responseFormat = { type: 'json_object' };
+        systemText += `\n\nRespond with JSON matching this schema:\n${JSON.stringify(schema)}`;
+      }
+
+      const messages = [
+        ...(systemText.trim() ? [{ role: 'system', content: systemText.trim() }] : []),
+        { role: 'user', content: prompt }
+      ];
+
+      const response = await fetch(`${config.baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(config.apiKey && { Authorization: `Bearer ${config.apiKey}` })
+        },
+        body: JSON.stringify({
+          model,
+          messages,
+          temperature,
+          ...(maxTokens && { max_tokens: maxTokens }),
+          ...(responseFormat && { response_format: responseFormat })
+        }),
+        signal
+      });
+
+      if (!response.ok) {
+        const error = new Error(`${name} API returned ${response.status}: ${(await response.text()).slice(0, 200)}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      const data = await response.json();
+      const choice = data.choices?.[0];
+      if (!choice?.message) {
+        throw new Error(`Invalid response structure from ${name} API`);
+      }
+      if (choice.finish_reason === 'length' || choice.finish_reason === 'content_filter') {
+        throw new Error(`${name} response blocked or cut off: ${choice.finish_reason}`);
+      }
+
+      return {
+        text: choice.message.content || '',
+        usage: {
+          inputTokens: data.usage?.prompt_tokens || 0,
+          outputTokens: data.usage?.completion_tokens || 0
+        }
+      };
+    }
+  };
+}
+
+module.exports = createOpenAIProvider;
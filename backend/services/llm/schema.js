@@ -0,0 +1,73 @@
+/**
+ * JSON Schema Validation
+ * Checks LLM JSON output against the schema it was asked for. Providers
+ * without strict structured outputs (plain JSON mode, most local models)
+ * can return objects that parse but don't match.
+ *
+ * Supports the subset of JSON Schema the backend uses: type (including
+ * ['x', 'null'] unions), enum, properties, required, items, minItems,
+ * maxItems, minimum and maximum.
+ */
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  // Every integer is also a number
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validates a value against a schema
+ * @param {*} value - Parsed JSON
+ * @param {Object} schema - JSON Schema
+ * @param {string} [path] - Location used in error messages
+ * @returns {Array<string>} Errors; empty when the value is valid
+ */
+function validateSchema(value, schema, path = '$') {
+  if (!schema || typeof schema !== 'object') return [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${path} should be ${types.join(' or ')}, got ${typeOf(value)}`];
+    }
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} should be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} should be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path} should have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path} should have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(name => {
+      if (value[name] === undefined) errors.push(`${path}.${name} is required`);
+    });
+    Object.entries(schema.properties || {}).forEach(([name, propertySchema]) => {
+      if (value[name] !== undefined) errors.push(...validateSchema(value[name], propertySchema, `${path}.${name}`));
+    });
+  }
+
+  return errors;
+}
+
+module.exports = { validateSchema };
@@ -0,0 +1,15 @@
+/**
+ * Console notifier - logs price-drop alerts. Default when nothing else is
+ * configured, useful in development.
+ */
+function createConsoleNotifier() {
+  return {
+    name: 'console',
+    notify: async (alert) => {
+      console.log(`🔔 Price drop: "${alert.title}" is now ₹${alert.price} at ${alert.store} (target ₹${alert.targetPrice})`);
+      console.log(`   → ${alert.link}`);
+    }
+  };
+}
+
+module.exports = createConsoleNotifier;
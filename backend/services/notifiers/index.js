@@ -0,0 +1,65 @@
+/**
+ * Notifiers
+ * Pluggable delivery channels for price-drop alerts. Pick any combination
+ * with NOTIFIERS=console,webhook,smtp (default: console).
+ *
+ * @typedef {Object} Notifier
+ * @property {string} name - Channel id recorded on the delivered alert
+ * @property {function(Object): Promise<void>} notify - Delivers one alert;
+ *   rejects on failure
+ */
+
+const factories = {
+  console: require('./console'),
+  webhook: require('./webhook'),
+  smtp: require('./smtp')
+};
+
+/**
+ * Builds the notifiers listed in NOTIFIERS. Misconfigured channels are
+ * skipped with a warning rather than stopping the watcher.
+ * @returns {Array<Notifier>}
+ */
+function loadNotifiers(names = process.env.NOTIFIERS || 'console') {
+  return names
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean)
+    .map(name => {
+      const factory = factories[name];
+      if (!factory) {
+        console.warn(`⚠️  Unknown notifier "${name}" - skipping`);
+        return null;
+      }
+      try {
+        return factory();
+      } catch (error) {
+        console.warn(`⚠️  Notifier "${name}" disabled: ${error.message}`);
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Sends an alert through every notifier
+ * @returns {Promise<Array<string>>} Names of the channels that delivered it
+ */
+async function notifyAll(notifiers, alert) {
+  const results = await Promise.allSettled(notifiers.map(n => n.notify(alert)));
+
+  return results
+    .map((result, i) => {
+      if (result.status === 'rejected') {
+        console.error(`❌ ${notifiers[i].name} notifier failed:`, result.reason.message);
+        return null;
+      }
+      return notifiers[i].name;
+    })
+    .filter(Boolean);
+}
+
+module.exports = {
+  loadNotifiers,
+  notifyAll
+};
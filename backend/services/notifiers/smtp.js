@@ -0,0 +1,44 @@
+/**
+ * SMTP notifier - emails the watcher. Defaults point at a local SMTP sink
+ * (e.g. MailHog/Mailpit on localhost:1025) for testing.
+ */
+function createSmtpNotifier() {
+  const nodemailer = require('nodemailer');
+
+  const port = Number(process.env.SMTP_PORT) || 1025;
+  const transport = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port,
+    secure: port === 465,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+  const from = process.env.SMTP_FROM || 'ShopMate <alerts@shopmate.local>';
+
+  return {
+    name: 'smtp',
+    notify: async (alert) => {
+      if (!alert.email) {
+        throw new Error('Watch has no email address');
+      }
+
+      await transport.sendMail({
+        from,
+        to: alert.email,
+        subject: `Price drop: ${alert.title.slice(0, 60)} is now ₹${alert.price}`,
+        text: [
+          `Good news! A product on your watchlist dropped to your target price.`,
+          '',
+          alert.title,
+          `Now: ₹${alert.price} at ${alert.store}`,
+          `Your target: ₹${alert.targetPrice}`,
+          '',
+          alert.link
+        ].join('\n')
+      });
+    }
+  };
+}
+
+module.exports = createSmtpNotifier;
@@ -0,0 +1,45 @@
+// Use native fetch (Node.js 18+) or fallback to node-fetch
+let fetch;
+if (typeof globalThis.fetch === 'function') {
+  fetch = globalThis.fetch;
+} else {
+  fetch = (...args) => import('node-fetch').then(({ default: f }) => f(...args));
+}
+
+const WEBHOOK_TIMEOUT = 5000;
+
+/**
+ * Webhook notifier - POSTs each alert as JSON to WATCH_WEBHOOK_URL
+ * (Slack/Discord relays, n8n, Zapier, ...)
+ */
+function createWebhookNotifier() {
+  const url = process.env.WATCH_WEBHOOK_URL;
+  if (!url) {
+    throw new Error('WATCH_WEBHOOK_URL is required for the webhook notifier');
+  }
+
+  return {
+    name: 'webhook',
+    notify: async (alert) => {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT);
+
+      try {
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ type: 'price_drop', alert }),
+          signal: controller.signal
+        });
+
+        if (!response.ok) {
+          throw new Error(`Webhook returned ${response.status}`);
+        }
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+  };
+}
+
+module.exports = createWebhookNotifier;
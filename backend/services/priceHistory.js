@@ -0,0 +1,224 @@
+/**
+ * Price History Store
+ * Records every listing returned by a search into an embedded SQLite database
+ * so prices can be tracked over time, keyed by product identity.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DB_PATH = process.env.PRICE_HISTORY_DB || path.join(__dirname, '..', 'data', 'price-history.db');
+// Skip writing an unchanged price for the same listing more often than this
+const MIN_INTERVAL_MS = Number(process.env.PRICE_HISTORY_MIN_INTERVAL_MS) || 60 * 60 * 1000;
+const DEFAULT_WINDOWS = [7, 30, 90];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let db = null;
+let disabled = false;
+let statements = null;
+
+/**
+ * Opens (and migrates) the database on first use.
+ * Returns null if SQLite is unavailable - history is best-effort.
+ */
+function getDb() {
+  if (db || disabled) return db;
+
+  try {
+    const Database = require('better-sqlite3');
+    if (DB_PATH !== ':memory:') {
+      fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
+    }
+
+    db = new Database(DB_PATH);
+    db.pragma('journal_mode = WAL');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS products (
+        key TEXT PRIMARY KEY,
+        store TEXT,
+        title TEXT,
+        link TEXT,
+        image TEXT,
+        first_seen INTEGER NOT NULL,
+        last_seen INTEGER NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS price_points (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        product_key TEXT NOT NULL REFERENCES products(key),
+        price REAL NOT NULL,
+        original_price REAL,
+        rating REAL,
+        reviews INTEGER,
+        recorded_at INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_price_points_product
+        ON price_points (product_key, recorded_at);
+    `);
+
+    statements = {
+      upsertProduct: db.prepare(`
+        INSERT INTO products (key, store, title, link, image, first_seen, last_seen)
+        VALUES (@key, @store, @title, @link, @image, @now, @now)
+        ON CONFLICT(key) DO UPDATE SET
+          store = excluded.store, title = excluded.title, link = excluded.link,
+          image = excluded.image, last_seen = excluded.last_seen
+      `),
+      lastPoint: db.prepare(`
+        SELECT price, recorded_at FROM price_points
+        WHERE product_key = ? ORDER BY recorded_at DESC LIMIT 1
+      `),
+      insertPoint: db.prepare(`
+        INSERT INTO price_points (product_key, price, original_price, rating, reviews, recorded_at)
+        VALUES (@key, @price, @originalPrice, @rating, @reviews, @now)
+      `),
+      getProduct: db.prepare('SELECT * FROM products WHERE key = ?'),
+      pointsSince: db.prepare(`
+        SELECT price, original_price, rating, reviews, recorded_at FROM price_points
+        WHERE product_key = ? AND recorded_at >= ? ORDER BY recorded_at ASC
+      `),
+      statsSince: db.prepare(`
+        SELECT MIN(price) AS min, MAX(price) AS max, AVG(price) AS avg, COUNT(*) AS count
+        FROM price_points WHERE product_key = ? AND recorded_at >= ?
+      `)
+    };
+
+    console.log(`💾 Price history database: ${DB_PATH}`);
+  } catch (error) {
+    console.error('⚠️  Price history disabled:', error.message);
+    disabled = true;
+    db = null;
+  }
+
+  return db;
+}
+
+/**
+ * Records a price point for every listing (including every offer of a
+ * matched product). Never throws.
+ * @param {Array<Object>} products - Products as returned by getProductResults
+ * @returns {number} Number of price points written
+ */
+function recordListings(products) {
+  if (!getDb()) return 0;
+
+  const listings = products.flatMap(p => p.offers || [p]).filter(l => l.productKey && l.price > 0);
+  const now = Date.now();
+  let written = 0;
+
+  try {
+    db.transaction(() => {
+      listings.forEach(listing => {
+        const key = listing.productKey;
+        statements.upsertProduct.run({
+          key,
+          store: listing.store || null,
+          title: listing.title || null,
+          link: listing.link || null,
+          image: listing.image || null,
+          now
+        });
+
+        const last = statements.lastPoint.get(key);
+        if (last && last.price === listing.price && now - last.recorded_at < MIN_INTERVAL_MS) {
+          return;
+        }
+
+        statements.insertPoint.run({
+          key,
+          price: listing.price,
+          originalPrice: listing.originalPrice || null,
+          rating: listing.rating || null,
+          reviews: listing.reviews || null,
+          now
+        });
+        written++;
+      });
+    })();
+  } catch (error) {
+    console.error('⚠️  Failed to record price history:', error.message);
+  }
+
+  return written;
+}
+
+/**
+ * Returns the price time series and min/max/average per window for a product
+ * @param {string} key - Product identity key (see productIdentity.js)
+ * @param {Object} [options]
+ * @param {Array<number>} [options.windows] - Stat windows in days
+ * @param {number} [options.days] - How far back to return points
+ * @returns {Object|null} null when the product has never been seen
+ */
+function getHistory(key, options = {}) {
+  if (!getDb()) return null;
+
+  const product = statements.getProduct.get(key);
+  if (!product) return null;
+
+  const windows = options.windows || DEFAULT_WINDOWS;
+  const days = options.days || Math.max(...windows);
+  const now = Date.now();
+
+  const points = statements.pointsSince.all(key, now - days * DAY_MS).map(row => ({
+    price: row.price,
+    originalPrice: row.original_price,
+    rating: row.rating,
+    reviews: row.reviews,
+    recordedAt: new Date(row.recorded_at).toISOString()
+  }));
+
+  const stats = {};
+  windows.forEach(window => {
+    const row = statements.statsSince.get(key, now - window * DAY_MS);
+    stats[`${window}d`] = row.count > 0
+      ? { min: row.min, max: row.max, avg: Math.round(row.avg * 100) / 100, count: row.count }
+      : null;
+  });
+
+  return {
+    product: {
+      key: product.key,
+      store: product.store,
+      title: product.title,
+      link: product.link,
+      image: product.image,
+      firstSeen: new Date(product.first_seen).toISOString(),
+      lastSeen: new Date(product.last_seen).toISOString()
+    },
+    points,
+    stats
+  };
+}
+
+/**
+ * Observed price range per product over the last `days`, for many keys at
+ * once. Keys with no recorded points are omitted.
+ * @param {Array<string>} keys - Product identity keys
+ * @param {number} [days=90]
+ * @returns {Map<string, {min: number, max: number, avg: number, count: number}>}
+ */
+function getPriceRanges(keys, days = 90) {
+  const ranges = new Map();
+  if (!getDb()) return ranges;
+
+  const since = Date.now() - days * DAY_MS;
+  new Set(keys.filter(Boolean)).forEach(key => {
+    const row = statements.statsSince.get(key, since);
+    if (row.count > 0) {
+      ranges.set(key, { min: row.min, max: row.max, avg: row.avg, count: row.count });
+    }
+  });
+
+  return ranges;
+}
+
+function isEnabled() {
+  return !!getDb();
+}
+
+module.exports = {
+  recordListings,
+  getHistory,
+  getPriceRanges,
+  isEnabled
+};
@@ -0,0 +1,168 @@
+/**
+ * Price Watcher
+ * Background job that re-checks every watched product on an interval,
+ * records the new price in Convex and delivers an alert when a watch's
+ * target price is reached. Alerts that no notifier could deliver are sent
+ * again on later passes, up to ALERT_MAX_ATTEMPTS times (default 5).
+ *
+ * Needs CONVEX_URL and WATCHLIST_JOB_SECRET (the same secret must be set as
+ * a Convex environment variable); otherwise the job stays off.
+ */
+
+const { getEnabledAdapters } = require('./sources/registry');
+const { lookupListing } = require('./listingLookup');
+const { recordListings } = require('./priceHistory');
+const { loadNotifiers, notifyAll } = require('./notifiers');
+
+const CHECK_INTERVAL_MS = Number(process.env.WATCH_CHECK_INTERVAL_MS) || 30 * 60 * 1000;
+const MAX_DELIVERY_ATTEMPTS = Number(process.env.ALERT_MAX_ATTEMPTS) || 5;
+
+let timer = null;
+let running = false;
+
+function isConfigured() {
+  return !!process.env.CONVEX_URL && !!process.env.WATCHLIST_JOB_SECRET;
+}
+
+function createClient() {
+  const { ConvexHttpClient } = require('convex/browser');
+  const { anyApi } = require('convex/server');
+  return { client: new ConvexHttpClient(process.env.CONVEX_URL), api: anyApi };
+}
+
+/**
+ * Sends an alert and records the outcome: delivered through at least one
+ * channel, or another failed attempt
+ * @returns {Promise<boolean>} Whether it was delivered
+ */
+async function deliverAlert({ client, api, secret }, notifiers, alert) {
+  const channels = await notifyAll(notifiers, alert);
+  if (channels.length > 0) {
+    await client.mutation(api.watchlist.markAlertDelivered, {
+      secret,
+      alertId: alert._id,
+      channels
+    });
+    return true;
+  }
+
+  const attempts = await client.mutation(api.watchlist.recordAlertFailure, { secret, alertId: alert._id });
+  if (attempts >= MAX_DELIVERY_ATTEMPTS) {
+    console.error(`❌ Giving up on alert ${alert._id} after ${attempts} failed deliveries`);
+  }
+  return false;
+}
+
+/**
+ * Runs one pass over every watch. Watches on the same product share a
+ * single lookup; undelivered alerts from earlier passes are retried first.
+ * Never throws.
+ * @returns {Promise<Object>} { checked, updated, alerts, retried }
+ */
+async function checkWatches() {
+  const summary = { checked: 0, updated: 0, alerts: 0, retried: 0 };
+  if (running || !isConfigured()) return summary;
+  running = true;
+
+  try {
+    const { client, api } = createClient();
+    const secret = process.env.WATCHLIST_JOB_SECRET;
+    const job = { client, api, secret };
+    const notifiers = loadNotifiers();
+
+    const undelivered = await client.query(api.watchlist.listUndeliveredAlerts, {
+      secret,
+      maxAttempts: MAX_DELIVERY_ATTEMPTS
+    });
+    for (const alert of undelivered) {
+      try {
+        if (await deliverAlert(job, notifiers, alert)) summary.retried++;
+      } catch (error) {
+        console.error(`❌ Failed to retry alert ${alert._id}:`, error.message);
+      }
+    }
+
+    const watches = await client.query(api.watchlist.listWatchesToCheck, { secret });
+    if (watches.length === 0) return summary;
+
+    console.log(`👀 Re-checking ${watches.length} watched products...`);
+    const adapters = getEnabledAdapters();
+
+    const byProduct = new Map();
+    watches.forEach(watch => {
+      if (!byProduct.has(watch.productKey)) byProduct.set(watch.productKey, []);
+      byProduct.get(watch.productKey).push(watch);
+    });
+
+    for (const group of byProduct.values()) {
+      summary.checked += group.length;
+      const [first] = group;
+      const listing = await lookupListing({
+        productKey: first.productKey,
+        title: first.title,
+        store: first.store,
+        price: first.lastPrice || first.priceAtAdd
+      }, adapters);
+      if (!listing) {
+        console.warn(`⚠️  Watched product not found: ${first.title.slice(0, 60)}`);
+        continue;
+      }
+
+      recordListings([listing]);
+
+      for (const watch of group) {
+        try {
+          const alert = await client.mutation(api.watchlist.recordCheck, {
+            secret,
+            watchId: watch._id,
+            price: listing.price
+          });
+          summary.updated++;
+          if (!alert) continue;
+
+          summary.alerts++;
+          await deliverAlert(job, notifiers, alert);
+        } catch (error) {
+          console.error(`❌ Failed to update watch ${watch._id}:`, error.message);
+        }
+      }
+    }
+
+    console.log(`✅ Watchlist check: ${summary.updated}/${summary.checked} updated, ${summary.alerts} alerts, ${summary.retried} redelivered`);
+  } catch (error) {
+    console.error('❌ Watchlist check failed:', error.message);
+  } finally {
+    running = false;
+  }
+
+  return summary;
+}
+
+/**
+ * Runs a check now and then on every interval, so a restart doesn't leave
+ * watches unchecked for a full interval. No-op when Convex isn't configured.
+ * @returns {boolean} Whether the job was started
+ */
+function startPriceWatcher() {
+  if (timer || !isConfigured()) return false;
+
+  checkWatches();
+  timer = setInterval(checkWatches, CHECK_INTERVAL_MS);
+  // Don't keep the process alive just for the watcher
+  timer.unref();
+  return true;
+}
+
+function stopPriceWatcher() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  checkWatches,
+  startPriceWatcher,
+  stopPriceWatcher,
+  isConfigured
+};
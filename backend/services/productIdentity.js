@@ -0,0 +1,83 @@
+/**
+ * Product Identity
+ * Derives a stable key for a store listing so the same listing can be
+ * recognised across searches: Amazon ASIN, Flipkart PID, or a normalized URL.
+ *
+ *   amazon:B0CHX1W1XY
+ *   flipkart:MOBGTAGPTB3VS24W
+ *   url:croma.com/samsung-galaxy-s24/p/305384
+ */
+
+// Query parameters that only carry tracking/session state
+const TRACKING_PARAMS = /^(utm_|ref|tag|psc|qid|sr|srsltid|gclid|fbclid|lid|marketplace|store|spotlighttagid|ssid|otracker|fm|iid|ppt|ppn|sid|affid|affextparam\d*)/i;
+
+function extractAsin(link, id) {
+  const match = (link || '').match(/\/(?:dp|gp\/product|gp\/aw\/d)\/([A-Z0-9]{10})(?:[/?]|$)/i);
+  if (match) return match[1].toUpperCase();
+
+  const idMatch = (id || '').match(/^amazon_([A-Z0-9]{10})_/i);
+  return idMatch ? idMatch[1].toUpperCase() : null;
+}
+
+function extractFlipkartPid(url) {
+  const pid = url.searchParams.get('pid');
+  return pid ? pid.toUpperCase() : null;
+}
+
+/**
+ * Normalizes a product URL: lowercase host without www, no tracking params,
+ * no fragment, no trailing slash
+ */
+function normalizeUrl(link) {
+  let url;
+  try {
+    url = new URL(link);
+  } catch (e) {
+    return null;
+  }
+
+  const host = url.hostname.toLowerCase().replace(/^www\./, '');
+  const path = url.pathname.replace(/\/+$/, '');
+  const params = [...url.searchParams.entries()]
+    .filter(([name]) => !TRACKING_PARAMS.test(name))
+    .sort(([a], [b]) => a.localeCompare(b));
+
+  const query = params.length > 0 ? `?${new URLSearchParams(params)}` : '';
+  return `${host}${path}${query}`;
+}
+
+/**
+ * Returns the stable identity key for a listing, or null if it has no usable link
+ * @param {Object} product - Listing with at least `link` (and optionally `id`)
+ * @returns {string|null}
+ */
+function getProductKey(product) {
+  if (!product || !product.link) return null;
+
+  const asin = /amazon\./i.test(product.link) || /^amazon_/.test(product.id || '')
+    ? extractAsin(product.link, product.id)
+    : null;
+  if (asin) return `amazon:${asin}`;
+
+  let url;
+  try {
+    url = new URL(product.link);
+  } catch (e) {
+    return null;
+  }
+
+  if (/flipkart\.com$/i.test(url.hostname)) {
+    const pid = extractFlipkartPid(url);
+    if (pid) return `flipkart:${pid}`;
+  }
+
+  const normalized = normalizeUrl(product.link);
+  return normalized ? `url:${normalized}` : null;
+}
+
+module.exports = {
+  getProductKey,
+  normalizeUrl,
+  extractAsin,
+  extractFlipkartPid
+};
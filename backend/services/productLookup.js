@@ -0,0 +1,283 @@
+/**
+ * Product Lookup
+ * Starts from a product page link instead of a keyword. An Amazon.in or
+ * Flipkart URL (including share-button short links) is canonicalized, the
+ * product page is read through that store's source adapter, and a precise
+ * search query derived from its title ("Apple iPhone 15 128GB") is run
+ * through the aggregator. The offers returned are the same product at the
+ * other stores, matched on brand, model and variant (productMatcher).
+ *
+ * If the product page can't be read (bot checks, no browser), the title is
+ * taken from the URL slug so the lookup still works, with fewer details.
+ */
+
+const { getProductKey, extractAsin, extractFlipkartPid } = require('./productIdentity');
+const { getSignature, isSameProduct, extractCapacities } = require('./productMatcher');
+const registry = require('./sources/registry');
+
+// Use native fetch (Node.js 18+) or fallback to node-fetch
+let fetch;
+if (typeof globalThis.fetch === 'function') {
+  fetch = globalThis.fetch;
+} else {
+  fetch = (...args) => import('node-fetch').then(({ default: f }) => f(...args));
+}
+
+const MAX_URL_LENGTH = 2048;
+const MAX_QUERY_WORDS = 6;
+// Same limit as /api/products queries
+const MAX_QUERY_LENGTH = 100;
+const REDIRECT_TIMEOUT = 5000;
+
+const STORES = {
+  amazon: { name: 'Amazon', host: /^(www\.|m\.)?amazon\.in$/ },
+  flipkart: { name: 'Flipkart', host: /^(www\.|m\.|dl\.)?flipkart\.com$/ }
+};
+// Share links that redirect to a product page
+const SHORT_LINK_HOSTS = /^(amzn\.in|amzn\.to|a\.co|fkrt\.it|fkrt\.co|fkrt\.to)$/;
+
+// Short links, and Flipkart app links that aren't a product path yet
+function isShareLink(url) {
+  const host = url.hostname.toLowerCase();
+  return SHORT_LINK_HOSTS.test(host) || (host === 'dl.flipkart.com' && !/\/p\/itm/i.test(url.pathname));
+}
+
+function storeForHost(hostname) {
+  const host = hostname.toLowerCase();
+  return Object.keys(STORES).find(id => STORES[id].host.test(host)) || null;
+}
+
+function lookupError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Validates a lookup request
+ * @param {Object} query - Request query string ({ url })
+ * @returns {Object} { url }
+ * @throws {Error} If the URL is missing, malformed or not from a supported store
+ */
+function parseLookupRequest(query = {}) {
+  const raw = typeof query.url === 'string' ? query.url.trim() : '';
+  if (!raw) {
+    throw new Error('Provide a product link using ?url=https://www.amazon.in/dp/...');
+  }
+  if (raw.length > MAX_URL_LENGTH) {
+    throw new Error(`url must be at most ${MAX_URL_LENGTH} characters`);
+  }
+
+  let url;
+  try {
+    url = new URL(raw);
+  } catch (error) {
+    throw new Error('url is not a valid URL');
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw new Error('url must be an http(s) link');
+  }
+  if (!storeForHost(url.hostname) && !SHORT_LINK_HOSTS.test(url.hostname.toLowerCase())) {
+    throw new Error('Only Amazon.in and Flipkart product links are supported');
+  }
+
+  return { url: url.href };
+}
+
+// "Apple-iPhone-15-128-GB" -> "Apple iPhone 15 128 GB"
+function slugToTitle(slug) {
+  let text = slug || '';
+  try {
+    text = decodeURIComponent(text);
+  } catch (error) {
+    // keep it encoded
+  }
+  return text.replace(/[-_+]+/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Canonical form of a store product URL
+ * @param {string} link
+ * @returns {Object|null} { store, name, url, productKey, slugTitle }, or null
+ *   if the link isn't a product page of a supported store
+ */
+function canonicalizeUrl(link) {
+  let url;
+  try {
+    url = new URL(link);
+  } catch (error) {
+    return null;
+  }
+  const store = storeForHost(url.hostname);
+
+  if (store === 'amazon') {
+    const asin = extractAsin(url.pathname);
+    if (!asin) return null;
+    // /Apple-iPhone-15-128-GB/dp/B0CHX1W1XY
+    const slug = url.pathname.match(/^\/([^/]+)\/(?:dp|gp\/product)\//i)?.[1];
+    const canonical = `https://www.amazon.in/dp/${asin}`;
+    return {
+      store,
+      name: STORES.amazon.name,
+      url: canonical,
+      productKey: getProductKey({ link: canonical }),
+      slugTitle: slug ? slugToTitle(slug) : ''
+    };
+  }
+
+  if (store === 'flipkart') {
+    // /apple-iphone-15-black-128-gb/p/itm6ac6485515ae4?pid=MOBGTAGPTB3VS24W,
+    // with a /dl prefix on app share links
+    const match = url.pathname.replace(/^\/dl\//, '/').match(/^\/([^/]+)\/p\/(itm[a-z0-9]+)/i);
+    if (!match) return null;
+    const pid = extractFlipkartPid(url);
+    const canonical = `https://www.flipkart.com/${match[1]}/p/${match[2]}${pid ? `?pid=${pid}` : ''}`;
+    return {
+      store,
+      name: STORES.flipkart.name,
+      url: canonical,
+      productKey: getProductKey({ link: canonical }),
+      slugTitle: slugToTitle(match[1])
+    };
+  }
+
+  return null;
+}
+
+// Follows a share link's redirects to the product page URL
+async function resolveShortLink(link) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REDIRECT_TIMEOUT);
+  try {
+    const res = await fetch(link, { redirect: 'follow', signal: controller.signal });
+    return res.url || link;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function formatCapacity(gb) {
+  return gb >= 1024 && gb % 1024 === 0 ? `${gb / 1024}TB` : `${gb}GB`;
+}
+
+/**
+ * Derives a search query that other stores will match to the product:
+ * brand and model words from the title, without bracketed variant details
+ * or marketing copy, plus the RAM/storage variant
+ * @param {Object} product - { title, brand? }
+ * @returns {string} e.g. "Apple iPhone 15 128GB"
+ */
+function buildSearchQuery({ title, brand }) {
+  const { ram, storage } = extractCapacities(title);
+  const base = title
+    .replace(/\([^)]*\)|\[[^\]]*\]/g, ' ')
+    .split(/\s[-–|]\s|:\s|,|\bwith\b/i)[0]
+    .replace(/\b\d+(?:\.\d+)?\s*(?:gb|tb)\b(\s*ram\b)?/gi, ' ');
+
+  const words = base.split(/\s+/).filter(Boolean).slice(0, MAX_QUERY_WORDS);
+  if (brand && !base.toLowerCase().includes(brand.toLowerCase())) words.unshift(brand);
+  if (ram) words.push(`${formatCapacity(ram)} RAM`);
+  if (storage) words.push(formatCapacity(storage));
+
+  return words.join(' ').slice(0, MAX_QUERY_LENGTH).trim();
+}
+
+/**
+ * The product's offers at the other stores in aggregated results: the
+ * cheapest in-stock matching listing per store, sorted by price
+ * @param {Object} product - { title, price, store, productKey }
+ * @param {Array<Object>} products - Matched products from getProductResults
+ * @returns {Array<Object>}
+ */
+function selectOffers(product, products) {
+  const signature = getSignature({ title: product.title, price: product.price });
+  const ownStore = product.store.toLowerCase();
+
+  const cheapest = new Map();
+  products.flatMap(p => p.offers || [p])
+    .filter(item => item.price > 0 && item.stock !== false)
+    .filter(item => !(item.store || '').toLowerCase().includes(ownStore))
+    .filter(item => (item.productKey || getProductKey(item)) !== product.productKey)
+    .filter(item => isSameProduct(signature, getSignature(item)))
+    .forEach(item => {
+      const store = (item.store || '').toLowerCase();
+      if (!cheapest.has(store) || item.price < cheapest.get(store).price) {
+        cheapest.set(store, { ...item, productKey: item.productKey || getProductKey(item) });
+      }
+    });
+
+  return [...cheapest.values()].sort((a, b) => a.price - b.price);
+}
+
+/**
+ * Looks up a product from its page URL and finds it at the other stores
+ * @param {Object} request - From parseLookupRequest
+ * @param {Object} deps
+ * @param {function(string): Promise<Object>} deps.getResults - Aggregated
+ *   results for a query ({ products, summary, metadata }), e.g. cached
+ * @param {function(string): Object|null} [deps.getAdapter] - Source adapter
+ *   by config id (defaults to the registry)
+ * @returns {Promise<Object>} { product, query, offers, bestOffer, savings,
+ *   metadata }
+ * @throws {Error} With `status` 422 if the link isn't a product page, 502 if
+ *   the product can't be identified
+ */
+async function lookupProduct(request, { getResults, getAdapter = registry.getAdapter }) {
+  let link = request.url;
+  if (isShareLink(new URL(link))) {
+    try {
+      link = await resolveShortLink(link);
+    } catch (error) {
+      throw lookupError(502, `Couldn't follow the short link: ${error.message}`);
+    }
+  }
+
+  const canonical = canonicalizeUrl(link);
+  if (!canonical) {
+    throw lookupError(422, 'The link is not an Amazon.in or Flipkart product page');
+  }
+
+  const adapter = getAdapter(canonical.store);
+  const details = adapter && typeof adapter.getProduct === 'function'
+    ? await adapter.getProduct(canonical.url)
+    : null;
+
+  if (!details && !canonical.slugTitle) {
+    throw lookupError(502, `Couldn't read the ${canonical.name} product page`);
+  }
+  if (!details) {
+    console.log(`   ↪ Lookup: using the URL slug for ${canonical.productKey}`);
+  }
+
+  const product = {
+    ...(details || { title: canonical.slugTitle, price: 0, specs: {} }),
+    store: canonical.name,
+    link: canonical.url,
+    productKey: canonical.productKey,
+    detailsSource: details ? 'page' : 'url'
+  };
+
+  const query = buildSearchQuery(product);
+  const results = await getResults(query);
+  const offers = selectOffers(product, results.products || []);
+
+  const bestOffer = offers[0] || null;
+  const savings = bestOffer && product.price > bestOffer.price ? product.price - bestOffer.price : 0;
+
+  return {
+    product,
+    query,
+    offers,
+    bestOffer,
+    savings,
+    metadata: results.metadata
+  };
+}
+
+module.exports = {
+  parseLookupRequest,
+  canonicalizeUrl,
+  buildSearchQuery,
+  selectOffers,
+  lookupProduct
+};
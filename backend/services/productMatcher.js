@@ -0,0 +1,260 @@
+/**
+ * Product Matcher
+ * Groups listings of the same product across stores (entity resolution)
+ * so each product comes back once with an offers[] price comparison.
+ */
+
+const KNOWN_BRANDS = [
+  'apple', 'samsung', 'oneplus', 'xiaomi', 'redmi', 'poco', 'realme', 'oppo', 'vivo', 'iqoo',
+  'motorola', 'nokia', 'google', 'nothing', 'honor', 'infinix', 'tecno', 'lava', 'sony', 'lg',
+  'hp', 'dell', 'lenovo', 'asus', 'acer', 'msi', 'microsoft', 'boat', 'jbl', 'bose', 'sennheiser',
+  'noise', 'fire-boltt', 'amazfit', 'garmin', 'fitbit', 'canon', 'nikon', 'fujifilm', 'philips',
+  'panasonic', 'mi', 'tcl', 'haier', 'whirlpool', 'godrej', 'bajaj', 'havells', 'prestige',
+  'nike', 'adidas', 'puma', 'reebok', 'skechers', 'logitech', 'zebronics', 'portronics'
+];
+
+// Brands sold under a parent brand that stores list inconsistently
+const BRAND_ALIASES = {
+  mi: 'xiaomi',
+  redmi: 'xiaomi',
+  poco: 'xiaomi'
+};
+
+const COLOURS = [
+  'black', 'white', 'blue', 'red', 'green', 'yellow', 'purple', 'pink', 'silver', 'gold',
+  'grey', 'gray', 'graphite', 'titanium', 'midnight', 'starlight', 'orange', 'violet',
+  'lavender', 'mint', 'cream', 'beige', 'brown', 'bronze', 'teal', 'navy'
+];
+
+// Words that carry no identity signal in listing titles
+const STOPWORDS = new Set([
+  'the', 'a', 'an', 'and', 'with', 'for', 'of', 'in', 'by', 'to', 'new', 'latest', 'edition',
+  'version', 'buy', 'online', 'best', 'price', 'india', 'free', 'delivery', 'pack', 'combo',
+  'gb', 'tb', 'ram', 'rom', 'storage', 'colour', 'color', 'inch', 'inches', 'cm'
+]);
+
+// Listings for an accessory must never merge with the product it fits
+const ACCESSORY_WORDS = [
+  'case', 'cover', 'protector', 'tempered', 'charger', 'cable', 'adapter', 'stand',
+  'skin', 'strap', 'pouch', 'holder', 'mount'
+];
+
+// Qualifiers that turn one model into another ("iPhone 15" vs "iPhone 15 Pro")
+const MODEL_QUALIFIERS = ['pro', 'max', 'plus', 'ultra', 'mini', 'lite', 'fe', 'neo', 'air', 'prime'];
+
+const MATCH_THRESHOLD = 0.55;
+// Same product rarely differs by more than this factor between stores
+const MAX_PRICE_RATIO = 2.5;
+
+function normalizeText(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[()[\]{},|/+]/g, ' ')
+    .replace(/[^a-z0-9.\- ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function tokenize(text) {
+  return normalizeText(text).split(' ').filter(Boolean);
+}
+
+function extractBrand(tokens) {
+  const brand = tokens.find(t => KNOWN_BRANDS.includes(t));
+  if (!brand) return null;
+  return BRAND_ALIASES[brand] || brand;
+}
+
+/**
+ * Extracts storage/RAM variants, e.g. "8GB RAM, 128GB Storage" or "8/128 GB"
+ */
+function extractCapacities(text) {
+  const lower = (text || '').toLowerCase();
+  const result = { ram: null, storage: null };
+
+  const ramMatch = lower.match(/(\d+)\s*gb\s*ram/);
+  if (ramMatch) result.ram = Number(ramMatch[1]);
+
+  const pairMatch = lower.match(/\b(\d{1,2})\s*(?:gb)?\s*\/\s*(\d{2,4})\s*gb\b/);
+  if (pairMatch) {
+    result.ram = result.ram ?? Number(pairMatch[1]);
+    result.storage = Number(pairMatch[2]);
+  }
+
+  if (result.storage === null) {
+    const capacities = [...lower.matchAll(/(\d+(?:\.\d+)?)\s*(gb|tb)\b/g)]
+      .map(m => (m[2] === 'tb' ? Number(m[1]) * 1024 : Number(m[1])))
+      .filter(gb => gb !== result.ram);
+    if (capacities.length > 0) {
+      result.storage = Math.max(...capacities);
+    }
+  }
+
+  return result;
+}
+
+function extractColour(tokens) {
+  const colour = tokens.find(t => COLOURS.includes(t));
+  if (colour === 'gray') return 'grey';
+  return colour || null;
+}
+
+/**
+ * Model identifiers are tokens mixing letters and digits ("s24", "wh-1000xm5")
+ * or bare numbers that are not capacities/sizes ("15" in "iPhone 15"), plus
+ * any model qualifiers ("pro", "max").
+ */
+function extractModelNumbers(title) {
+  const models = new Set();
+  const tokens = tokenize(
+    (title || '')
+      .toLowerCase()
+      .replace(/\b\d{1,2}\s*(?:gb)?\s*\/\s*\d{2,4}\s*gb\b/g, ' ')
+      .replace(/\b\d+(?:\.\d+)?\s*(?:gb|tb)\b/g, ' ')
+      .replace(/\b[345]g\b/g, ' ')
+  );
+
+  tokens.forEach((token, i) => {
+    if (MODEL_QUALIFIERS.includes(token)) {
+      models.add(token);
+      return;
+    }
+
+    const next = tokens[i + 1] || '';
+    if (/^\d+(\.\d+)?$/.test(token)) {
+      if (/^(gb|tb|mb|ram|inch|inches|cm|mm|w|mah|hz|mp|l|kg|g|pcs|pieces)$/.test(next)) return;
+      if (Number(token) > 2000) return; // years, prices, mAh without unit
+      models.add(token);
+      return;
+    }
+    if (/\d/.test(token) && /[a-z]/.test(token)) {
+      if (/^\d+(gb|tb|mb|mah|hz|mp|w|cm|mm|inch|kg|g|l)$/.test(token)) return;
+      models.add(token.replace(/-/g, ''));
+    }
+  });
+
+  return models;
+}
+
+/**
+ * Builds the identity signature used for matching
+ */
+function getSignature(product) {
+  const tokens = tokenize(product.title);
+  const capacities = extractCapacities(product.title);
+
+  return {
+    brand: extractBrand(tokens),
+    models: extractModelNumbers(product.title),
+    ram: capacities.ram,
+    storage: capacities.storage,
+    colour: extractColour(tokens),
+    accessory: tokens.some(t => ACCESSORY_WORDS.includes(t)),
+    price: product.price || 0,
+    words: new Set(tokens.filter(t => !STOPWORDS.has(t) && t.length > 1))
+  };
+}
+
+/**
+ * Dice coefficient over title word sets
+ */
+function titleSimilarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(w => { if (b.has(w)) shared++; });
+  return (2 * shared) / (a.size + b.size);
+}
+
+function setsEqual(a, b) {
+  if (a.size !== b.size) return false;
+  for (const v of a) if (!b.has(v)) return false;
+  return true;
+}
+
+/**
+ * Returns true when two signatures describe the same sellable product
+ */
+function isSameProduct(a, b) {
+  // Hard conflicts: different brand, model or variant means different product
+  if (a.brand && b.brand && a.brand !== b.brand) return false;
+  if (a.models.size > 0 && b.models.size > 0 && !setsEqual(a.models, b.models)) return false;
+  if (a.storage && b.storage && a.storage !== b.storage) return false;
+  if (a.ram && b.ram && a.ram !== b.ram) return false;
+  if (a.colour && b.colour && a.colour !== b.colour) return false;
+  if (a.accessory !== b.accessory) return false;
+
+  if (a.price > 0 && b.price > 0) {
+    const ratio = Math.max(a.price, b.price) / Math.min(a.price, b.price);
+    if (ratio > MAX_PRICE_RATIO) return false;
+  }
+
+  return titleSimilarity(a.words, b.words) >= MATCH_THRESHOLD;
+}
+
+function toOffer(product) {
+  return {
+    id: product.id,
+    productKey: product.productKey,
+    title: product.title,
+    store: product.store,
+    price: product.price,
+    originalPrice: product.originalPrice,
+    discount: product.discount,
+    rating: product.rating,
+    reviews: product.reviews,
+    stock: product.stock,
+    image: product.image,
+    link: product.link
+  };
+}
+
+/**
+ * Groups listings of the same product across stores.
+ * Each group is returned as one product (fields taken from the cheapest
+ * listing) with an offers[] array sorted by price.
+ * @param {Array<Object>} products - Flat listings from all sources
+ * @returns {Array<Object>} - One entry per matched product
+ */
+function matchProducts(products) {
+  const groups = [];
+
+  products.forEach(product => {
+    const signature = getSignature(product);
+    const group = groups.find(g => isSameProduct(g.signature, signature));
+
+    if (!group) {
+      groups.push({ signature, listings: [product] });
+      return;
+    }
+
+    // Exact same listing (e.g. repeated in one store's results) adds no offer
+    const duplicate = group.listings.some(l => l.link === product.link ||
+      (l.store === product.store && l.price === product.price));
+    if (!duplicate) {
+      group.listings.push(product);
+    }
+  });
+
+  return groups.map(({ listings }) => {
+    const offers = listings.map(toOffer).sort((a, b) => a.price - b.price);
+    const best = listings.find(l => l.id === offers[0].id);
+    const prices = offers.map(o => o.price);
+
+    return {
+      ...best,
+      offers,
+      storeCount: new Set(offers.map(o => o.store)).size,
+      priceRange: { min: prices[0], max: prices[prices.length - 1] }
+    };
+  });
+}
+
+module.exports = {
+  matchProducts,
+  getSignature,
+  isSameProduct,
+  extractCapacities,
+  ACCESSORY_WORDS,
+  KNOWN_BRANDS,
+  COLOURS
+};
@@ -1,32 +1,51 @@
-// Use native fetch (Node.js 18+) or fallback to node-fetch
-let fetch;
-if (typeof globalThis.fetch === 'function') {
-  fetch = globalThis.fetch;
-} else {
-  fetch = (...args) => import('node-fetch').then(({ default: f }) => f(...args));
-}
+const llm = require('./llm');
+const { scoreRelevance } = require('./relevanceScorer');
 
 // Ranking weights
 const W_R = 3;  // Weight for Relevance Score
 const W_P = 1;  // Weight for Price Score
 const W_IR = 5; // Weight for Irrelevance Penalty
+const W_FD = 1; // Weight for Fake Discount Penalty
+
+/**
+ * P_Score: normalized price-value score (closer to 1.0 is better)
+ */
+function priceScore(product) {
+  const price = product.price || 0;
+  // Reference price calculation: a simple heuristic to normalize price
+  const reference_price = price > 10000 ? price * 1.15 : price * 2;
+  return reference_price > 0 ? Math.max(0, Math.min(1, 1 - (price / reference_price))) : 0;
+}
 
-// FIX: Use a stable, generally available model
-const GEMINI_MODEL = 'gemini-2.5-flash';
+/**
+ * Composite Ranking Score, shared by the AI and local rankers:
+ * CRS = (W_R * R_Score) + (W_P * P_Score) - (W_IR * Irrelevance_Penalty) - (W_FD * Discount_Penalty)
+ */
+function compositeScore(p, R_Score, Irrelevance_Penalty, P_Score) {
+  // Inflated-MRP "deals" lose ground in proportion to how doubtful they are
+  const Discount_Penalty = p.discountCheck?.suspicious ? 1 - p.discountCheck.score : 0.0;
+  const CRS = (W_R * R_Score) + (W_P * P_Score) - (W_IR * Irrelevance_Penalty) - (W_FD * Discount_Penalty);
+
+  return {
+    ...p,
+    CRS: Math.max(0, CRS), // Ensure non-negative and store for inspection
+    R_Score,
+    P_Score,
+    Irrelevance_Penalty,
+    Discount_Penalty
+  };
+}
 
 /**
- * Ranks products using Gemini AI for relevance scoring
+ * Ranks products using the LLM configured for the 'ranking' task
  * @param {string} query - The search query
  * @param {Array<Object>} productCandidates - Products to rank
  * @returns {Promise<Object>} - Ranked products and status
  */
 async function rankProducts(query, productCandidates) {
-  const apiKey = process.env.GEMINI_API_KEY || '';
-  const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent?key=${apiKey}`;
-
-  // Return unranked if no API key or no products
-  if (!apiKey || apiKey === 'your_gemini_api_key_here' || productCandidates.length === 0) {
-    console.log('⚠️  Gemini API not configured - skipping AI ranking');
+  // Return unranked if no LLM or no products
+  if (!llm.isAvailable('ranking') || productCandidates.length === 0) {
+    console.log('⚠️  LLM not configured for ranking - skipping AI ranking');
     return {
       rankedProducts: productCandidates,
       crsFailed: true
@@ -39,7 +58,6 @@ async function rankProducts(query, productCandidates) {
       // FIX: Ensure stable, unique string ID for mapping across stages
       const id = String(p.id || index); 
       
-      const price = p.price || 0;
       const titleLower = p.title ? p.title.toLowerCase() : '';
 
       // Simple heuristic for accessory detection (Added 'stand' for better coverage)
@@ -51,10 +69,7 @@ async function rankProducts(query, productCandidates) {
         titleLower.includes('cover') ||
         titleLower.includes('stand'); 
 
-      // Reference price calculation: a simple heuristic to normalize price
-      const reference_price = price > 10000 ? price * 1.15 : price * 2;
-      // P_Score is normalized price-value score (closer to 1.0 is better)
-      const p_score = Math.max(0, Math.min(1, 1 - (price / reference_price)));
+      const p_score = priceScore(p);
 
       return {
         id,
@@ -76,63 +91,44 @@ TASK: For each product, calculate two scores:
    - Apply **0.9 penalty** if the product is clearly an **ACCESSORY** (e.g., case, charger, screen protector) AND the user query is for a **PRIMARY PRODUCT** (e.g., "phone", "laptop", "smartwatch").
    - Apply **0.0** otherwise (e.g., if the query is already for an accessory like "phone case").
 
-Return ONLY valid JSON array format. Do not include any introductory or concluding text.`;
+Return ONLY valid JSON: an object with a "scores" array containing one entry per product. Do not include any introductory or concluding text.`;
 
     const userQuery = `User Query: "${query}"
 
 Products to analyze:
 ${JSON.stringify(productsForAI.map(p => ({ id: p.id, title: p.title, is_accessory: p.is_accessory })), null, 2)}`;
 
-    const payload = {
-      contents: [{ parts: [{ text: userQuery }] }],
-      systemInstruction: { parts: [{ text: systemInstruction }] },
-      generationConfig: {
-        // Enforce JSON output for reliability
-        responseMimeType: 'application/json',
-        responseSchema: {
-          type: 'ARRAY',
-          items: {
-            type: 'OBJECT',
+    let aiScores;
+    try {
+        // Wrapped in an object: OpenAI-style JSON modes reject top-level arrays
+        const result = await llm.generateJSON('ranking', {
+          system: systemInstruction,
+          prompt: userQuery,
+          schema: {
+            type: 'object',
             properties: {
-              id: { type: 'STRING' },
-              R_Score: { type: 'NUMBER' },
-              Irrelevance_Penalty: { type: 'NUMBER' }
+              scores: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    id: { type: 'string' },
+                    R_Score: { type: 'number' },
+                    Irrelevance_Penalty: { type: 'number' }
+                  },
+                  required: ['id', 'R_Score', 'Irrelevance_Penalty']
+                }
+              }
             },
-            required: ['id', 'R_Score', 'Irrelevance_Penalty']
+            required: ['scores']
           }
-        },
-        // Set a low temperature for deterministic scoring
-        temperature: 0.1
-      }
-    };
-
-    const response = await fetch(apiUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
-    });
-
-    if (!response.ok) {
-      const errorDetail = await response.text();
-      throw new Error(`Gemini API returned ${response.status}: ${errorDetail}`);
-    }
-
-    const result = await response.json();
-    const jsonText = result.candidates?.[0]?.content?.parts?.[0]?.text;
-
-    if (!jsonText) {
-      throw new Error('No structured data returned from Gemini');
-    }
-
-    let aiScores;
-    try {
-        aiScores = JSON.parse(jsonText);
+        });
+        aiScores = result?.scores;
         if (!Array.isArray(aiScores)) {
             throw new Error('Parsed AI scores are not an array');
         }
     } catch (e) {
-        // FIX: Improved error message on JSON parse failure
-        throw new Error(`Failed to parse AI JSON response: ${e.message}. Raw text: ${jsonText.slice(0, 100)}...`);
+        throw new Error(`AI relevance scoring failed: ${e.message}`);
     }
 
     // --- STAGE 3: Final CRS Calculation ---
@@ -148,16 +144,7 @@ ${JSON.stringify(productsForAI.map(p => ({ id: p.id, title: p.title, is_accessor
       const Irrelevance_Penalty = aiData?.Irrelevance_Penalty ?? 0.0;
       const P_Score = productData?.p_score ?? 0.0;
 
-      // Calculate Composite Ranking Score: CRS = (W_R * R_Score) + (W_P * P_Score) - (W_IR * Irrelevance_Penalty)
-      const CRS = (W_R * R_Score) + (W_P * P_Score) - (W_IR * Irrelevance_Penalty);
-
-      return {
-        ...p,
-        CRS: Math.max(0, CRS), // Ensure non-negative and store for inspection
-        R_Score,
-        P_Score,
-        Irrelevance_Penalty
-      };
+      return compositeScore(p, R_Score, Irrelevance_Penalty, P_Score);
     });
 
     // Sort by CRS descending
@@ -171,7 +158,7 @@ ${JSON.stringify(productsForAI.map(p => ({ id: p.id, title: p.title, is_accessor
 
   } catch (error) {
     // Log the detailed error
-    console.error(`❌ Gemini ranking failed (${GEMINI_MODEL}):`, error.message);
+    console.error('❌ AI ranking failed:', error.message);
     
     // Fallback to unranked list with failure flag
     return {
@@ -181,4 +168,23 @@ ${JSON.stringify(productsForAI.map(p => ({ id: p.id, title: p.title, is_accessor
   }
 }
 
-module.exports = { rankProducts };
\ No newline at end of file
+/**
+ * Ranks products offline with the local relevance scorer. Used when the
+ * AI ranker is unavailable; cheap enough to run over the full result list.
+ * @param {string} query - The search query
+ * @param {Array<Object>} products - Products to rank
+ * @returns {Array<Object>} Products sorted by CRS, with score fields attached
+ */
+function rankProductsLocally(query, products) {
+  const scores = scoreRelevance(query, products);
+
+  const rankedProducts = products.map((p, i) =>
+    compositeScore(p, scores[i].R_Score, scores[i].Irrelevance_Penalty, priceScore(p))
+  );
+
+  // Ties (e.g. identical titles) fall back to the cheaper listing
+  rankedProducts.sort((a, b) => b.CRS - a.CRS || a.price - b.price);
+  return rankedProducts;
+}
+
+module.exports = { rankProducts, rankProductsLocally };
\ No newline at end of file
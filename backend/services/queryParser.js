@@ -0,0 +1,245 @@
+/**
+ * Query Parser
+ * Turns natural-language searches ("gaming laptop under 60000 with 16gb ram
+ * rated above 4") into core search terms plus structured constraints.
+ *
+ * A deterministic rule-based pass runs first; the LLM is only consulted when
+ * constraint-like words are left over that the rules could not place.
+ */
+
+const llm = require('./llm');
+const { extractCapacities, KNOWN_BRANDS, COLOURS } = require('./productMatcher');
+
+// Amount like "60000", "60,000", "₹60k", "1.5 lakh"
+const AMOUNT = String.raw`(?:rs\.?|inr|₹)?\s*(\d+(?:,\d{2,3})*(?:\.\d+)?)\s*(k|lakhs?|lacs?|l)?\b`;
+
+// Leftovers that signal a constraint the rules didn't understand
+const UNPARSED_HINTS = /\b(under|below|above|over|less|more|than|budget|cheap|cheaper|rs|inr|rupees|lakh|stars?|rated|rating|ram|gb|tb|inch|inches)\b|₹/;
+
+// Conversational filler that should never reach the stores
+const FILLER = /\b(show me|find me|i want|i need|looking for|search for|please|with|having|and|that is|which is|rated|priced|price|costing|for around)\b/g;
+
+// Brands and colours can come from the LLM ("h&m (india)"), so never build
+// a pattern from them unescaped
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole-word match that also works for words starting/ending in symbols
+function containsWord(text, word) {
+  return new RegExp(`(^|[^a-z0-9])${escapeRegExp(word)}($|[^a-z0-9])`).test(text);
+}
+
+function parseAmount(number, unit) {
+  const value = parseFloat(number.replace(/,/g, ''));
+  if (isNaN(value)) return null;
+  if (!unit) return Math.round(value);
+  if (unit === 'k') return Math.round(value * 1000);
+  return Math.round(value * 100000); // lakh / lac / l
+}
+
+/**
+ * Deterministic rule-based parser
+ * @param {string} query - Raw user query
+ * @returns {Object} Parsed constraints plus the residual core terms
+ */
+function parseQueryRules(query) {
+  let text = ` ${query.toLowerCase()} `;
+  const parsed = {
+    minPrice: null,
+    maxPrice: null,
+    minRating: null,
+    brand: null,
+    attributes: { ram: null, storage: null, size: null, colour: null }
+  };
+
+  const consume = (regex, handler) => {
+    text = text.replace(regex, (...args) => {
+      const keep = handler(...args);
+      return keep === false ? args[0] : ' ';
+    });
+  };
+
+  // Rating first, so "rated above 4" isn't read as a price floor
+  consume(/\b(?:rated|rating|ratings)\s*(?:of\s*)?(?:above|over|at least|atleast|more than|>=?)?\s*(\d(?:\.\d)?)\s*(?:\+|stars?|★)?(?:\s*(?:and|&)\s*(?:above|up))?/g, (m, r) => {
+    if (Number(r) > 5) return false;
+    parsed.minRating = Number(r);
+  });
+  consume(/\b(?:above|over|at least|atleast)?\s*(\d(?:\.\d)?)\s*(?:\+\s*)?(?:stars?|★)(?:\s*(?:and|&)\s*(?:above|up)|\s*\+)?/g, (m, r) => {
+    if (Number(r) > 5) return false;
+    parsed.minRating = Number(r);
+  });
+
+  // Price ranges and bounds
+  consume(new RegExp(String.raw`\b(?:between|from)\s*${AMOUNT}\s*(?:and|to|-)\s*${AMOUNT}`, 'g'), (m, a, au, b, bu) => {
+    parsed.minPrice = parseAmount(a, au);
+    parsed.maxPrice = parseAmount(b, bu);
+  });
+  consume(new RegExp(String.raw`\b(?:under|below|less than|within|upto|up to|max|maximum|cheaper than|budget(?: of)?|not more than)\s*${AMOUNT}`, 'g'), (m, a, au) => {
+    parsed.maxPrice = parseAmount(a, au);
+  });
+  consume(new RegExp(String.raw`\b(?:above|over|more than|min|minimum|starting(?: at| from)?|at least)\s*${AMOUNT}`, 'g'), (m, a, au) => {
+    const amount = parseAmount(a, au);
+    // "over 4" style leftovers are ratings/sizes, not prices
+    if (amount < 100) return false;
+    parsed.minPrice = amount;
+  });
+
+  // Attributes
+  const capacities = extractCapacities(text);
+  consume(/\b(\d+)\s*gb\s*(?:of\s*)?ram\b/g, (m, gb) => { parsed.attributes.ram = Number(gb); });
+  consume(/\b(\d+(?:\.\d+)?)\s*(gb|tb)\s*(?:ssd|hdd|storage|rom|memory)?\b/g, (m, n, unit) => {
+    parsed.attributes.storage = unit === 'tb' ? Number(n) * 1024 : Number(n);
+  });
+  if (!parsed.attributes.ram && capacities.ram) parsed.attributes.ram = capacities.ram;
+  consume(/\b(\d+(?:\.\d+)?)\s*(?:-\s*)?(?:inch|inches|in|")(?=\s)/g, (m, n) => { parsed.attributes.size = Number(n); });
+
+  const tokens = text.split(/\s+/).filter(Boolean);
+  parsed.attributes.colour = tokens.find(t => COLOURS.includes(t)) || null;
+  parsed.brand = tokens.find(t => KNOWN_BRANDS.includes(t)) || null;
+  if (parsed.attributes.colour) {
+    consume(new RegExp(`\\b${escapeRegExp(parsed.attributes.colour)}\\b`, 'g'), () => {});
+  }
+
+  // What's left (minus filler) is the core product
+  const residual = text.replace(FILLER, ' ').replace(/\s+/g, ' ').trim();
+  parsed.terms = residual;
+  parsed.unparsed = UNPARSED_HINTS.test(residual);
+
+  return parsed;
+}
+
+/**
+ * Builds the string actually sent to the stores: core terms plus the
+ * attributes stores index well (RAM/storage/size), never price or rating
+ */
+function buildSearchQuery(parsed, rawQuery) {
+  const parts = [parsed.terms];
+  if (parsed.brand && !parsed.terms.includes(parsed.brand)) parts.unshift(parsed.brand);
+  if (parsed.attributes.ram) parts.push(`${parsed.attributes.ram}gb ram`);
+  if (parsed.attributes.storage) {
+    parts.push(parsed.attributes.storage >= 1024 ? `${parsed.attributes.storage / 1024}tb` : `${parsed.attributes.storage}gb`);
+  }
+  if (parsed.attributes.size) parts.push(`${parsed.attributes.size} inch`);
+  if (parsed.attributes.colour) parts.push(parsed.attributes.colour);
+
+  const searchQuery = parts.filter(Boolean).join(' ').replace(/\s+/g, ' ').trim();
+  return searchQuery.length >= 2 ? searchQuery : rawQuery;
+}
+
+/**
+ * Asks the LLM to extract constraints the rules couldn't place
+ * @returns {Promise<Object|null>} LLM constraints, or null when unavailable
+ */
+async function parseQueryWithLLM(query) {
+  if (!llm.isAvailable('queryParsing')) {
+    return null;
+  }
+
+  const nullable = (type) => ({ type: [type, 'null'] });
+
+  try {
+    return await llm.generateJSON('queryParsing', {
+      system: `Extract structured shopping constraints from an Indian e-commerce search query. Prices are in INR (convert "k" and "lakh"). "terms" is the core product being searched for, without price, rating or filler words. Use null for anything not stated. Return ONLY JSON.`,
+      prompt: `Shopping search query: "${query}"`,
+      schema: {
+        type: 'object',
+        properties: {
+          terms: { type: 'string' },
+          brand: nullable('string'),
+          minPrice: nullable('number'),
+          maxPrice: nullable('number'),
+          minRating: nullable('number'),
+          ram: nullable('number'),
+          storage: nullable('number'),
+          size: nullable('number'),
+          colour: nullable('string')
+        },
+        required: ['terms']
+      }
+    });
+  } catch (error) {
+    console.error('⚠️  LLM query parsing failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Parses a search query into search terms and constraints
+ * @param {string} query - Raw user query
+ * @returns {Promise<Object>} { raw, searchQuery, terms, brand, minPrice, maxPrice,
+ *   minRating, attributes: { ram, storage, size, colour }, parser }
+ */
+async function parseQuery(query) {
+  const parsed = parseQueryRules(query);
+  let parser = 'rules';
+
+  if (parsed.unparsed) {
+    const llm = await parseQueryWithLLM(query);
+    if (llm) {
+      parser = 'rules+llm';
+      // Rules win where they found something; the LLM fills the gaps
+      parsed.terms = llm.terms || parsed.terms;
+      parsed.brand = parsed.brand || (llm.brand ? llm.brand.toLowerCase() : null);
+      parsed.minPrice = parsed.minPrice ?? llm.minPrice ?? null;
+      parsed.maxPrice = parsed.maxPrice ?? llm.maxPrice ?? null;
+      parsed.minRating = parsed.minRating ?? (llm.minRating <= 5 ? llm.minRating : null);
+      parsed.attributes.ram = parsed.attributes.ram ?? llm.ram ?? null;
+      parsed.attributes.storage = parsed.attributes.storage ?? llm.storage ?? null;
+      parsed.attributes.size = parsed.attributes.size ?? llm.size ?? null;
+      parsed.attributes.colour = parsed.attributes.colour ?? (llm.colour ? llm.colour.toLowerCase() : null);
+    }
+  }
+
+  return {
+    raw: query,
+    searchQuery: buildSearchQuery(parsed, query),
+    terms: parsed.terms,
+    brand: parsed.brand,
+    minPrice: parsed.minPrice,
+    maxPrice: parsed.maxPrice,
+    minRating: parsed.minRating,
+    attributes: parsed.attributes,
+    parser
+  };
+}
+
+/**
+ * Drops listings that contradict the parsed constraints. Listings that
+ * don't state an attribute are kept - absence isn't a mismatch.
+ * @param {Array<Object>} items - Products
+ * @param {Object} parsed - Result of parseQuery
+ * @returns {Array<Object>}
+ */
+function applyParsedConstraints(items, parsed) {
+  const { minPrice, maxPrice, minRating, brand, attributes } = parsed;
+
+  return items.filter(p => {
+    if (minPrice !== null && p.price < minPrice) return false;
+    if (maxPrice !== null && p.price > maxPrice) return false;
+    if (minRating !== null && p.rating > 0 && p.rating < minRating) return false;
+
+    const title = (p.title || '').toLowerCase();
+    if (brand && !containsWord(title, brand) && KNOWN_BRANDS.some(b => containsWord(title, b))) return false;
+
+    const capacities = extractCapacities(title);
+    if (attributes.ram && capacities.ram && capacities.ram !== attributes.ram) return false;
+    if (attributes.storage && capacities.storage && capacities.storage !== attributes.storage) return false;
+
+    if (attributes.size) {
+      const sizeMatch = title.match(/(\d+(?:\.\d+)?)\s*(?:-\s*)?(?:inch|inches|")/);
+      if (sizeMatch && Math.abs(Number(sizeMatch[1]) - attributes.size) > 0.5) return false;
+    }
+
+    if (attributes.colour) {
+      const statedColour = COLOURS.find(c => containsWord(title, c));
+      if (statedColour && !containsWord(title, attributes.colour)) return false;
+    }
+
+    return true;
+  });
+}
+
+module.exports = {
+  parseQuery,
+  parseQueryRules,
+  applyParsedConstraints
+};
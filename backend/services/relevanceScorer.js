@@ -0,0 +1,167 @@
+/**
+ * Local Relevance Scorer
+ * Offline stand-in for the LLM relevance pass. Produces the same
+ * R_Score (0..1) and Irrelevance_Penalty (0 or 0.9) the AI ranker does, from:
+ *
+ *   - BM25 between the query and each title (the candidate set is the corpus)
+ *   - brand and model-number agreement
+ *   - a category-aware accessory classifier
+ *   - a rating/review-count confidence term
+ *
+ * Deterministic: the same query and listings always score the same.
+ */
+
+const { getSignature, ACCESSORY_WORDS } = require('./productMatcher');
+
+// BM25 parameters (standard values)
+const K1 = 1.2;
+const B = 0.75;
+
+// Blend of the R_Score components
+const W_TEXT = 0.55;
+const W_COVERAGE = 0.25;
+const W_CONFIDENCE = 0.2;
+
+const BRAND_MISMATCH_FACTOR = 0.3;
+const MODEL_MISMATCH_FACTOR = 0.5;
+const MODEL_MATCH_BONUS = 0.1;
+const ACCESSORY_PENALTY = 0.9;
+
+// Prior for the confidence term: an unrated listing counts as this many
+// reviews at this rating
+const PRIOR_RATING = 3.5;
+const PRIOR_REVIEWS = 20;
+
+// Accessories sold alongside each product category. A title with one of
+// these words is an accessory when the query is for the category itself.
+const CATEGORY_ACCESSORIES = {
+  phone: {
+    match: ['phone', 'mobile', 'smartphone', 'iphone', 'galaxy', 'pixel', 'redmi', 'oneplus'],
+    accessories: ['case', 'cover', 'tempered', 'glass', 'protector', 'charger', 'cable', 'skin', 'holder', 'mount', 'lens']
+  },
+  laptop: {
+    match: ['laptop', 'notebook', 'macbook', 'chromebook', 'ultrabook'],
+    accessories: ['bag', 'backpack', 'sleeve', 'stand', 'skin', 'charger', 'adapter', 'cooling', 'pad', 'keyboard', 'guard', 'protector']
+  },
+  watch: {
+    match: ['watch', 'smartwatch', 'band', 'tracker'],
+    accessories: ['strap', 'protector', 'charger', 'cable', 'case', 'bumper', 'guard']
+  },
+  audio: {
+    match: ['headphones', 'headphone', 'earbuds', 'earphones', 'tws', 'airpods', 'headset', 'speaker'],
+    accessories: ['case', 'cover', 'pouch', 'tips', 'cushion', 'cushions', 'pads', 'hook', 'stand', 'cable']
+  },
+  tv: {
+    match: ['tv', 'television', 'monitor'],
+    accessories: ['mount', 'bracket', 'remote', 'stand', 'cover', 'cable', 'guard']
+  },
+  camera: {
+    match: ['camera', 'dslr', 'mirrorless', 'gopro'],
+    accessories: ['tripod', 'bag', 'strap', 'cap', 'filter', 'battery', 'charger', 'mount', 'cage']
+  }
+};
+
+// Phrases that mark a listing as made *for* another product
+const FITS_PATTERN = /\b(compatible with|designed for|suitable for|case for|cover for|for (?:apple|samsung|iphone|galaxy|macbook|oneplus|redmi|pixel))\b/i;
+
+function detectCategory(queryWords) {
+  return Object.entries(CATEGORY_ACCESSORIES)
+    .find(([, category]) => category.match.some(w => queryWords.has(w)))?.[0] || null;
+}
+
+/**
+ * Decides whether a title is an accessory the user didn't ask for
+ */
+function isUnwantedAccessory(title, titleWords, queryWords, category) {
+  const accessoryWords = category
+    ? CATEGORY_ACCESSORIES[category].accessories
+    : ACCESSORY_WORDS;
+
+  // The user is shopping for the accessory itself
+  if (accessoryWords.some(w => queryWords.has(w))) return false;
+
+  return accessoryWords.some(w => titleWords.has(w)) || FITS_PATTERN.test(title);
+}
+
+/**
+ * Bayesian-averaged rating scaled to 0..1, so 5★ from 3 reviews doesn't
+ * beat 4.4★ from 20,000
+ */
+function confidenceScore(product) {
+  const rating = product.rating > 0 ? product.rating : PRIOR_RATING;
+  const reviews = product.reviews > 0 ? product.reviews : 0;
+  const weighted = (rating * reviews + PRIOR_RATING * PRIOR_REVIEWS) / (reviews + PRIOR_REVIEWS);
+  return weighted / 5;
+}
+
+function isSubset(a, b) {
+  return [...a].every(item => b.has(item));
+}
+
+/**
+ * Scores every product's relevance to the query
+ * @param {string} query - Search query
+ * @param {Array<Object>} products - Candidate listings
+ * @returns {Array<{R_Score: number, Irrelevance_Penalty: number}>}
+ *   One entry per product, in input order
+ */
+function scoreRelevance(query, products) {
+  const querySignature = getSignature({ title: query });
+  const queryWords = querySignature.words;
+  const category = detectCategory(queryWords);
+
+  const docs = products.map(p => getSignature({ title: p.title, price: p.price }));
+  const avgLength = docs.reduce((sum, d) => sum + d.words.size, 0) / (docs.length || 1) || 1;
+
+  // Document frequency of each query word across the candidate titles
+  const idf = {};
+  queryWords.forEach(word => {
+    const df = docs.filter(d => d.words.has(word)).length;
+    idf[word] = Math.log(1 + (docs.length - df + 0.5) / (df + 0.5));
+  });
+
+  const bm25 = docs.map(doc => {
+    let score = 0;
+    queryWords.forEach(word => {
+      if (!doc.words.has(word)) return;
+      // Titles rarely repeat words, so term frequency is 1
+      score += idf[word] * (K1 + 1) / (1 + K1 * (1 - B + B * doc.words.size / avgLength));
+    });
+    return score;
+  });
+  const maxBm25 = Math.max(...bm25, 0) || 1;
+
+  return products.map((product, i) => {
+    const doc = docs[i];
+    const matched = [...queryWords].filter(w => doc.words.has(w)).length;
+    const coverage = queryWords.size > 0 ? matched / queryWords.size : 0;
+    const confidence = confidenceScore(product);
+
+    let score = W_TEXT * (bm25[i] / maxBm25) + W_COVERAGE * coverage + W_CONFIDENCE * confidence;
+
+    if (querySignature.brand && doc.brand && querySignature.brand !== doc.brand) {
+      score *= BRAND_MISMATCH_FACTOR;
+    }
+
+    if (querySignature.models.size > 0) {
+      if (isSubset(querySignature.models, doc.models)) {
+        // Exact model beats a variant of it ("iPhone 15" vs "iPhone 15 Pro")
+        const bonus = doc.models.size === querySignature.models.size ? MODEL_MATCH_BONUS : MODEL_MATCH_BONUS / 2;
+        score = score * (1 - MODEL_MATCH_BONUS) + bonus;
+      } else if (doc.models.size > 0) {
+        score *= MODEL_MISMATCH_FACTOR;
+      }
+    }
+
+    const accessory = isUnwantedAccessory(product.title || '', doc.words, queryWords, category);
+
+    return {
+      R_Score: Math.round(Math.max(0, Math.min(1, score)) * 1000) / 1000,
+      Irrelevance_Penalty: accessory ? ACCESSORY_PENALTY : 0.0
+    };
+  });
+}
+
+module.exports = {
+  scoreRelevance
+};
@@ -0,0 +1,172 @@
+/**
+ * Result Filters
+ * Server-side filtering, sorting and cursor pagination applied to the
+ * cached aggregated result of a query.
+ */
+
+const { credibleDiscount } = require('./discountCredibility');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+const SORTS = ['relevance', 'price_low', 'price_high', 'rating', 'discount'];
+
+/**
+ * Parses and validates filter/sort/page parameters from a request query.
+ * Throws an Error with a user-facing message on invalid input.
+ * @param {Object} params - Express req.query
+ * @returns {Object} Normalized result options
+ */
+function parseResultOptions(params) {
+  const number = (name, { min = 0, max = Infinity } = {}) => {
+    if (params[name] === undefined || params[name] === '') return null;
+    const value = Number(params[name]);
+    if (isNaN(value) || value < min || value > max) {
+      throw new Error(max === Infinity
+        ? `${name} must be a number of at least ${min}`
+        : `${name} must be a number between ${min} and ${max}`);
+    }
+    return value;
+  };
+
+  const sort = params.sort || 'relevance';
+  if (!SORTS.includes(sort)) {
+    throw new Error(`sort must be one of: ${SORTS.join(', ')}`);
+  }
+
+  const options = {
+    minPrice: number('minPrice'),
+    maxPrice: number('maxPrice'),
+    minRating: number('minRating', { max: 5 }),
+    dealsOnly: params.dealsOnly === 'true' || params.dealsOnly === '1',
+    stores: (params.stores || '')
+      .split(',')
+      .map(s => s.trim().toLowerCase())
+      .filter(Boolean),
+    sort,
+    limit: number('limit', { min: 1, max: MAX_PAGE_SIZE }) || DEFAULT_PAGE_SIZE,
+    cursor: params.cursor || null
+  };
+
+  if (options.minPrice !== null && options.maxPrice !== null && options.minPrice > options.maxPrice) {
+    throw new Error('minPrice cannot be greater than maxPrice');
+  }
+
+  return options;
+}
+
+/**
+ * Fingerprint of everything that changes the result ordering, so a cursor
+ * can't be replayed against a different query or filter set
+ */
+function fingerprint(query, options) {
+  const { cursor, limit, ...rest } = options;
+  const text = `${query.toLowerCase()}|${JSON.stringify(rest)}`;
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) - hash + text.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+}
+
+function encodeCursor(offset, fp) {
+  return Buffer.from(JSON.stringify({ o: offset, f: fp })).toString('base64url');
+}
+
+function decodeCursor(cursor, fp) {
+  try {
+    const { o, f } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (f !== fp || !Number.isInteger(o) || o < 0) return null;
+    return o;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Narrows a matched product's offers to the selected stores and re-derives
+ * the headline price/store/link from the cheapest remaining offer
+ */
+function restrictToStores(product, stores) {
+  const offers = (product.offers || [product])
+    .filter(o => stores.some(s => (o.store || '').toLowerCase().includes(s)));
+
+  if (offers.length === 0) return null;
+  if (!product.offers) return product;
+
+  const best = offers[0];
+  return {
+    ...product,
+    price: best.price,
+    originalPrice: best.originalPrice,
+    discount: best.discount,
+    store: best.store,
+    link: best.link,
+    offers,
+    storeCount: new Set(offers.map(o => o.store)).size
+  };
+}
+
+const comparators = {
+  price_low: (a, b) => a.price - b.price,
+  price_high: (a, b) => b.price - a.price,
+  rating: (a, b) => (b.rating || 0) - (a.rating || 0) || (b.reviews || 0) - (a.reviews || 0),
+  discount: (a, b) => credibleDiscount(b) - credibleDiscount(a)
+};
+
+/**
+ * Filters, sorts and pages an aggregated product list
+ * @param {string} query - Search query the items belong to
+ * @param {Array<Object>} items - Full aggregated list (relevance order)
+ * @param {Object} options - From parseResultOptions
+ * @returns {{items: Array<Object>, pageInfo: Object}}
+ */
+function applyResultOptions(query, items, options) {
+  const fp = fingerprint(query, options);
+  let offset = 0;
+
+  if (options.cursor) {
+    offset = decodeCursor(options.cursor, fp);
+    if (offset === null) {
+      throw new Error('Invalid or expired cursor');
+    }
+  }
+
+  let filtered = items;
+
+  if (options.stores.length > 0) {
+    filtered = filtered.map(p => restrictToStores(p, options.stores)).filter(Boolean);
+  }
+
+  filtered = filtered.filter(p => {
+    if (options.minPrice !== null && p.price < options.minPrice) return false;
+    if (options.maxPrice !== null && p.price > options.maxPrice) return false;
+    if (options.minRating !== null && (p.rating || 0) < options.minRating) return false;
+    // A deal whose MRP doesn't hold up isn't a deal
+    if (options.dealsOnly && (!(p.discount > 0) || p.discountCheck?.suspicious)) return false;
+    return true;
+  });
+
+  // 'relevance' keeps the aggregator's ranked order
+  if (comparators[options.sort]) {
+    filtered = [...filtered].sort(comparators[options.sort]);
+  }
+
+  const page = filtered.slice(offset, offset + options.limit);
+  const nextOffset = offset + page.length;
+  const hasMore = nextOffset < filtered.length;
+
+  return {
+    items: page,
+    pageInfo: {
+      total: filtered.length,
+      limit: options.limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(nextOffset, fp) : null
+    }
+  };
+}
+
+module.exports = {
+  parseResultOptions,
+  applyResultOptions
+};
@@ -1,27 +1,105 @@
 const fetch = (...args) => import('node-fetch').then(({ default: f }) => f(...args));
-const cheerio = require('cheerio');
+const { getSelectors, extractCards } = require('./selectors');
+const { recordRun } = require('./drift');
+const { parseProductPage } = require('./productPage');
+const { parseAvailability } = require('./availability');
+
+const BASE_URL = 'https://www.amazon.in';
+const REQUEST_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+  'Accept-Language': 'en-US,en;q=0.9',
+  'Accept-Encoding': 'gzip, deflate, br',
+  'Connection': 'keep-alive',
+  'Upgrade-Insecure-Requests': '1',
+  'Sec-Fetch-Dest': 'document',
+  'Sec-Fetch-Mode': 'navigate',
+  'Sec-Fetch-Site': 'none',
+  'Cache-Control': 'max-age=0'
+};
+
+/**
+ * Parses an Amazon search results page using config/selectors/amazon.json
+ * @param {string} html - Search results HTML
+ * @returns {Object} { items: up to 20 products, stats: yield stats for ./drift }
+ */
+function parseSearchPage(html) {
+  const { selector, cards, stats } = extractCards(html, getSelectors('amazon'));
+  const items = [];
+
+  if (cards.length === 0) {
+    console.log('   ⚠️  No product elements found on page');
+    return { items, stats: { ...stats, items: 0 } };
+  }
+  console.log(`   ✓ Found products using selector: ${selector}`);
+
+  for (const { values } of cards) {
+    if (items.length >= 20) break;
+
+    try {
+      const { asin, title } = values;
+      if (!asin || !title) continue;
+
+      const link = values.link
+        ? (values.link.startsWith('http') ? values.link : BASE_URL + values.link)
+        : `${BASE_URL}/dp/${asin}`;
+
+      const price = parseInt(values.price.replace(/[^0-9]/g, '')) || 0;
+      if (price === 0) continue; // Skip if no valid price
+
+      // Original price for discount calculation
+      const origPrice = parseInt(values.originalPrice.replace(/[^0-9]/g, '')) || 0;
+
+      // Calculate discount
+      let discount = 0;
+      if (origPrice > 0 && origPrice > price) {
+        discount = Math.round(((origPrice - price) / origPrice) * 100);
+      }
+
+      const ratingMatch = values.rating.match(/(\d+\.?\d*)/);
+      const rating = ratingMatch ? parseFloat(ratingMatch[1]) : 0;
+
+      const reviews = parseInt(values.reviews.replace(/[^0-9]/g, '')) || 0;
+
+      items.push({
+        id: `amazon_${asin}_${Date.now()}`,
+        title,
+        subtitle: '',
+        description: '',
+        image: values.image,
+        store: 'Amazon',
+        price,
+        originalPrice: origPrice,
+        discount,
+        rating,
+        reviews,
+        stock: parseAvailability(values.availability),
+        link
+      });
+    } catch (err) {
+      // Skip problematic items silently (e.g. a field missing from the config)
+    }
+  }
+
+  return { items, stats: { ...stats, items: items.length } };
+}
+
+/**
+ * Extracts listings from an Amazon search results page
+ * @param {string} html - Search results HTML
+ * @returns {Array<Object>} Up to 20 products
+ */
+function parseProductsFromHtml(html) {
+  return parseSearchPage(html).items;
+}
 
 async function scrapeAmazon(query) {
   try {
-    const baseUrl = 'https://www.amazon.in';
-    const url = `${baseUrl}/s?k=${encodeURIComponent(query)}`;
+    const url = `${BASE_URL}/s?k=${encodeURIComponent(query)}`;
     
     console.log(`   🔍 Amazon: Fetching ${url}`);
     
-    const res = await fetch(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.9',
-        'Accept-Encoding': 'gzip, deflate, br',
-        'Connection': 'keep-alive',
-        'Upgrade-Insecure-Requests': '1',
-        'Sec-Fetch-Dest': 'document',
-        'Sec-Fetch-Mode': 'navigate',
-        'Sec-Fetch-Site': 'none',
-        'Cache-Control': 'max-age=0'
-      }
-    });
+    const res = await fetch(url, { headers: REQUEST_HEADERS });
 
     if (!res.ok) {
       console.log(`   ⚠️  Amazon returned status: ${res.status}`);
@@ -36,112 +114,8 @@ async function scrapeAmazon(query) {
       return [];
     }
 
-    const $ = cheerio.load(html);
-    const items = [];
-
-    // Try multiple selectors for Amazon's dynamic layout
-    const productSelectors = [
-      '[data-component-type="s-search-result"]',
-      '.s-result-item[data-asin]',
-      'div[data-asin]:not([data-asin=""])'
-    ];
-
-    let productElements = $([]);
-    for (const selector of productSelectors) {
-      productElements = $(selector);
-      if (productElements.length > 0) {
-        console.log(`   ✓ Found products using selector: ${selector}`);
-        break;
-      }
-    }
-
-    if (productElements.length === 0) {
-      console.log('   ⚠️  No product elements found on page');
-      return [];
-    }
-
-    productElements.each((i, el) => {
-      if (items.length >= 20) return false;
-
-      try {
-        const $el = $(el);
-        const asin = $el.attr('data-asin');
-        
-        if (!asin) return;
-
-        // Title - try multiple selectors
-        const title = $el.find('h2 a span').first().text().trim() ||
-                     $el.find('h2 span').first().text().trim() ||
-                     $el.find('.a-text-normal').first().text().trim();
-        
-        if (!title) return;
-
-        // Link
-        const linkHref = $el.find('h2 a').first().attr('href') ||
-                        $el.find('a.a-link-normal').first().attr('href');
-        
-        let link = '';
-        if (linkHref) {
-          link = linkHref.startsWith('http') ? linkHref : baseUrl + linkHref;
-        } else {
-          link = `${baseUrl}/dp/${asin}`;
-        }
-
-        // Image
-        const image = $el.find('img').first().attr('src') || 
-                     $el.find('img').first().attr('data-src') || '';
-
-        // Price - try multiple selectors
-        let priceText = $el.find('.a-price-whole').first().text().trim() ||
-                       $el.find('.a-price .a-offscreen').first().text() ||
-                       $el.find('.a-color-price').first().text();
-        
-        const price = priceText ? parseInt(priceText.replace(/[^0-9]/g, '')) || 0 : 0;
-        
-        if (price === 0) return; // Skip if no valid price
-
-        // Original price for discount calculation
-        const originalPriceText = $el.find('.a-text-price .a-offscreen').first().text();
-        const origPrice = originalPriceText ? parseInt(originalPriceText.replace(/[^0-9]/g, '')) || 0 : 0;
-        
-        // Calculate discount
-        let discount = 0;
-        if (origPrice > 0 && origPrice > price) {
-          discount = Math.round(((origPrice - price) / origPrice) * 100);
-        }
-
-        // Rating - try multiple selectors
-        const ratingText = $el.find('.a-icon-alt').first().text() ||
-                          $el.find('[aria-label*="stars"]').first().attr('aria-label') || '';
-        const ratingMatch = ratingText.match(/(\d+\.?\d*)/);
-        const rating = ratingMatch ? parseFloat(ratingMatch[1]) : 0;
-
-        // Reviews
-        const reviewsText = $el.find('.a-size-base.s-underline-text').first().text() ||
-                           $el.find('[aria-label*="ratings"]').first().attr('aria-label') || '';
-        const reviews = reviewsText ? parseInt(reviewsText.replace(/[^0-9]/g, '')) || 0 : 0;
-
-        items.push({
-          id: `amazon_${asin}_${Date.now()}`,
-          title,
-          subtitle: '',
-          description: '',
-          image,
-          store: 'Amazon',
-          price,
-          originalPrice: origPrice,
-          discount,
-          rating,
-          reviews,
-          stock: true,
-          link
-        });
-
-      } catch (err) {
-        // Skip problematic items silently
-      }
-    });
-
+    const { items, stats } = parseSearchPage(html);
+    recordRun('amazon', stats);
     console.log(`   ✓ Amazon scraped: ${items.length} products`);
     return items;
 
@@ -151,4 +125,36 @@ async function scrapeAmazon(query) {
   }
 }
 
-module.exports = { scrapeAmazon };
\ No newline at end of file
+/**
+ * Reads an Amazon product page. Never throws.
+ * @param {string} url - Product URL, e.g. https://www.amazon.in/dp/B0CHX1W1XY
+ * @returns {Promise<Object|null>} Product details (see productPage.js), or
+ *   null if the page couldn't be read
+ */
+async function scrapeAmazonProduct(url) {
+  try {
+    console.log(`   🔍 Amazon: Fetching product ${url}`);
+
+    const res = await fetch(url, { headers: REQUEST_HEADERS });
+
+    if (!res.ok) {
+      console.log(`   ⚠️  Amazon returned status: ${res.status}`);
+      return null;
+    }
+
+    const html = await res.text();
+
+    if (html.includes('Robot Check') || html.includes('captcha')) {
+      console.log('   ⚠️  Amazon bot detection triggered');
+      return null;
+    }
+
+    return parseProductPage(html, { store: 'amazon', name: 'Amazon', pageUrl: url });
+
+  } catch (error) {
+    console.error('   ❌ Amazon product page error:', error.message);
+    return null;
+  }
+}
+
+module.exports = { scrapeAmazon, scrapeAmazonProduct, parseProductsFromHtml, BASE_URL, REQUEST_HEADERS };
\ No newline at end of file
@@ -0,0 +1,24 @@
+/**
+ * Stock Availability
+ * Reads availability text from a store page ("Currently unavailable.",
+ * "Only 2 left in stock", schema.org "https://schema.org/InStock") into a
+ * listing's `stock`: true or false when the store says, null when it
+ * doesn't. Listings with `stock: null` are shown as availability 'unknown'
+ * (services/cartRevalidator.js) rather than assumed to be in stock.
+ */
+
+const OUT_OF_STOCK = /out of stock|OutOfStock|currently unavailable|sold ?out|Discontinued|coming soon/i;
+const IN_STOCK = /\bin ?stock\b|LimitedAvailability|OnlineOnly|InStoreOnly/i;
+
+/**
+ * @param {string} [text] - Availability text or schema.org availability URL
+ * @returns {boolean|null} null if the text doesn't say either way
+ */
+function parseAvailability(text) {
+  if (!text || !String(text).trim()) return null;
+  if (OUT_OF_STOCK.test(text)) return false;
+  if (IN_STOCK.test(text)) return true;
+  return null;
+}
+
+module.exports = { parseAvailability };
@@ -0,0 +1,289 @@
+/**
+ * Browser Pool
+ * Shared headless Chromium for browser-based scrapers, instead of a launch
+ * per search.
+ *
+ * - Each scraper gets its own browser context, kept warm between searches
+ *   (cookies and dismissed popups carry over)
+ * - Pages are reused, and replaced after BROWSER_PAGE_MAX_USES uses
+ * - BROWSER_POOL_SIZE caps pages in use at once; later callers queue for up
+ *   to BROWSER_ACQUIRE_TIMEOUT_MS
+ * - A crashed or disconnected browser is relaunched on the next request,
+ *   and an idle one is closed after BROWSER_IDLE_TIMEOUT_MS
+ * - Browsers are closed on SIGINT/SIGTERM and killed on process exit
+ *
+ * Usage:
+ *   const html = await withPage('flipkart', page => page.content(), {
+ *     setup: page => page.setUserAgent(...)   // once per new page
+ *   });
+ */
+
+const puppeteer = require('puppeteer-extra');
+const StealthPlugin = require('puppeteer-extra-plugin-stealth');
+
+puppeteer.use(StealthPlugin());
+
+const POOL_SIZE = Number(process.env.BROWSER_POOL_SIZE) || 2;
+const PAGE_MAX_USES = Number(process.env.BROWSER_PAGE_MAX_USES) || 20;
+const IDLE_TIMEOUT = Number(process.env.BROWSER_IDLE_TIMEOUT_MS) || 5 * 60 * 1000;
+const ACQUIRE_TIMEOUT = Number(process.env.BROWSER_ACQUIRE_TIMEOUT_MS) || 30000;
+const RESET_TIMEOUT = 3000;
+
+const LAUNCH_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-dev-shm-usage',
+  '--disable-accelerated-2d-canvas',
+  '--disable-gpu',
+  '--no-first-run',
+  '--no-zygote',
+  '--disable-infobars',
+  '--window-size=1366,768'
+];
+
+// Browsers by launch options key ("headless|proxy")
+const browsers = new Map();
+let active = 0;
+const waiters = [];
+let shutdownHooked = false;
+let shuttingDown = false;
+
+function launchKey({ headless = true, proxy = null } = {}) {
+  return `${headless}|${proxy || ''}`;
+}
+
+// Close browsers on shutdown signals; kill them if the process exits first
+function hookShutdown() {
+  if (shutdownHooked) return;
+  shutdownHooked = true;
+
+  const onSignal = async (signal) => {
+    console.log(`\n🧹 ${signal} received, closing browsers...`);
+    await closeAll();
+    process.exit(0);
+  };
+  process.once('SIGINT', onSignal);
+  process.once('SIGTERM', onSignal);
+  process.once('exit', () => {
+    browsers.forEach(entry => {
+      if (entry.browser) entry.browser.process()?.kill('SIGKILL');
+    });
+  });
+}
+
+async function launch(key, { headless = true, proxy = null }) {
+  const args = proxy ? [...LAUNCH_ARGS, `--proxy-server=${proxy}`] : LAUNCH_ARGS;
+  const startTime = Date.now();
+  const browser = await puppeteer.launch({
+    headless,
+    args,
+    defaultViewport: { width: 1366, height: 768 }
+  });
+  console.log(`   🌐 Browser launched in ${Date.now() - startTime}ms`);
+
+  browser.on('disconnected', () => {
+    const entry = browsers.get(key);
+    if (entry && entry.browser === browser) {
+      if (!shuttingDown) console.warn('   ⚠️  Browser disconnected - will relaunch on next use');
+      clearTimeout(entry.idleTimer);
+      browsers.delete(key);
+    }
+  });
+
+  return browser;
+}
+
+// The running browser for these launch options, launching it if needed
+async function getBrowser(options) {
+  const key = launchKey(options);
+  let entry = browsers.get(key);
+
+  if (entry && entry.browser && !entry.browser.connected) {
+    browsers.delete(key);
+    entry = null;
+  }
+
+  if (!entry) {
+    hookShutdown();
+    entry = { browser: null, contexts: new Map(), inUse: 0, idleTimer: null };
+    entry.ready = launch(key, options).then(
+      browser => { entry.browser = browser; return browser; },
+      error => { browsers.delete(key); throw error; }
+    );
+    browsers.set(key, entry);
+  }
+
+  await entry.ready;
+  return entry;
+}
+
+async function getContext(entry, scraper) {
+  if (!entry.contexts.has(scraper)) {
+    entry.contexts.set(scraper, {
+      ready: entry.browser.createBrowserContext().catch(error => {
+        entry.contexts.delete(scraper);
+        throw error;
+      }),
+      idle: []
+    });
+  }
+  const context = entry.contexts.get(scraper);
+  context.context = await context.ready;
+  return context;
+}
+
+// Waits for a free slot under POOL_SIZE
+function acquireSlot() {
+  if (active < POOL_SIZE) {
+    active++;
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const waiter = { resolve, timer: null };
+    waiter.timer = setTimeout(() => {
+      waiters.splice(waiters.indexOf(waiter), 1);
+      reject(new Error(`Browser pool busy: no page free after ${ACQUIRE_TIMEOUT}ms`));
+    }, ACQUIRE_TIMEOUT);
+    waiters.push(waiter);
+  });
+}
+
+function releaseSlot() {
+  const next = waiters.shift();
+  if (next) {
+    clearTimeout(next.timer);
+    next.resolve();
+  } else {
+    active--;
+  }
+}
+
+function scheduleIdleClose(entry) {
+  clearTimeout(entry.idleTimer);
+  if (entry.inUse > 0) return;
+  entry.idleTimer = setTimeout(() => {
+    if (entry.inUse === 0 && entry.browser) {
+      console.log('   💤 Closing idle browser');
+      entry.browser.close().catch(() => {});
+    }
+  }, IDLE_TIMEOUT);
+  entry.idleTimer.unref();
+}
+
+async function checkoutPage(context, setup) {
+  while (context.idle.length > 0) {
+    const pooled = context.idle.pop();
+    if (!pooled.page.isClosed() && !pooled.crashed) return pooled;
+  }
+
+  const pooled = { page: await context.context.newPage(), uses: 0, crashed: false };
+  pooled.page.on('error', () => { pooled.crashed = true; });
+  if (setup) await setup(pooled.page);
+  return pooled;
+}
+
+// Returns a page to the pool, or closes it if it's worn out or broken
+async function returnPage(context, pooled) {
+  pooled.uses++;
+  if (pooled.crashed || pooled.page.isClosed() || pooled.uses >= PAGE_MAX_USES) {
+    await pooled.page.close().catch(() => {});
+    return;
+  }
+
+  try {
+    // Stop the last site's timers and requests before the page sits idle
+    await pooled.page.goto('about:blank', { timeout: RESET_TIMEOUT });
+    context.idle.push(pooled);
+  } catch (error) {
+    await pooled.page.close().catch(() => {});
+  }
+}
+
+/**
+ * Runs `fn` with a pooled page from the scraper's browser context
+ * @param {string} scraper - Context name, e.g. 'flipkart'
+ * @param {function(Page): Promise<*>} fn - Must not close the page
+ * @param {Object} [options]
+ * @param {function(Page): Promise<void>} [options.setup] - Runs once per new
+ *   page (user agent, headers, ...)
+ * @param {Object} [options.launch] - { headless, proxy }; each distinct set
+ *   gets its own browser
+ * @returns {Promise<*>} What `fn` resolves to
+ */
+async function withPage(scraper, fn, { setup, launch: launchOptions = {} } = {}) {
+  await acquireSlot();
+
+  let entry = null;
+  let context = null;
+  let pooled = null;
+  try {
+    entry = await getBrowser(launchOptions);
+    entry.inUse++;
+    clearTimeout(entry.idleTimer);
+    context = await getContext(entry, scraper);
+    pooled = await checkoutPage(context, setup);
+    return await fn(pooled.page);
+  } finally {
+    if (pooled) await returnPage(context, pooled);
+    if (entry) {
+      entry.inUse--;
+      scheduleIdleClose(entry);
+    }
+    releaseSlot();
+  }
+}
+
+/**
+ * Launches the browser ahead of the first search, so the first query
+ * doesn't pay for a cold start
+ * @param {Object} [launchOptions] - { headless, proxy }
+ */
+async function warmUp(launchOptions = {}) {
+  try {
+    const entry = await getBrowser(launchOptions);
+    scheduleIdleClose(entry);
+    return true;
+  } catch (error) {
+    console.error('❌ Browser warm-up failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Closes every pooled browser
+ */
+async function closeAll() {
+  shuttingDown = true;
+  const entries = [...browsers.values()];
+  browsers.clear();
+  await Promise.all(entries.map(async entry => {
+    clearTimeout(entry.idleTimer);
+    try {
+      const browser = await entry.ready;
+      await browser.close();
+    } catch (e) {
+      // already gone
+    }
+  }));
+  shuttingDown = false;
+}
+
+function getStats() {
+  const entries = [...browsers.values()];
+  return {
+    browsers: entries.length,
+    pagesInUse: active,
+    queued: waiters.length,
+    idlePages: entries.reduce((total, entry) =>
+      total + [...entry.contexts.values()].reduce((sum, c) => sum + c.idle.length, 0), 0),
+    maxPages: POOL_SIZE
+  };
+}
+
+module.exports = {
+  withPage,
+  warmUp,
+  closeAll,
+  getStats
+};
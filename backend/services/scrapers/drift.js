@@ -0,0 +1,102 @@
+/**
+ * Selector Drift Detection
+ * Tracks extraction yield (the share of product cards each field was found
+ * on) over the last SELECTOR_DRIFT_WINDOW scrapes per store (default 10).
+ * A store is "degraded" when a field drops below its `minYield` in the
+ * selector config, or when most scrapes match no product cards at all. That
+ * way a layout change shows up in /api/health instead of as empty results.
+ *
+ * Stats reset when the store's selector version changes.
+ */
+
+const { getSelectors, listSelectorStores } = require('./selectors');
+
+const WINDOW = Number(process.env.SELECTOR_DRIFT_WINDOW) || 10;
+const MIN_RUNS = 3;
+// Share of scrapes that must find at least one product card
+const MIN_CARD_YIELD = 0.5;
+
+// store -> { version, runs: [{ at, cards, items, fields }], degraded }
+const history = new Map();
+
+const ratio = (part, total) => (total > 0 ? Math.round((part / total) * 100) / 100 : 0);
+
+function summarize(store, entry) {
+  let config = null;
+  try {
+    config = getSelectors(store);
+  } catch (error) {
+    return { status: 'degraded', selectorsVersion: null, runs: 0, reasons: [error.message] };
+  }
+
+  const runs = entry && entry.version === config.version ? entry.runs : [];
+  const summary = {
+    status: 'unknown',
+    selectorsVersion: config.version,
+    runs: runs.length,
+    lastRunAt: runs.length > 0 ? new Date(runs[runs.length - 1].at).toISOString() : null
+  };
+  if (runs.length === 0) return summary;
+
+  const cards = runs.reduce((total, run) => total + run.cards, 0);
+  summary.cardYield = ratio(runs.filter(run => run.cards > 0).length, runs.length);
+  summary.itemYield = ratio(runs.reduce((total, run) => total + run.items, 0), cards);
+  summary.fieldYield = Object.fromEntries(Object.keys(config.fields).map(name =>
+    [name, ratio(runs.reduce((total, run) => total + (run.fields[name] || 0), 0), cards)]));
+
+  summary.reasons = [];
+  if (summary.cardYield < MIN_CARD_YIELD) {
+    summary.reasons.push(`No product cards matched in ${runs.filter(run => run.cards === 0).length} of ${runs.length} scrapes`);
+  }
+  Object.entries(config.fields).forEach(([name, field]) => {
+    if (field.minYield !== undefined && cards > 0 && summary.fieldYield[name] < field.minYield) {
+      summary.reasons.push(`${name} found on ${Math.round(summary.fieldYield[name] * 100)}% of cards (min ${Math.round(field.minYield * 100)}%)`);
+    }
+  });
+
+  // Too few scrapes to call it either way
+  if (runs.length >= MIN_RUNS) {
+    summary.status = summary.reasons.length > 0 ? 'degraded' : 'ok';
+  }
+  return summary;
+}
+
+/**
+ * Records one parsed search page
+ * @param {string} store - e.g. 'amazon'
+ * @param {Object} stats - From selectors.extractCards, plus `items`
+ */
+function recordRun(store, stats) {
+  let entry = history.get(store);
+  if (!entry || entry.version !== stats.version) {
+    entry = { version: stats.version, runs: [], degraded: false };
+    history.set(store, entry);
+  }
+
+  entry.runs.push({ at: Date.now(), cards: stats.cards, items: stats.items, fields: stats.fields });
+  if (entry.runs.length > WINDOW) entry.runs.shift();
+
+  const summary = summarize(store, entry);
+  const degraded = summary.status === 'degraded';
+  if (degraded && !entry.degraded) {
+    console.warn(`⚠️  ${store} selectors (version ${stats.version}) look out of date: ${summary.reasons.join('; ')}`);
+  } else if (!degraded && entry.degraded) {
+    console.log(`✓ ${store} selectors recovered`);
+  }
+  entry.degraded = degraded;
+}
+
+/**
+ * Drift status for every store with a selector config
+ * @returns {Object} { [store]: { status: 'ok'|'degraded'|'unknown',
+ *   selectorsVersion, runs, lastRunAt, cardYield?, itemYield?, fieldYield?,
+ *   reasons? } }
+ */
+function getDriftStatus() {
+  return Object.fromEntries(listSelectorStores().map(store => [store, summarize(store, history.get(store))]));
+}
+
+module.exports = {
+  recordRun,
+  getDriftStatus
+};
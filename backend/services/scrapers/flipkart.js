@@ -1,21 +1,14 @@
 // scrapeFlipkart.js
 // Robust Puppeteer scraper with stealth, popup close, flexible waits, and debug mode.
+// Pages come from the shared browser pool (./browserPool); selectors from
+// config/selectors/flipkart.json (./selectors).
 
 const cheerio = require('cheerio');
-const puppeteer = require('puppeteer-extra');
-const StealthPlugin = require('puppeteer-extra-plugin-stealth');
-
-puppeteer.use(StealthPlugin());
-
-const PRODUCT_SELECTORS = [
-  '[data-id]',
-  '._1AtVbE',
-  '._2kHMtA',
-  '.cPHDOP',
-  '._13oc-S',
-  '.s1Q9rs',     // sometimes individual card selector
-  '._4rR01T'     // title selector directly present in some cards
-];
+const { withPage } = require('./browserPool');
+const { getSelectors, extractCards } = require('./selectors');
+const { recordRun } = require('./drift');
+const { parseProductPage } = require('./productPage');
+const { parseAvailability } = require('./availability');
 
 async function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
 
@@ -28,40 +21,26 @@ async function autoScroll(page, maxScrolls = 20, delay = 400) {
   await sleep(600 + Math.random() * 600);
 }
 
+// Realistic UA and headers, set once per pooled page
+async function setupPage(page) {
+  await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36');
+  await page.setExtraHTTPHeaders({ 'accept-language': 'en-US,en;q=0.9', referer: 'https://www.google.com/' });
+}
+
 async function fetchPageContentWithBrowser(url, opts = {}) {
   const {
     headless = true,
     timeout = 60000,
     proxy = null,
     debug = false,
+    // What to wait for and how far to scroll: search results by default
+    waitFor = getSelectors('flipkart').products,
+    scrolls = 10,
   } = opts;
+  const productSelectors = waitFor;
 
-  const launchArgs = [
-    '--no-sandbox',
-    '--disable-setuid-sandbox',
-    '--disable-dev-shm-usage',
-    '--disable-accelerated-2d-canvas',
-    '--disable-gpu',
-    '--no-first-run',
-    '--no-zygote',
-    '--disable-infobars',
-    '--window-size=1366,768'
-  ];
-  if (proxy) launchArgs.push(`--proxy-server=${proxy}`);
-
-  const browser = await puppeteer.launch({
-    headless,
-    args: launchArgs,
-    defaultViewport: { width: 1366, height: 768 },
-  });
-
-  const page = await browser.newPage();
-  // realistic UA
-  await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36');
-  await page.setExtraHTTPHeaders({ 'accept-language': 'en-US,en;q=0.9', referer: 'https://www.google.com/' });
-  page.setDefaultNavigationTimeout(timeout);
-
-  try {
+  return withPage('flipkart', async (page) => {
+    page.setDefaultNavigationTimeout(timeout);
     await page.goto(url, { waitUntil: 'domcontentloaded', timeout });
 
     // Immediately try close login popup if present
@@ -77,7 +56,7 @@ async function fetchPageContentWithBrowser(url, opts = {}) {
     let found = false;
     for (let attempt = 0; attempt < 4 && !found; attempt++) {
       // try to wait for at least one known selector
-      for (const sel of PRODUCT_SELECTORS) {
+      for (const sel of productSelectors) {
         try {
           await page.waitForSelector(sel, { timeout: 3000 });
           found = true;
@@ -92,20 +71,19 @@ async function fetchPageContentWithBrowser(url, opts = {}) {
     }
 
     // extra scrolling to load more products
-    await autoScroll(page, 10, 450);
+    await autoScroll(page, scrolls, 450);
 
     // Grab rendered HTML
     const html = await page.content();
 
-    // If debug and no product selectors found in HTML, keep page open for inspection
-    const htmlHasProducts = PRODUCT_SELECTORS.some(sel => {
+    // If debug and no product selectors found in HTML, hold the page for inspection
+    const htmlHasProducts = productSelectors.some(sel => {
       try { return !!(cheerio.load(html)(sel).length); } catch (e){ return false; }
     });
 
     if (!htmlHasProducts && debug) {
-      console.log('   ⚠️  No product selectors found in rendered HTML — leaving browser open for debugging at your request.');
-      console.log('   -> Inspect the opened browser, then press ENTER here to close it.');
-      // open a REPL-ish wait for user input in console
+      console.log('   ⚠️  No product selectors found in rendered HTML — holding the page open for debugging at your request.');
+      console.log('   -> Inspect the opened browser, then press ENTER here to continue.');
       // NOTE: this only works if you run test in the same terminal
       await new Promise((resolve) => {
         process.stdin.resume();
@@ -114,119 +92,74 @@ async function fetchPageContentWithBrowser(url, opts = {}) {
           resolve();
         });
       });
-      // after ENTER, continue
-    }
-
-    if (!debug) {
-      await page.close();
-      await browser.close();
-    } else if (!htmlHasProducts) {
-      // in debug mode, if we kept browser open, don't close here
-      // return HTML so user can inspect
-    } else {
-      await page.close();
-      await browser.close();
     }
 
     return html;
-  } catch (err) {
-    try { await page.close(); } catch (e) {}
-    try { await browser.close(); } catch (e) {}
-    throw err;
-  }
+  }, { setup: setupPage, launch: { headless, proxy } });
 }
 
-function parseProductsFromHtml(html) {
-  const $ = cheerio.load(html);
+/**
+ * Parses a rendered Flipkart search results page using
+ * config/selectors/flipkart.json
+ * @param {string} html - Search results HTML
+ * @returns {Object} { items: up to 40 products, stats: yield stats for ./drift }
+ */
+function parseSearchPage(html) {
+  const { cards, stats } = extractCards(html, getSelectors('flipkart'));
   const items = [];
 
-  // find first matching container set
-  let productElements = $([]);
-  for (const selector of PRODUCT_SELECTORS) {
-    const found = $(selector);
-    if (found.length > 0) {
-      productElements = found;
-      break;
-    }
-  }
-
-  productElements.each((i, el) => {
-    if (items.length >= 40) return false;
+  for (const [i, { values }] of cards.entries()) {
+    if (items.length >= 40) break;
     try {
-      const $el = $(el);
-
-      const title =
-        $el.find('._4rR01T').first().text().trim() ||
-        $el.find('.s1Q9rs').first().text().trim() ||
-        $el.find('._2WkVRV').first().text().trim() ||
-        $el.find('.IRpwTGD').first().text().trim() ||
-        $el.find('a[title]').first().attr('title') || '';
-
-      if (!title) return;
-
-      let link = $el.find('a').first().attr('href') || '';
-      if (link) link = link.startsWith('http') ? link : 'https://www.flipkart.com' + link;
-      else return;
-
-      const image =
-        $el.find('img').first().attr('src') ||
-        $el.find('img').first().attr('data-src') ||
-        $el.find('img').first().attr('data-image') || '';
-
-      const priceText =
-        $el.find('._30jeq3').first().text() ||
-        $el.find('._1_WHN1').first().text() ||
-        $el.find('._3I9_wc').first().text() ||
-        $el.find('div[class*="price"]').first().text();
-      const price = priceText ? parseInt(priceText.replace(/[^0-9]/g, '')) || 0 : 0;
-      if (price === 0) return;
-
-      const originalPriceText =
-        $el.find('._3I9_wc').first().text() ||
-        $el.find('._11B7B').first().text() ||
-        $el.find('._3auQ3N').first().text();
-      const origPrice = originalPriceText ? parseInt(originalPriceText.replace(/[^0-9]/g, '')) || 0 : 0;
-
-      const discountText =
-        $el.find('._3Ay6Sb').first().text() ||
-        $el.find('._1uv9Cb').first().text();
-      let discount = discountText ? parseInt(discountText.replace(/[^0-9]/g, '')) || 0 : 0;
+      const { title } = values;
+      if (!title || !values.link) continue;
+      const link = values.link.startsWith('http') ? values.link : 'https://www.flipkart.com' + values.link;
+
+      const price = parseInt(values.price.replace(/[^0-9]/g, '')) || 0;
+      if (price === 0) continue;
+
+      const origPrice = parseInt(values.originalPrice.replace(/[^0-9]/g, '')) || 0;
+
+      let discount = parseInt(values.discount.replace(/[^0-9]/g, '')) || 0;
       if (origPrice > 0 && origPrice > price && discount === 0) {
         discount = Math.round(((origPrice - price) / origPrice) * 100);
       }
 
-      const ratingText =
-        $el.find('._3LWZlK').first().text() ||
-        $el.find('._1lRcqv').first().text() ||
-        $el.find('div[class*="rating"]').first().text();
-      const rating = ratingText ? parseFloat(ratingText.match(/[\d.]+/)?.[0] || '0') : 0;
+      const rating = parseFloat(values.rating.match(/[\d.]+/)?.[0] || '0') || 0;
 
-      const reviewsText =
-        $el.find('._2_R_DZ').first().text() ||
-        $el.find('span[class*="rating"]').last().text();
-      const reviews = reviewsText ? parseInt(reviewsText.replace(/[^0-9]/g, '')) || 0 : 0;
+      // "1,23,456 Ratings & 5,012 Reviews" - the ratings count, like Amazon's
+      const reviews = parseInt((values.reviews.match(/\d[\d,]*/)?.[0] || '').replace(/,/g, '')) || 0;
 
       items.push({
         id: `flipkart_${i}_${Date.now()}`,
         title,
         subtitle: '',
         description: '',
-        image,
+        image: values.image,
         store: 'Flipkart',
         price,
         originalPrice: origPrice,
         discount,
         rating,
         reviews,
-        stock: true,
+        stock: parseAvailability(values.availability),
         link
       });
     } catch (e) {
-      // skip
+      // skip (e.g. a field missing from the config)
     }
-  });
+  }
 
-  return items;
+  return { items, stats: { ...stats, items: items.length } };
+}
+
+/**
+ * Extracts listings from a rendered Flipkart search results page
+ * @param {string} html - Search results HTML
+ * @returns {Array<Object>} Up to 40 products
+ */
+function parseProductsFromHtml(html) {
+  return parseSearchPage(html).items;
 }
 
 async function scrapeFlipkart(query, opts = {}) {
@@ -247,7 +180,8 @@ async function scrapeFlipkart(query, opts = {}) {
       return [];
     }
 
-    const products = parseProductsFromHtml(html);
+    const { items: products, stats } = parseSearchPage(html);
+    recordRun('flipkart', stats);
     console.log(`   ✓ Flipkart scraped: ${products.length} products`);
     return products;
   } catch (err) {
@@ -256,4 +190,35 @@ async function scrapeFlipkart(query, opts = {}) {
   }
 }
 
-module.exports = { scrapeFlipkart };
+/**
+ * Reads a Flipkart product page in the browser pool. Never throws.
+ * @param {string} url - Product URL with its pid
+ * @returns {Promise<Object|null>} Product details (see productPage.js), or
+ *   null if the page couldn't be read
+ */
+async function scrapeFlipkartProduct(url, opts = {}) {
+  try {
+    console.log(`   🔍 Flipkart (browser): Fetching product ${url}`);
+
+    const { productPage } = getSelectors('flipkart');
+    const html = await fetchPageContentWithBrowser(url, {
+      headless: opts.headless ?? true,
+      timeout: opts.timeout ?? 60000,
+      proxy: opts.proxy ?? null,
+      waitFor: (productPage?.fields.title?.selectors || []).filter(sel => typeof sel === 'string'),
+      scrolls: 2,
+    });
+
+    if (!html || html.length < 1000 || html.includes('Access Denied')) {
+      console.log('   ⚠️  Flipkart returned a blocked/empty page from browser rendering');
+      return null;
+    }
+
+    return parseProductPage(html, { store: 'flipkart', name: 'Flipkart', pageUrl: url });
+  } catch (err) {
+    console.error('   ❌ Flipkart product page error:', err.message);
+    return null;
+  }
+}
+
+module.exports = { scrapeFlipkart, scrapeFlipkartProduct, parseProductsFromHtml, fetchPageContentWithBrowser };
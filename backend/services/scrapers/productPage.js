@@ -0,0 +1,77 @@
+/**
+ * Product Page Parser
+ * Reads a single store product page into listing details, for looking up
+ * a product from its URL (services/productLookup.js). schema.org data is
+ * used where the page has it (./structuredData.js); the store's productPage
+ * selectors in config/selectors/<store>.json fill in the rest, including
+ * the spec tables that structured data doesn't carry.
+ */
+
+const { getSelectors, extractPage } = require('./selectors');
+const { extractProducts } = require('./structuredData');
+const { parseAvailability } = require('./availability');
+
+// "₹1,29,900.00" -> 129900
+function parseAmount(text) {
+  const match = (text || '').replace(/,/g, '').match(/\d+(?:\.\d+)?/);
+  return match ? Math.round(parseFloat(match[0])) : 0;
+}
+
+// Amazon bylines read "Visit the Apple Store" or "Brand: Apple"
+function cleanBrand(text) {
+  return (text || '')
+    .replace(/^\s*(visit the|brand\s*:)\s*/i, '')
+    .replace(/\s+store\s*$/i, '')
+    .trim();
+}
+
+/**
+ * Parses a product page
+ * @param {string} html
+ * @param {Object} options
+ * @param {string} options.store - Selector config id, e.g. 'amazon'
+ * @param {string} options.name - Store name for the listing, e.g. 'Amazon'
+ * @param {string} options.pageUrl - The page's (canonical) URL
+ * @returns {Object|null} Listing fields plus { brand, specs }, or null if the
+ *   page has no title or price
+ */
+function parseProductPage(html, { store, name, pageUrl }) {
+  let page = { values: {}, specs: {} };
+  try {
+    const config = getSelectors(store).productPage;
+    if (config) page = extractPage(html, config);
+  } catch (error) {
+    console.warn(`   ⚠️  No ${store} product page selectors: ${error.message}`);
+  }
+  const { values, specs } = page;
+  const [structured] = extractProducts(html, { store: name, pageUrl }).items;
+
+  const title = structured?.title || values.title || '';
+  const price = structured?.price || parseAmount(values.price);
+  if (!title || price === 0) return null;
+
+  let originalPrice = structured?.originalPrice || parseAmount(values.originalPrice);
+  if (originalPrice <= price) originalPrice = 0;
+
+  const rating = structured?.rating || parseFloat((values.rating || '').match(/\d+(?:\.\d+)?/)?.[0] || '0') || 0;
+  const reviews = structured?.reviews || parseInt((values.reviews || '').match(/\d[\d,]*/)?.[0]?.replace(/,/g, '') || '0') || 0;
+  const stock = parseAvailability(values.availability) ?? structured?.stock ?? null;
+
+  return {
+    title,
+    brand: cleanBrand(values.brand) || specs.Brand || '',
+    description: structured?.description || '',
+    image: structured?.image || values.image || '',
+    store: name,
+    price,
+    originalPrice,
+    discount: originalPrice > 0 ? Math.round(((originalPrice - price) / originalPrice) * 100) : 0,
+    rating,
+    reviews,
+    stock,
+    link: pageUrl,
+    specs
+  };
+}
+
+module.exports = { parseProductPage };
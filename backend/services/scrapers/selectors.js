@@ -0,0 +1,235 @@
+/**
+ * Scraper Selectors
+ * CSS selectors for the HTML scrapers, kept in one JSON file per store
+ * (config/selectors/<store>.json, or SELECTORS_DIR) so a store layout change
+ * can be fixed without a code deploy. A file is re-read when it changes on
+ * disk; an invalid edit is logged and the last good version stays in use.
+ *
+ * {
+ *   "store": "amazon",
+ *   "version": "2026-10-19.1",            // bump on every edit
+ *   "products": ["<card selector>", ...],  // the first that matches wins
+ *   "fields": {
+ *     "<field>": {
+ *       "selectors": [                     // the first non-empty value wins
+ *         "<css>",                         // text of the first match
+ *         { "css": "<css>", "attr": "<attribute>", "last": true }
+ *       ],                                 // (no css: the card itself)
+ *       "minYield": 0.8                    // optional, see ./drift.js
+ *     }
+ *   },
+ *   "productPage": {                       // optional, see ./productPage.js
+ *     "fields": { ...as above, matched against the whole page },
+ *     "specs": [{ "rows": "<css>", "name": "<css>", "value": "<css>" }]
+ *   }
+ * }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+
+const SELECTORS_DIR = process.env.SELECTORS_DIR
+  ? path.resolve(process.env.SELECTORS_DIR)
+  : path.join(__dirname, '..', '..', 'config', 'selectors');
+
+// store -> { config, mtimeMs }
+const loaded = new Map();
+
+// Throws on anything the parsers can't use, including CSS cheerio can't parse
+function validateSelectors(config, store) {
+  const $ = cheerio.load('');
+  const checkCss = (css, where) => {
+    try {
+      $(css);
+    } catch (error) {
+      throw new Error(`${where}: invalid selector "${css}"`);
+    }
+  };
+
+  if (!config || typeof config !== 'object') throw new Error('not a JSON object');
+  if (config.store !== store) throw new Error(`"store" must be "${store}"`);
+  if (typeof config.version !== 'string' && typeof config.version !== 'number') {
+    throw new Error('"version" is required');
+  }
+  if (!Array.isArray(config.products) || config.products.length === 0) {
+    throw new Error('"products" must be a non-empty array of selectors');
+  }
+  config.products.forEach((css, i) => checkCss(css, `products[${i}]`));
+
+  const checkFields = (fields, prefix) => {
+    if (!fields || typeof fields !== 'object') throw new Error(`"${prefix}" is required`);
+    Object.entries(fields).forEach(([name, field]) => checkField(field, `${prefix}.${name}`));
+  };
+  const checkField = (field, prefix) => {
+    if (!Array.isArray(field.selectors) || field.selectors.length === 0) {
+      throw new Error(`${prefix}.selectors must be a non-empty array`);
+    }
+    field.selectors.forEach((entry, i) => {
+      const where = `${prefix}.selectors[${i}]`;
+      if (typeof entry === 'string') return checkCss(entry, where);
+      if (!entry || (entry.css === undefined && entry.attr === undefined)) {
+        throw new Error(`${where} needs "css" and/or "attr"`);
+      }
+      if (entry.css !== undefined) checkCss(entry.css, where);
+    });
+    if (field.minYield !== undefined && !(field.minYield >= 0 && field.minYield <= 1)) {
+      throw new Error(`${prefix}.minYield must be between 0 and 1`);
+    }
+  };
+
+  checkFields(config.fields, 'fields');
+  if (config.productPage !== undefined) {
+    checkFields(config.productPage.fields, 'productPage.fields');
+    (config.productPage.specs || []).forEach((table, i) => {
+      ['rows', 'name', 'value'].forEach(key => {
+        if (typeof table[key] !== 'string') throw new Error(`productPage.specs[${i}].${key} must be a selector`);
+        checkCss(table[key], `productPage.specs[${i}].${key}`);
+      });
+    });
+  }
+}
+
+/**
+ * The current selector config for a store, re-read if the file changed.
+ * Throws if the store has never had a valid config.
+ * @param {string} store - e.g. 'amazon'
+ * @returns {Object} Parsed config (see the module comment)
+ */
+function getSelectors(store) {
+  const file = path.join(SELECTORS_DIR, `${store}.json`);
+  const current = loaded.get(store);
+
+  let mtimeMs;
+  try {
+    mtimeMs = fs.statSync(file).mtimeMs;
+  } catch (error) {
+    if (current) return current.config;
+    throw new Error(`No selector config for ${store} (${file})`);
+  }
+  if (current && current.mtimeMs === mtimeMs) return current.config;
+
+  try {
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    validateSelectors(config, store);
+    loaded.set(store, { config, mtimeMs });
+    if (current) console.log(`🔄 Reloaded ${store} selectors (version ${config.version})`);
+    return config;
+  } catch (error) {
+    if (!current) throw new Error(`Invalid selector config ${file}: ${error.message}`);
+    console.error(`❌ Ignoring invalid ${store} selectors, still using version ${current.config.version}:`, error.message);
+    // Don't re-read the broken file on every scrape
+    current.mtimeMs = mtimeMs;
+    return current.config;
+  }
+}
+
+/**
+ * Stores with a selector config file
+ * @returns {Array<string>}
+ */
+function listSelectorStores() {
+  try {
+    return fs.readdirSync(SELECTORS_DIR)
+      .filter(file => file.endsWith('.json'))
+      .map(file => file.replace(/\.json$/, ''))
+      .sort();
+  } catch (error) {
+    return [];
+  }
+}
+
+function resolveField($el, selectors) {
+  for (const entry of selectors) {
+    const { css, attr, last } = typeof entry === 'string' ? { css: entry } : entry;
+    const $matches = css ? $el.find(css) : $el;
+    const $node = last ? $matches.last() : $matches.first();
+    const value = attr ? $node.attr(attr) : $node.text();
+    if (value && value.trim()) return value.trim();
+  }
+  return '';
+}
+
+/**
+ * Finds the product cards on a page and resolves every configured field
+ * on each one
+ * @param {string} html
+ * @param {Object} config - From getSelectors
+ * @returns {Object} { selector, cards: [{ $el, values: { field: string } }],
+ *   stats: { version, cards, fields: { field: cards where it was found } } }
+ */
+function extractCards(html, config) {
+  const $ = cheerio.load(html);
+
+  let selector = null;
+  let elements = $([]);
+  for (const css of config.products) {
+    elements = $(css);
+    if (elements.length > 0) {
+      selector = css;
+      break;
+    }
+  }
+
+  const fieldNames = Object.keys(config.fields);
+  const stats = {
+    version: config.version,
+    cards: elements.length,
+    fields: Object.fromEntries(fieldNames.map(name => [name, 0]))
+  };
+
+  const cards = elements.toArray().map(el => {
+    const $el = $(el);
+    const values = {};
+    fieldNames.forEach(name => {
+      values[name] = resolveField($el, config.fields[name].selectors);
+      if (values[name]) stats.fields[name]++;
+    });
+    return { $el, values };
+  });
+
+  return { selector, cards, stats };
+}
+
+// Spec labels come with colons and invisible direction marks ("Brand ‏ : ‎")
+const cleanSpecText = text => text.replace(/[\u200e\u200f]/g, '').replace(/\s+/g, ' ').replace(/\s*:\s*$/, '').trim();
+const MAX_SPECS = 40;
+
+/**
+ * Resolves a store's productPage fields and spec tables on a product page
+ * @param {string} html
+ * @param {Object} pageConfig - config.productPage from getSelectors
+ * @returns {Object} { values: { field: string }, specs: { name: value } }
+ */
+function extractPage(html, pageConfig) {
+  const $ = cheerio.load(html);
+  const $page = $.root();
+
+  const values = {};
+  Object.entries(pageConfig.fields).forEach(([name, field]) => {
+    values[name] = resolveField($page, field.selectors);
+  });
+
+  const specs = {};
+  (pageConfig.specs || []).forEach(table => {
+    $(table.rows).each((i, row) => {
+      if (Object.keys(specs).length >= MAX_SPECS) return false;
+      const $row = $(row);
+      const name = cleanSpecText($row.find(table.name).first().text());
+      const value = $row.find(table.value)
+        .map((j, el) => cleanSpecText($(el).text())).get()
+        .filter(Boolean)
+        .join(', ');
+      if (name && value && specs[name] === undefined) specs[name] = value;
+    });
+  });
+
+  return { values, specs };
+}
+
+module.exports = {
+  getSelectors,
+  listSelectorStores,
+  extractCards,
+  extractPage
+};
@@ -0,0 +1,356 @@
+/**
+ * Structured Data Extractor
+ * Reads schema.org Product data that many stores embed for search engines
+ * and turns it into the listing shape the scrapers return, so a store can be
+ * added without a bespoke scraper. Sources, in order of preference:
+ *
+ * - JSON-LD (<script type="application/ld+json">): Product, ProductGroup
+ *   variants, ItemList entries and @graph
+ * - Microdata (itemscope/itemtype/itemprop)
+ * - OpenGraph product tags (og:title, product:price:amount, ...), used only
+ *   when the page has neither, since they describe the page itself
+ *
+ * Search pages that only list product URLs (an ItemList of ListItem.url)
+ * yield no listings but their links; scrapeStructuredData then fetches up to
+ * `maxProductPages` of those product pages on the store's own origin, with
+ * whatever is left of the adapter's timeout.
+ */
+
+const cheerio = require('cheerio');
+const { parseAvailability } = require('./availability');
+
+// Use native fetch (Node.js 18+) or fallback to node-fetch
+let fetch;
+if (typeof globalThis.fetch === 'function') {
+  fetch = globalThis.fetch;
+} else {
+  fetch = (...args) => import('node-fetch').then(({ default: f }) => f(...args));
+}
+
+const PAGE_TIMEOUT = 5000;
+// Same default as the source registry's per-search timeout
+const DEFAULT_TIMEOUT = 6000;
+// Product pages aren't fetched with less time than this left
+const MIN_PAGE_TIMEOUT = 1000;
+// Time left to parse and return before the aggregator stops waiting
+const TIMEOUT_MARGIN = 250;
+const DEFAULT_MAX_PRODUCT_PAGES = 6;
+const REQUEST_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+  'Accept-Language': 'en-IN,en;q=0.9'
+};
+
+const MAX_DESCRIPTION = 300;
+
+const toArray = value => (value === undefined || value === null ? [] : [].concat(value));
+
+// "Product", "schema:Product" and "http://schema.org/Product" all match
+function isType(node, type) {
+  return toArray(node && node['@type']).some(t => String(t).replace(/^.*[/:#]/, '') === type);
+}
+
+// First usable string of a JSON-LD value that may be an array or { url }/{ name }
+function firstString(value, key = 'url') {
+  for (const entry of toArray(value)) {
+    if (typeof entry === 'string' && entry.trim()) return entry.trim();
+    if (entry && typeof entry === 'object' && typeof entry[key] === 'string') return entry[key].trim();
+  }
+  return '';
+}
+
+function parsePrice(value) {
+  if (typeof value === 'number') return value;
+  const number = parseFloat(String(value ?? '').replace(/[^0-9.]/g, ''));
+  return Number.isFinite(number) ? number : 0;
+}
+
+function resolveUrl(url, pageUrl) {
+  if (!url) return '';
+  try {
+    return new URL(url, pageUrl).href;
+  } catch (error) {
+    return '';
+  }
+}
+
+// Walks a JSON-LD document collecting Product nodes and bare ListItem URLs
+function collectJsonLd(node, found) {
+  if (Array.isArray(node)) {
+    node.forEach(child => collectJsonLd(child, found));
+    return;
+  }
+  if (!node || typeof node !== 'object') return;
+
+  if (isType(node, 'Product')) {
+    found.products.push(node);
+  } else if (isType(node, 'ProductGroup')) {
+    const variants = toArray(node.hasVariant);
+    if (variants.length > 0) {
+      // Variants often leave the shared fields on the group
+      variants.forEach(variant => collectJsonLd({ name: node.name, image: node.image, aggregateRating: node.aggregateRating, ...variant }, found));
+    } else {
+      found.products.push(node);
+    }
+  } else if (isType(node, 'ListItem')) {
+    // Search pages often list just the product URL: item as a string, an
+    // untyped { url }, or url on the ListItem itself
+    const item = node.item;
+    const url = typeof item === 'string' ? item : !isType(item, 'Product') && (item?.url || node.url);
+    if (url) found.links.push(url);
+  }
+
+  ['@graph', 'itemListElement', 'item', 'mainEntity'].forEach(key => {
+    if (node[key] && typeof node[key] === 'object') collectJsonLd(node[key], found);
+  });
+}
+
+function parseJsonLd($, found) {
+  $('script[type="application/ld+json"]').each((i, el) => {
+    try {
+      collectJsonLd(JSON.parse($(el).text().trim()), found);
+    } catch (error) {
+      // Some stores ship invalid JSON-LD; the other sources may still work
+    }
+  });
+}
+
+function propertyValue($el) {
+  if ($el.attr('content') !== undefined) return $el.attr('content');
+  if ($el.is('a, link, area')) return $el.attr('href') || '';
+  if ($el.is('img, source, audio, video, iframe, embed')) return $el.attr('src') || '';
+  if ($el.is('data, meter')) return $el.attr('value') || '';
+  if ($el.is('time')) return $el.attr('datetime') || $el.text().trim();
+  return $el.text().trim();
+}
+
+// Reads an itemscope into a JSON-LD-like object (nested scopes become objects)
+function readMicrodataItem($, $scope) {
+  const item = { '@type': ($scope.attr('itemtype') || '').split(/\s+/).filter(Boolean) };
+
+  $scope.find('[itemprop]').each((i, el) => {
+    const $el = $(el);
+    // Only this scope's own properties, not those of nested items
+    if ($el.parent().closest('[itemscope]')[0] !== $scope[0]) return;
+
+    const value = $el.is('[itemscope]') ? readMicrodataItem($, $el) : propertyValue($el);
+    $el.attr('itemprop').split(/\s+/).filter(Boolean).forEach(name => {
+      item[name] = item[name] === undefined ? value : toArray(item[name]).concat(value);
+    });
+  });
+
+  return item;
+}
+
+function parseMicrodata($, found) {
+  $('[itemscope][itemtype]').each((i, el) => {
+    const $el = $(el);
+    const item = { '@type': ($el.attr('itemtype') || '').split(/\s+/) };
+    if (!isType(item, 'Product')) return;
+    // Products nested in another product are its variants or accessories
+    const $parentScope = $el.parent().closest('[itemscope]');
+    if ($parentScope.length > 0 && isType({ '@type': ($parentScope.attr('itemtype') || '').split(/\s+/) }, 'Product')) return;
+
+    found.products.push(readMicrodataItem($, $el));
+  });
+}
+
+function parseOpenGraph($) {
+  const tags = {};
+  $('meta[property], meta[name]').each((i, el) => {
+    const name = ($(el).attr('property') || $(el).attr('name') || '').toLowerCase();
+    if (/^(og|product):/.test(name) && tags[name] === undefined) tags[name] = $(el).attr('content');
+  });
+
+  const regularPrice = tags['product:price:amount'] || tags['og:price:amount'];
+  const salePrice = tags['product:sale_price:amount'];
+  if (!/product/i.test(tags['og:type'] || '') && !regularPrice) return null;
+
+  const price = salePrice || regularPrice;
+  if (!tags['og:title'] || !price) return null;
+
+  return {
+    '@type': 'Product',
+    name: tags['og:title'],
+    description: tags['og:description'],
+    image: tags['og:image'],
+    url: tags['og:url'],
+    offers: {
+      price,
+      priceCurrency: tags['product:price:currency'] || tags['og:price:currency'],
+      availability: tags['product:availability'] || tags['og:availability'],
+      // A sale price means the regular one is what it's marked down from
+      ...(salePrice && regularPrice && { priceSpecification: { priceType: 'ListPrice', price: regularPrice } })
+    }
+  };
+}
+
+// Flattens Offer / AggregateOffer / arrays into [{ price, listPrice, currency, availability }]
+function readOffers(offers) {
+  return toArray(offers).flatMap(offer => {
+    if (!offer || typeof offer !== 'object') return [];
+    if (isType(offer, 'AggregateOffer') && offer.offers) {
+      return readOffers(offer.offers);
+    }
+
+    const specs = toArray(offer.priceSpecification);
+    const listSpec = specs.find(spec => /ListPrice|StrikethroughPrice/i.test(String(spec.priceType || '')));
+    const saleSpec = specs.find(spec => spec !== listSpec && spec.price !== undefined);
+    return [{
+      price: parsePrice(offer.price ?? offer.lowPrice ?? saleSpec?.price),
+      listPrice: parsePrice(listSpec?.price),
+      currency: offer.priceCurrency || saleSpec?.priceCurrency || listSpec?.priceCurrency || '',
+      availability: String(offer.availability || '')
+    }];
+  });
+}
+
+// Ratings on other scales (e.g. out of 10) are converted to out of 5
+function readRating(aggregateRating) {
+  const rating = toArray(aggregateRating)[0];
+  if (!rating || typeof rating !== 'object') return { rating: 0, reviews: 0 };
+
+  const value = parsePrice(rating.ratingValue);
+  const best = parsePrice(rating.bestRating) || 5;
+  return {
+    rating: value > 0 ? Math.round((value / best) * 5 * 10) / 10 : 0,
+    reviews: Math.round(parsePrice(rating.ratingCount ?? rating.reviewCount))
+  };
+}
+
+function toListing(product, index, { store, pageUrl, currency }) {
+  const title = firstString(product.name, 'name');
+  if (!title) return null;
+
+  // Cheapest offer in the expected currency, preferring ones in stock
+  const offers = readOffers(product.offers)
+    .filter(offer => offer.price > 0 && (!offer.currency || !currency || offer.currency.toUpperCase() === currency))
+    .sort((a, b) => (parseAvailability(a.availability) === false) - (parseAvailability(b.availability) === false) || a.price - b.price);
+  const offer = offers[0];
+  if (!offer) return null;
+
+  const originalPrice = offer.listPrice > offer.price ? offer.listPrice : 0;
+  const { rating, reviews } = readRating(product.aggregateRating);
+  const sku = firstString(product.sku, 'sku') || firstString(product.productID, 'productID') || index;
+  const slug = store.toLowerCase().replace(/[^a-z0-9]+/g, '');
+
+  return {
+    id: `${slug}_${sku}_${Date.now()}`,
+    title,
+    subtitle: '',
+    description: firstString(product.description, 'description').slice(0, MAX_DESCRIPTION),
+    image: resolveUrl(firstString(product.image), pageUrl),
+    store,
+    price: offer.price,
+    originalPrice,
+    discount: originalPrice > 0 ? Math.round(((originalPrice - offer.price) / originalPrice) * 100) : 0,
+    rating,
+    reviews,
+    // null when the store leaves availability out
+    stock: parseAvailability(offer.availability),
+    link: resolveUrl(firstString(product.url) || firstString(product.offers?.url), pageUrl) || pageUrl
+  };
+}
+
+/**
+ * Extracts product listings from a page's structured data
+ * @param {string} html
+ * @param {Object} options
+ * @param {string} options.store - Store name for the listings, e.g. 'Croma'
+ * @param {string} options.pageUrl - The page's URL, for resolving relative links
+ * @param {string} [options.currency='INR'] - Offers priced in other currencies
+ *   are skipped (offers without a currency are kept)
+ * @returns {Object} { items: listings, links: product URLs listed without
+ *   details }
+ */
+function extractProducts(html, { store, pageUrl, currency = 'INR' }) {
+  const $ = cheerio.load(html);
+  const found = { products: [], links: [] };
+
+  parseJsonLd($, found);
+  parseMicrodata($, found);
+  if (found.products.length === 0) {
+    const openGraph = parseOpenGraph($);
+    if (openGraph) found.products.push(openGraph);
+  }
+
+  // JSON-LD and microdata often describe the same products
+  const seen = new Set();
+  const items = found.products
+    .map((product, i) => toListing(product, i, { store, pageUrl, currency }))
+    .filter(item => {
+      if (!item) return false;
+      const key = `${item.link}|${item.title}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+  const links = [...new Set(found.links.map(link => resolveUrl(link, pageUrl)).filter(Boolean))];
+  return { items, links };
+}
+
+async function fetchHtml(url, timeout = PAGE_TIMEOUT) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  try {
+    const res = await fetch(url, { headers: REQUEST_HEADERS, signal: controller.signal });
+    if (!res.ok) throw new Error(`${new URL(url).hostname} returned status ${res.status}`);
+    return await res.text();
+  } catch (error) {
+    throw error.name === 'AbortError' ? new Error(`No response from ${new URL(url).hostname} after ${timeout}ms`) : error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Searches a store through the structured data on its search page (and,
+ * if that only lists links, on the product pages). Never throws.
+ * @param {string} query
+ * @param {Object} options
+ * @param {string} options.store - Store name, e.g. 'Croma'
+ * @param {string} options.searchUrl - Search URL with a {query} placeholder
+ * @param {number} [options.maxProductPages=6]
+ * @param {string} [options.currency='INR']
+ * @param {number} [options.timeout=6000] - The adapter's timeout; both the
+ *   search page and the product pages have to fit in it
+ * @returns {Promise<Array<Object>>} Listings in the scraper shape
+ */
+async function scrapeStructuredData(query, { store, searchUrl, maxProductPages = DEFAULT_MAX_PRODUCT_PAGES, currency, timeout = DEFAULT_TIMEOUT }) {
+  const deadline = Date.now() + timeout - TIMEOUT_MARGIN;
+  const timeLeft = () => Math.min(PAGE_TIMEOUT, deadline - Date.now());
+
+  try {
+    const url = searchUrl.replace(/\{query\}/g, encodeURIComponent(query));
+    console.log(`   🔍 ${store}: Fetching ${url}`);
+
+    const { items, links } = extractProducts(await fetchHtml(url, timeLeft()), { store, pageUrl: url, currency });
+
+    // Links elsewhere (ads, marketplaces, CDNs) aren't this store's listings
+    const origin = new URL(url).origin;
+    const productLinks = links.filter(link => new URL(link).origin === origin).slice(0, maxProductPages);
+
+    if (items.length === 0 && productLinks.length > 0) {
+      const pageTimeout = timeLeft();
+      if (pageTimeout < MIN_PAGE_TIMEOUT) {
+        console.log(`   ↪ ${store}: No time left for ${productLinks.length} linked product pages`);
+      } else {
+        const pages = await Promise.allSettled(productLinks.map(async link =>
+          extractProducts(await fetchHtml(link, pageTimeout), { store, pageUrl: link, currency }).items));
+        pages.forEach(page => {
+          if (page.status === 'fulfilled') items.push(...page.value);
+        });
+        console.log(`   ↪ ${store}: Read ${pages.filter(p => p.status === 'fulfilled').length} of ${pages.length} linked product pages`);
+      }
+    }
+
+    console.log(`   ✓ ${store} scraped: ${items.length} products`);
+    return items;
+  } catch (error) {
+    console.error(`   ❌ ${store} scraping error:`, error.message);
+    return [];
+  }
+}
+
+module.exports = { extractProducts, scrapeStructuredData };
@@ -1,3 +1,5 @@
+const { parseAvailability } = require('./scrapers/availability');
+
 // Use native fetch (Node.js 18+) or fallback to node-fetch
 let fetch;
 if (typeof globalThis.fetch === 'function') {
@@ -158,7 +160,8 @@ async function searchGoogleShopping(query) {
         discount: discount,
         rating: rating,
         reviews: reviews,
-        stock: true,
+        // Only some results say, e.g. "In stock online"
+        stock: parseAvailability(Array.isArray(item.extensions) ? item.extensions.join(' · ') : ''),
         link: productLink || item.link || ''
       };
     }).filter(item => item.price > 0 && item.link); // Only return items with valid price AND link
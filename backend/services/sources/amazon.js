@@ -0,0 +1,16 @@
+const { scrapeAmazon, scrapeAmazonProduct } = require('../scrapers/amazon');
+
+/**
+ * Amazon.in direct scraper adapter
+ */
+function createAmazonAdapter() {
+  return {
+    name: 'Amazon',
+    type: 'direct',
+    capabilities: { search: true, stores: ['Amazon'] },
+    search: (query) => scrapeAmazon(query),
+    getProduct: (url) => scrapeAmazonProduct(url)
+  };
+}
+
+module.exports = createAmazonAdapter;
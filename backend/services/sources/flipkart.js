@@ -0,0 +1,16 @@
+const { scrapeFlipkart, scrapeFlipkartProduct } = require('../scrapers/flipkart');
+
+/**
+ * Flipkart browser scraper adapter
+ */
+function createFlipkartAdapter(options = {}) {
+  return {
+    name: 'Flipkart',
+    type: 'direct',
+    capabilities: { search: true, stores: ['Flipkart'], browser: true },
+    search: (query) => scrapeFlipkart(query, options),
+    getProduct: (url) => scrapeFlipkartProduct(url, options)
+  };
+}
+
+module.exports = createFlipkartAdapter;
@@ -0,0 +1,144 @@
+/**
+ * Source Adapter Registry
+ * Loads the store adapters the aggregator fans out to.
+ *
+ * @typedef {Object} SourceCapabilities
+ * @property {boolean} search - Adapter can run keyword searches
+ * @property {Array<string>} stores - Stores the adapter returns listings for
+ *   (empty for multi-store sources such as SerpAPI)
+ * @property {boolean} multiStore - Adapter returns listings from many stores
+ * @property {boolean} browser - Adapter renders pages in the shared browser
+ *   pool (services/scrapers/browserPool.js), which is warmed up at startup
+ *
+ * @typedef {Object} SourceAdapter
+ * @property {string} id - Stable config id (e.g. 'amazon')
+ * @property {string} name - Display name used in logs and metadata.sources
+ * @property {string} type - 'direct' for store scrapers, 'serpapi' etc. for aggregators
+ * @property {SourceCapabilities} capabilities
+ * @property {number} timeout - Per-search timeout in ms
+ * @property {number} priority - Lower comes first in the merged results and
+ *   wins when listings are deduplicated (all adapters run in parallel)
+ * @property {function(string, Object=): Promise<Array<Object>>} search
+ * @property {function(string): Promise<Object|null>} [getProduct] - Reads
+ *   one of the adapter's store product pages (used by /api/lookup)
+ */
+
+const { getSourceConfig } = require('../../config/sources');
+
+// Adapter factories by config id
+const factories = {
+  amazon: require('./amazon'),
+  flipkart: require('./flipkart'),
+  serpapi: require('./serpapi'),
+  structured: require('./structuredData')
+};
+
+const DEFAULT_TIMEOUT = 6000;
+const DEFAULT_PRIORITY = 100;
+
+/**
+ * Registers an additional adapter factory under a config id
+ */
+function registerAdapter(id, factory) {
+  if (typeof factory !== 'function') {
+    throw new Error(`Adapter factory for "${id}" must be a function`);
+  }
+  factories[id] = factory;
+}
+
+/**
+ * Validates an adapter object and fills in defaults
+ * @returns {SourceAdapter}
+ */
+function defineAdapter(adapter) {
+  if (!adapter || !adapter.name) {
+    throw new Error('Source adapter must have a name');
+  }
+  if (typeof adapter.search !== 'function') {
+    throw new Error(`Source adapter "${adapter.name}" must implement search()`);
+  }
+
+  return {
+    type: 'direct',
+    timeout: DEFAULT_TIMEOUT,
+    priority: DEFAULT_PRIORITY,
+    ...adapter,
+    capabilities: {
+      search: true,
+      stores: [],
+      multiStore: false,
+      browser: false,
+      ...(adapter.capabilities || {})
+    }
+  };
+}
+
+/**
+ * Builds the adapters enabled in config, sorted by priority
+ * @param {Array<Object>} [config] - Defaults to config/sources.js
+ * @returns {Array<SourceAdapter>}
+ */
+function loadAdapters(config = getSourceConfig()) {
+  return config
+    .filter(entry => entry.enabled)
+    .map(entry => {
+      const factory = factories[entry.adapter || entry.id];
+      if (!factory) {
+        console.warn(`⚠️  Unknown source adapter "${entry.adapter || entry.id}" - skipping`);
+        return null;
+      }
+
+      let adapter;
+      try {
+        adapter = defineAdapter(factory(entry.options || {}));
+      } catch (error) {
+        console.warn(`⚠️  Source adapter "${entry.id}" is misconfigured - skipping: ${error.message}`);
+        return null;
+      }
+      return {
+        ...adapter,
+        id: entry.id,
+        timeout: entry.timeout ?? adapter.timeout,
+        priority: entry.priority ?? adapter.priority
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.priority - b.priority);
+}
+
+let enabledAdapters = null;
+
+/**
+ * Returns the (cached) list of enabled adapters
+ * @returns {Array<SourceAdapter>}
+ */
+function getEnabledAdapters() {
+  if (!enabledAdapters) {
+    enabledAdapters = loadAdapters();
+  }
+  return enabledAdapters;
+}
+
+/**
+ * Builds a configured adapter by id, whether or not it is enabled for
+ * searches (URL lookups read a single page from the link's own store)
+ * @param {string} id - Config id, e.g. 'amazon'
+ * @returns {SourceAdapter|null}
+ */
+function getAdapter(id) {
+  const enabled = getEnabledAdapters().find(adapter => adapter.id === id);
+  if (enabled) return enabled;
+
+  const entries = getSourceConfig()
+    .filter(entry => entry.id === id)
+    .map(entry => ({ ...entry, enabled: true }));
+  return loadAdapters(entries)[0] || null;
+}
+
+module.exports = {
+  defineAdapter,
+  registerAdapter,
+  loadAdapters,
+  getEnabledAdapters,
+  getAdapter
+};
@@ -0,0 +1,16 @@
+const { searchGoogleShopping } = require('../serpapi');
+
+/**
+ * SerpAPI Google Shopping adapter - covers every store Google indexes
+ * (eBay, Myntra, JioMart, Croma, ...)
+ */
+function createSerpApiAdapter() {
+  return {
+    name: 'SerpAPI (Other Stores)',
+    type: 'serpapi',
+    capabilities: { search: true, multiStore: true },
+    search: (query) => searchGoogleShopping(query)
+  };
+}
+
+module.exports = createSerpApiAdapter;
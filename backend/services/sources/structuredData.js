@@ -0,0 +1,28 @@
+const { scrapeStructuredData } = require('../scrapers/structuredData');
+
+/**
+ * Generic adapter for stores that embed schema.org Product data (JSON-LD,
+ * microdata or OpenGraph). One instance per store, configured with just a
+ * name and a search URL template (see config/sources.js):
+ *
+ *   { store: 'Croma', searchUrl: 'https://www.croma.com/searchB?q={query}',
+ *     timeout: 6000 }
+ *
+ * `timeout` should match the source's timeout, so product page fetches are
+ * cut short instead of outliving the search.
+ */
+function createStructuredDataAdapter(options = {}) {
+  const { store, searchUrl } = options;
+  if (!store || typeof searchUrl !== 'string' || !searchUrl.includes('{query}')) {
+    throw new Error('Structured data adapter needs options.store and a searchUrl containing {query}');
+  }
+
+  return {
+    name: store,
+    type: 'direct',
+    capabilities: { search: true, stores: [store] },
+    search: (query) => scrapeStructuredData(query, options)
+  };
+}
+
+module.exports = createStructuredDataAdapter;
@@ -0,0 +1,95 @@
+/**
+ * Cart store assignment (services/cartOptimizer.js), with the default
+ * delivery terms from config/stores.js: Amazon and Flipkart charge ₹40
+ * below ₹499 / ₹500, Croma and Reliance Digital deliver free
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseOptimizeRequest, optimizeCart } = require('../services/cartOptimizer');
+
+// Offers are sent with the request, so nothing is looked up
+const item = (productId, store, price, offers = [], extra = {}) => ({
+  productId,
+  title: `Product ${productId}`,
+  store,
+  price,
+  offers: offers.map(([offerStore, offerPrice]) => ({ store: offerStore, price: offerPrice })),
+  ...extra
+});
+
+const optimize = (body) => optimizeCart(parseOptimizeRequest(body));
+const storesOf = (plan) => plan.stores.map(s => [s.store, s.items.map(i => i.productId).sort()]);
+
+test('moves items to reach a free-shipping threshold', async () => {
+  // Cheapest per item is Flipkart for A and Amazon for B, paying two fees
+  const plan = await optimize({
+    items: [
+      item('a', 'Flipkart', 290, [['Amazon', 300]]),
+      item('b', 'Amazon', 250, [['Flipkart', 270]])
+    ]
+  });
+
+  assert.deepEqual(storesOf(plan), [['Amazon', ['a', 'b']]]);
+  assert.equal(plan.deliveryFees, 0);
+  assert.equal(plan.totalCost, 550);
+  assert.equal(plan.currentCost, 620);
+  assert.equal(plan.savings, 70);
+});
+
+test('keeps to maxStores', async () => {
+  const items = [
+    item('a', 'Amazon', 1000, [['Croma', 900]]),
+    item('b', 'Amazon', 1000, [['Reliance Digital', 900]])
+  ];
+
+  const open = await optimize({ items });
+  assert.equal(open.stores.length, 2);
+  assert.equal(open.totalCost, 1800);
+
+  const single = await optimize({ items, maxStores: 1 });
+  assert.deepEqual(storesOf(single), [['Amazon', ['a', 'b']]]);
+  assert.equal(single.totalCost, 2000);
+  assert.equal(single.constraints.maxStores, 1);
+});
+
+test('prefers stores within preferMargin, charging real prices', async () => {
+  const items = [item('a', 'Flipkart', 980, [['Amazon', 1000]])];
+
+  const plain = await optimize({ items });
+  assert.equal(plain.stores[0].store, 'Flipkart');
+
+  const preferred = await optimize({ items, preferStores: ['Amazon'] });
+  assert.equal(preferred.stores[0].store, 'Amazon');
+  assert.equal(preferred.totalCost, 1000);
+  assert.equal(preferred.savings, -20);
+
+  const narrow = await optimize({ items, preferStores: 'Amazon', preferMargin: 1 });
+  assert.equal(narrow.stores[0].store, 'Flipkart');
+});
+
+test('keeps items without other offers at their own store', async () => {
+  const plan = await optimize({
+    items: [
+      item('a', 'Croma', 500),
+      item('b', 'Croma', 700, [['Amazon', 650]])
+    ]
+  });
+
+  assert.deepEqual(storesOf(plan).sort(), [['Amazon', ['b']], ['Croma', ['a']]]);
+  assert.deepEqual(plan.unassigned, []);
+  assert.equal(plan.totalCost, 1150);
+});
+
+test('leaves out items no store has in stock', async () => {
+  const plan = await optimize({
+    items: [
+      item('a', 'Croma', 500),
+      item('b', 'Amazon', 700, [], { availability: 'out_of_stock' })
+    ]
+  });
+
+  assert.deepEqual(storesOf(plan), [['Croma', ['a']]]);
+  assert.deepEqual(plan.unassigned, [{ productId: 'b', title: 'Product b' }]);
+  assert.equal(plan.savings, null);
+});
@@ -0,0 +1,71 @@
+/**
+ * Comparison normalization and spec winners (services/comparison.js)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeComparison, pickWinner } = require('../services/comparison');
+
+test('decides rows of plain numbers in the same unit', () => {
+  assert.equal(pickWinner(['8 GB', '12 GB'], 'higher', 0), 1);
+  assert.equal(pickWinner(['1 TB', '512 GB'], 'higher', 1), 0);
+  assert.equal(pickWinner(['₹55,990', '₹49,999'], 'lower', 0), 1);
+  assert.equal(pickWinner(['4.3/5', '4.5/5'], 'higher', 0), 1);
+  assert.equal(pickWinner(['120 Hz', null, '90 Hz'], 'higher', 2), 0);
+});
+
+test('keeps the model pick for text values that contain numbers', () => {
+  assert.equal(pickWinner(['Apple A17 Pro', 'Snapdragon 8 Gen 3', 'Dimensity 9300'], 'higher', 1), 1);
+  assert.equal(pickWinner(['8 GB LPDDR5X', '12 GB LPDDR5'], 'higher', 0), 0);
+});
+
+test('keeps the model pick when units differ', () => {
+  assert.equal(pickWinner(['6.1 inches', '6.7"'], 'higher', 0), 0);
+});
+
+test('ties and "none" rows have no winner', () => {
+  assert.equal(pickWinner(['8 GB', '8 GB'], 'higher', 0), null);
+  assert.equal(pickWinner(['Amazon', 'Flipkart'], 'none', 0), null);
+});
+
+test('normalizes spec rows to one value per product', () => {
+  const comparison = normalizeComparison({
+    verdict: { summary: ' Close call. ', recommendation: 'Get the Pixel.', winner: 5 },
+    products: [
+      { title: 'Pixel 8', pros: ['Camera', ' '], cons: [], features: [] },
+      { title: 'Galaxy S24', pros: [], cons: ['Price'], features: [] }
+    ],
+    specs: [
+      { attribute: 'RAM', values: ['8 GB', '8 GB', '12 GB'], better: 'higher', winner: 0 },
+      { attribute: 'ram', values: ['16 GB', '4 GB'], better: 'higher', winner: 0 },
+      { attribute: 'Processor', values: ['Tensor G3', 'Snapdragon 8 Gen 3'], better: 'higher', winner: 1 },
+      { attribute: 'Colour', values: ['', ' '], better: 'none', winner: null }
+    ]
+  });
+
+  assert.deepEqual(comparison.verdict, { summary: 'Close call.', recommendation: 'Get the Pixel.', winner: null });
+  assert.deepEqual(comparison.products[0].pros, ['Camera']);
+  assert.deepEqual(comparison.specs, [
+    { attribute: 'RAM', values: ['8 GB', '8 GB'], better: 'higher', winner: null },
+    { attribute: 'Processor', values: ['Tensor G3', 'Snapdragon 8 Gen 3'], better: 'higher', winner: 1 }
+  ]);
+});
+
+test('takes titles and price rows from the listings', () => {
+  const comparison = normalizeComparison({
+    verdict: { summary: 'x', recommendation: 'y', winner: 0 },
+    products: [
+      { title: 'A', pros: [], cons: [], features: [] },
+      { title: 'B', pros: [], cons: [], features: [] }
+    ],
+    specs: [{ attribute: 'Price', values: ['₹1', '₹2'], better: 'lower', winner: 1 }]
+  }, [
+    { title: 'Pixel 8', price: 59999, store: 'Amazon' },
+    { title: 'Galaxy S24', price: 64999, store: 'Flipkart' }
+  ]);
+
+  assert.deepEqual(comparison.products.map(p => p.title), ['Pixel 8', 'Galaxy S24']);
+  assert.deepEqual(comparison.specs.find(row => row.attribute === 'Price'),
+    { attribute: 'Price', values: ['₹59,999', '₹64,999'], better: 'lower', winner: 0 });
+  assert.throws(() => normalizeComparison({ verdict: {}, products: [], specs: [] }, [{ title: 'A' }]), /covers 0 products/);
+});
@@ -0,0 +1,88 @@
+/**
+ * Selector drift detection, run against the parser fixtures with a scratch
+ * copy of config/selectors
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const selectorsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'findlee-selectors-'));
+fs.cpSync(path.join(__dirname, '..', 'config', 'selectors'), selectorsDir, { recursive: true });
+process.env.SELECTORS_DIR = selectorsDir;
+
+const { getSelectors, extractCards } = require('../services/scrapers/selectors');
+const { recordRun, getDriftStatus } = require('../services/scrapers/drift');
+const { loadFixture } = require('./support/fixtures');
+
+const { html } = loadFixture('amazon', 'wireless-earbuds');
+const configPath = path.join(selectorsDir, 'amazon.json');
+
+function scrape(times) {
+  for (let i = 0; i < times; i++) {
+    const { stats } = extractCards(html, getSelectors('amazon'));
+    recordRun('amazon', { ...stats, items: 0 });
+  }
+}
+
+// getSelectors re-reads the config when its mtime changes; bump it
+// explicitly so quick successive writes can't share a timestamp
+let edits = 0;
+function writeConfig(text) {
+  fs.writeFileSync(configPath, text);
+  const mtime = new Date(Date.now() + ++edits * 60000);
+  fs.utimesSync(configPath, mtime, mtime);
+}
+
+function editConfig(edit) {
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  edit(config);
+  writeConfig(JSON.stringify(config));
+}
+
+test.after(() => fs.rmSync(selectorsDir, { recursive: true, force: true }));
+
+test('a store is unknown until it has been scraped a few times', () => {
+  assert.equal(getDriftStatus().amazon.status, 'unknown');
+  scrape(1);
+  assert.equal(getDriftStatus().amazon.status, 'unknown');
+});
+
+test('current selectors are ok on the fixture', () => {
+  scrape(2);
+  const status = getDriftStatus().amazon;
+  assert.equal(status.status, 'ok');
+  assert.equal(status.fieldYield.title, 1);
+  assert.deepEqual(status.reasons, []);
+});
+
+test('a renamed price class marks the store degraded under a new version', () => {
+  editConfig(config => {
+    config.version = 'renamed-price';
+    config.fields.price.selectors = ['.a-price-renamed'];
+  });
+  scrape(3);
+  const status = getDriftStatus().amazon;
+  assert.equal(status.selectorsVersion, 'renamed-price');
+  assert.equal(status.status, 'degraded');
+  assert.equal(status.fieldYield.price, 0);
+  assert.match(status.reasons.join(), /price found on 0% of cards/);
+});
+
+test('cards that no longer match mark the store degraded', () => {
+  editConfig(config => {
+    config.version = 'no-cards-at-all';
+    config.products = ['div[data-renamed-asin]'];
+  });
+  scrape(3);
+  const status = getDriftStatus().amazon;
+  assert.equal(status.status, 'degraded');
+  assert.match(status.reasons.join(), /No product cards matched in 3 of 3 scrapes/);
+});
+
+test('an invalid edit keeps the last good selectors', () => {
+  writeConfig('{ "store": "amazon"');
+  assert.equal(getSelectors('amazon').version, 'no-cards-at-all');
+});
@@ -0,0 +1,62 @@
+/**
+ * Store parser tests, run offline against saved search pages
+ * (test/fixtures, recorded with scripts/recordFixture.js)
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  extract,
+  listFixtures,
+  diffExtractions,
+  hasChanges,
+  formatDiffReport
+} = require('./support/fixtures');
+
+const STORE_HOSTS = {
+  amazon: 'www.amazon.in',
+  flipkart: 'www.flipkart.com'
+};
+
+const fixtures = listFixtures();
+
+test('there is at least one fixture per store', () => {
+  Object.keys(STORE_HOSTS).forEach(store => {
+    assert.ok(fixtures.some(f => f.store === store), `no ${store} fixtures in test/fixtures/${store}`);
+  });
+});
+
+fixtures.forEach(({ store, name, html, meta }) => {
+  describe(`${store}/${name} (v${meta.version})`, () => {
+    const items = extract(store, html);
+
+    test('extracts the recorded output', () => {
+      const diff = diffExtractions(meta.items, items);
+      assert.ok(!hasChanges(diff), formatDiffReport(`${store}/${name} recorded -> current parser`, diff) +
+        '\n\nIf the change is intended, accept it with: npm run test:record -- --update ' + `${store}/${name}`);
+      assert.deepEqual(items, meta.items);
+    });
+
+    test('finds products', () => {
+      assert.ok(items.length > 0, 'the parser found no products');
+    });
+
+    test('every product has usable fields', () => {
+      items.forEach(item => {
+        const label = `"${item.title}"`;
+        assert.ok(item.title.trim().length > 0, 'empty title');
+        assert.ok(Number.isInteger(item.price) && item.price > 0, `${label}: bad price ${item.price}`);
+        assert.ok(Number.isInteger(item.originalPrice) && item.originalPrice >= 0, `${label}: bad original price ${item.originalPrice}`);
+        if (item.originalPrice > 0) {
+          assert.ok(item.originalPrice >= item.price, `${label}: original price ${item.originalPrice} below price ${item.price}`);
+        }
+        assert.ok(item.discount >= 0 && item.discount < 100, `${label}: bad discount ${item.discount}`);
+        assert.ok(item.rating >= 0 && item.rating <= 5, `${label}: bad rating ${item.rating}`);
+        assert.ok(Number.isInteger(item.reviews) && item.reviews >= 0, `${label}: bad review count ${item.reviews}`);
+        assert.equal(new URL(item.link).host, STORE_HOSTS[store], `${label}: link ${item.link}`);
+        assert.match(item.image, /^https:\/\//, `${label}: image ${item.image}`);
+        assert.ok(item.key, `${label}: no product key`);
+      });
+    });
+  });
+});
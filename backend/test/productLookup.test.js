@@ -0,0 +1,221 @@
+/**
+ * Product URL lookup (services/productLookup.js) and product page parsing
+ * (services/scrapers/productPage.js)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseLookupRequest,
+  canonicalizeUrl,
+  buildSearchQuery,
+  selectOffers,
+  lookupProduct
+} = require('../services/productLookup');
+const { parseProductPage } = require('../services/scrapers/productPage');
+
+const AMAZON_URL = 'https://www.amazon.in/Apple-iPhone-15-128-GB/dp/B0CHX1W1XY/ref=sr_1_1?crid=2Q&keywords=iphone+15&qid=1700000000&sr=8-1';
+
+const listing = (store, title, price, extra = {}) => ({
+  id: `${store.toLowerCase()}_${price}`,
+  title,
+  store,
+  price,
+  stock: true,
+  link: `https://www.${store.toLowerCase()}.example/p/${price}`,
+  ...extra
+});
+
+test('accepts Amazon.in, Flipkart and share links only', () => {
+  assert.deepEqual(parseLookupRequest({ url: ` ${AMAZON_URL} ` }), { url: AMAZON_URL });
+  assert.equal(parseLookupRequest({ url: 'https://amzn.in/d/4kXq2Zb' }).url, 'https://amzn.in/d/4kXq2Zb');
+
+  assert.throws(() => parseLookupRequest({}), /Provide a product link/);
+  assert.throws(() => parseLookupRequest({ url: 'iphone 15' }), /not a valid URL/);
+  assert.throws(() => parseLookupRequest({ url: 'ftp://www.amazon.in/dp/B0CHX1W1XY' }), /http\(s\)/);
+  assert.throws(() => parseLookupRequest({ url: 'https://www.amazon.com/dp/B0CHX1W1XY' }), /Only Amazon.in and Flipkart/);
+  assert.throws(() => parseLookupRequest({ url: 'https://amazon.in.example.com/dp/B0CHX1W1XY' }), /Only Amazon.in and Flipkart/);
+  assert.throws(() => parseLookupRequest({ url: `https://www.flipkart.com/${'a'.repeat(2048)}` }), /at most 2048/);
+});
+
+test('canonicalizes product URLs to the store link and product key', () => {
+  assert.deepEqual(canonicalizeUrl(AMAZON_URL), {
+    store: 'amazon',
+    name: 'Amazon',
+    url: 'https://www.amazon.in/dp/B0CHX1W1XY',
+    productKey: 'amazon:B0CHX1W1XY',
+    slugTitle: 'Apple iPhone 15 128 GB'
+  });
+  assert.equal(canonicalizeUrl('https://amazon.in/gp/product/b0chx1w1xy?psc=1').url, 'https://www.amazon.in/dp/B0CHX1W1XY');
+
+  const flipkart = canonicalizeUrl('https://dl.flipkart.com/dl/apple-iphone-15-black-128-gb/p/itm6ac6485515ae4?pid=mobgtagptb3vs24w&lid=LSTMOB&marketplace=FLIPKART');
+  assert.equal(flipkart.url, 'https://www.flipkart.com/apple-iphone-15-black-128-gb/p/itm6ac6485515ae4?pid=MOBGTAGPTB3VS24W');
+  assert.equal(flipkart.productKey, 'flipkart:MOBGTAGPTB3VS24W');
+  assert.equal(flipkart.slugTitle, 'apple iphone 15 black 128 gb');
+
+  assert.equal(canonicalizeUrl('https://www.flipkart.com/search?q=iphone'), null);
+  assert.equal(canonicalizeUrl('https://www.amazon.in/s?k=iphone'), null);
+});
+
+test('derives a precise search query from the product title', () => {
+  assert.equal(buildSearchQuery({ title: 'Apple iPhone 15 (128 GB) - Black' }), 'Apple iPhone 15 128GB');
+  assert.equal(buildSearchQuery({ title: 'SAMSUNG Galaxy S24 5G (Onyx Black, 256 GB) (8 GB RAM)' }), 'SAMSUNG Galaxy S24 5G 8GB RAM 256GB');
+  assert.equal(buildSearchQuery({ title: 'Apple MacBook Air Laptop: Apple M2 chip, 13.6-inch, 8GB RAM, 1TB SSD' }), 'Apple MacBook Air Laptop 8GB RAM 1TB');
+  assert.equal(buildSearchQuery({ title: 'boAt Airdopes 141 Bluetooth TWS Earbuds with 42H Playtime, Low Latency Mode' }), 'boAt Airdopes 141 Bluetooth TWS Earbuds');
+  assert.equal(buildSearchQuery({ title: 'WH-1000XM5 Wireless Noise Cancelling Headphones', brand: 'Sony' }), 'Sony WH-1000XM5 Wireless Noise Cancelling Headphones');
+});
+
+test('selects the cheapest matching in-stock offer per other store', () => {
+  const product = { title: 'Apple iPhone 15 (128 GB) - Black', price: 69900, store: 'Amazon', productKey: 'amazon:B0CHX1W1XY' };
+  const products = [
+    {
+      ...listing('Flipkart', 'Apple iPhone 15 (Black, 128 GB)', 65999),
+      offers: [
+        listing('Flipkart', 'Apple iPhone 15 (Black, 128 GB)', 65999),
+        listing('Croma', 'Apple iPhone 15 128GB Black', 66490),
+        listing('Croma', 'Apple iPhone 15 128GB Black', 67990),
+        listing('Amazon.in', 'Apple iPhone 15 (128 GB) - Black', 68999),
+        listing('Vijay Sales', 'Apple iPhone 15 128GB Black', 64990, { stock: false })
+      ]
+    },
+    listing('Reliance Digital', 'Apple iPhone 15 256GB Black', 79900),
+    listing('Tata CLiQ', 'Apple iPhone 15 Plus 128GB Black', 74900),
+    listing('Croma', 'Apple iPhone 15 Silicone Case with MagSafe - Black', 4900)
+  ];
+
+  const offers = selectOffers(product, products);
+  assert.deepEqual(offers.map(offer => [offer.store, offer.price]), [
+    ['Flipkart', 65999],
+    ['Croma', 66490]
+  ]);
+  assert.ok(offers.every(offer => offer.productKey));
+});
+
+test('looks up the product through its store adapter and returns offers elsewhere', async () => {
+  const queries = [];
+  const adapter = {
+    getProduct: async (url) => ({
+      title: 'Apple iPhone 15 (128 GB) - Black',
+      brand: 'Apple',
+      price: 69900,
+      originalPrice: 79900,
+      specs: { 'Model Name': 'iPhone 15' },
+      link: url
+    })
+  };
+
+  const lookup = await lookupProduct({ url: AMAZON_URL }, {
+    getAdapter: id => (id === 'amazon' ? adapter : null),
+    getResults: async (query) => {
+      queries.push(query);
+      return {
+        products: [
+          listing('Flipkart', 'Apple iPhone 15 (Black, 128 GB)', 65999),
+          listing('Amazon', 'Apple iPhone 15 (128 GB) - Black', 69900, { link: 'https://www.amazon.in/dp/B0CHX1W1XY' })
+        ],
+        metadata: { sources: ['Amazon', 'Flipkart'] }
+      };
+    }
+  });
+
+  assert.deepEqual(queries, ['Apple iPhone 15 128GB']);
+  assert.equal(lookup.query, 'Apple iPhone 15 128GB');
+  assert.equal(lookup.product.store, 'Amazon');
+  assert.equal(lookup.product.link, 'https://www.amazon.in/dp/B0CHX1W1XY');
+  assert.equal(lookup.product.productKey, 'amazon:B0CHX1W1XY');
+  assert.equal(lookup.product.detailsSource, 'page');
+  assert.deepEqual(lookup.product.specs, { 'Model Name': 'iPhone 15' });
+  assert.deepEqual(lookup.offers.map(offer => offer.store), ['Flipkart']);
+  assert.equal(lookup.bestOffer.price, 65999);
+  assert.equal(lookup.savings, 3901);
+  assert.deepEqual(lookup.metadata, { sources: ['Amazon', 'Flipkart'] });
+});
+
+test('falls back to the URL slug when the product page cannot be read', async () => {
+  const getAdapter = () => ({ getProduct: async () => null });
+  const getResults = async () => ({ products: [], metadata: {} });
+
+  const lookup = await lookupProduct({ url: 'https://www.flipkart.com/apple-iphone-15-black-128-gb/p/itm6ac6485515ae4?pid=MOBGTAGPTB3VS24W' }, { getAdapter, getResults });
+  assert.equal(lookup.product.detailsSource, 'url');
+  assert.equal(lookup.product.title, 'apple iphone 15 black 128 gb');
+  assert.equal(lookup.query, 'apple iphone 15 black 128GB');
+  assert.deepEqual(lookup.offers, []);
+  assert.equal(lookup.savings, 0);
+
+  await assert.rejects(
+    lookupProduct({ url: 'https://www.amazon.in/dp/B0CHX1W1XY' }, { getAdapter, getResults }),
+    error => error.status === 502 && /Couldn't read the Amazon product page/.test(error.message)
+  );
+  await assert.rejects(
+    lookupProduct({ url: 'https://www.amazon.in/s?k=iphone+15' }, { getAdapter, getResults }),
+    error => error.status === 422
+  );
+});
+
+test('parses Amazon product pages with the productPage selectors', () => {
+  const html = `<html><body>
+    <span id="productTitle"> Apple iPhone 15 (128 GB) - Black </span>
+    <a id="bylineInfo">Visit the Apple Store</a>
+    <div id="corePriceDisplay_desktop_feature_div">
+      <span class="a-price priceToPay"><span class="a-offscreen">₹69,900.00</span></span>
+      <span class="a-price a-text-price"><span class="a-offscreen">₹79,900.00</span></span>
+    </div>
+    <span id="acrPopover" title="4.5 out of 5 stars"></span>
+    <span id="acrCustomerReviewText">1,234 ratings</span>
+    <img id="landingImage" src="small.jpg" data-old-hires="https://m.media-amazon.com/images/I/iphone15.jpg">
+    <div id="availability"><span>In stock</span></div>
+    <div id="productOverview_feature_div"><table>
+      <tr><td><span>Brand</span></td><td><span>Apple</span></td></tr>
+      <tr><td><span>Operating System</span></td><td><span>iOS</span></td></tr>
+    </table></div>
+    <div id="detailBullets_feature_div"><ul>
+      <li><span class="a-list-item"><span class="a-text-bold">Item model number &rlm; : &lrm; </span><span>MTP03HN/A</span></span></li>
+    </ul></div>
+  </body></html>`;
+
+  const product = parseProductPage(html, { store: 'amazon', name: 'Amazon', pageUrl: 'https://www.amazon.in/dp/B0CHX1W1XY' });
+  assert.deepEqual(product, {
+    title: 'Apple iPhone 15 (128 GB) - Black',
+    brand: 'Apple',
+    description: '',
+    image: 'https://m.media-amazon.com/images/I/iphone15.jpg',
+    store: 'Amazon',
+    price: 69900,
+    originalPrice: 79900,
+    discount: 13,
+    rating: 4.5,
+    reviews: 1234,
+    stock: true,
+    link: 'https://www.amazon.in/dp/B0CHX1W1XY',
+    specs: { Brand: 'Apple', 'Operating System': 'iOS', 'Item model number': 'MTP03HN/A' }
+  });
+});
+
+test('prefers structured data on product pages and reads Flipkart spec tables', () => {
+  const html = `<html><head><script type="application/ld+json">${JSON.stringify({
+    '@type': 'Product',
+    name: 'Apple iPhone 15 (Black, 128 GB)',
+    brand: { '@type': 'Brand', name: 'Apple' },
+    offers: { '@type': 'Offer', price: 65999, priceCurrency: 'INR', availability: 'https://schema.org/InStock' },
+    aggregateRating: { ratingValue: 4.6, ratingCount: 215000 }
+  })}</script></head><body>
+    <h1><span class="VU-ZEz">Apple iPhone 15 (Black, 128 GB)</span></h1>
+    <div class="Nx9bqj CxhGGd">₹65,999</div>
+    <div class="Z8JjpR">Sold Out</div>
+    <table class="_0ZhAN9"><tbody>
+      <tr><td class="+fFi1w">Model Name</td><td class="Izz52n"><ul><li>iPhone 15</li></ul></td></tr>
+      <tr><td class="+fFi1w">Color</td><td class="Izz52n"><ul><li>Black</li></ul></td></tr>
+    </tbody></table>
+  </body></html>`;
+
+  const product = parseProductPage(html, { store: 'flipkart', name: 'Flipkart', pageUrl: 'https://www.flipkart.com/apple-iphone-15-black-128-gb/p/itm6ac6485515ae4?pid=MOBGTAGPTB3VS24W' });
+  assert.equal(product.title, 'Apple iPhone 15 (Black, 128 GB)');
+  assert.equal(product.price, 65999);
+  assert.equal(product.rating, 4.6);
+  assert.equal(product.reviews, 215000);
+  // The page's own sold-out banner wins over the structured data
+  assert.equal(product.stock, false);
+  assert.deepEqual(product.specs, { 'Model Name': 'iPhone 15', Color: 'Black' });
+
+  assert.equal(parseProductPage('<html><body><h1>Page not found</h1></body></html>', { store: 'flipkart', name: 'Flipkart', pageUrl: 'https://www.flipkart.com/x/p/itm1' }), null);
+});
@@ -0,0 +1,47 @@
+/**
+ * Query constraints (services/queryParser.js)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseQueryRules, applyParsedConstraints } = require('../services/queryParser');
+
+const parsed = (overrides) => ({
+  minPrice: null,
+  maxPrice: null,
+  minRating: null,
+  brand: null,
+  ...overrides,
+  attributes: { ram: null, storage: null, size: null, colour: null, ...overrides.attributes }
+});
+const titles = items => items.map(item => item.title);
+
+test('brand filter drops other brands but keeps unbranded titles', () => {
+  const items = [
+    { title: 'Samsung Galaxy S24 5G', price: 70000 },
+    { title: 'Apple iPhone 15', price: 70000 },
+    { title: 'Fast 25W USB-C Charger', price: 999 }
+  ];
+  assert.deepEqual(titles(applyParsedConstraints(items, parsed({ brand: 'samsung' }))), [
+    'Samsung Galaxy S24 5G',
+    'Fast 25W USB-C Charger'
+  ]);
+});
+
+test('brands and colours from the LLM are matched literally', () => {
+  const items = [
+    { title: 'H&M (India) Cotton T-Shirt - Navy+Blue', price: 499 },
+    { title: 'Puma Cotton T-Shirt - Black', price: 799 }
+  ];
+  const constraints = parsed({ brand: 'h&m (india)', attributes: { colour: 'navy+blue' } });
+  assert.doesNotThrow(() => applyParsedConstraints(items, constraints));
+  assert.deepEqual(titles(applyParsedConstraints(items, constraints)), ['H&M (India) Cotton T-Shirt - Navy+Blue']);
+});
+
+test('rule parser pulls price, storage and colour out of the query', () => {
+  const result = parseQueryRules('black samsung phone 256gb under 30k');
+  assert.equal(result.maxPrice, 30000);
+  assert.equal(result.attributes.storage, 256);
+  assert.equal(result.attributes.colour, 'black');
+  assert.equal(result.brand, 'samsung');
+});
@@ -0,0 +1,250 @@
+/**
+ * Generic schema.org extractor (services/scrapers/structuredData.js)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { extractProducts, scrapeStructuredData } = require('../services/scrapers/structuredData');
+
+const PAGE_URL = 'https://www.example-store.in/search?q=headphones';
+const options = { store: 'Example Store', pageUrl: PAGE_URL };
+
+const page = (head, body = '') => `<!doctype html><html><head>${head}</head><body>${body}</body></html>`;
+const jsonLd = data => `<script type="application/ld+json">${JSON.stringify(data)}</script>`;
+
+test('reads JSON-LD products from an ItemList', () => {
+  const html = page(jsonLd({
+    '@context': 'https://schema.org',
+    '@type': 'ItemList',
+    itemListElement: [
+      {
+        '@type': 'ListItem',
+        position: 1,
+        item: {
+          '@type': 'Product',
+          name: 'Sony WH-1000XM5 Wireless Headphones',
+          sku: '300863',
+          image: ['/images/wh1000xm5.jpg'],
+          url: '/sony-wh-1000xm5/p/300863',
+          aggregateRating: { '@type': 'AggregateRating', ratingValue: '4.4', reviewCount: '1,182' },
+          offers: {
+            '@type': 'Offer',
+            price: '26990.00',
+            priceCurrency: 'INR',
+            availability: 'https://schema.org/InStock',
+            priceSpecification: [
+              { '@type': 'UnitPriceSpecification', priceType: 'https://schema.org/ListPrice', price: 34990, priceCurrency: 'INR' }
+            ]
+          }
+        }
+      },
+      {
+        '@type': 'ListItem',
+        position: 2,
+        item: {
+          '@type': 'Product',
+          name: 'JBL Tune 770NC',
+          url: 'https://www.example-store.in/jbl-tune-770nc/p/301122',
+          offers: { '@type': 'Offer', price: 5999, priceCurrency: 'INR', availability: 'https://schema.org/OutOfStock' }
+        }
+      }
+    ]
+  }));
+
+  const { items, links } = extractProducts(html, options);
+  assert.deepEqual(links, []);
+  assert.equal(items.length, 2);
+
+  const [sony, jbl] = items;
+  assert.match(sony.id, /^examplestore_300863_\d+$/);
+  assert.equal(sony.title, 'Sony WH-1000XM5 Wireless Headphones');
+  assert.equal(sony.store, 'Example Store');
+  assert.equal(sony.price, 26990);
+  assert.equal(sony.originalPrice, 34990);
+  assert.equal(sony.discount, 23);
+  assert.equal(sony.rating, 4.4);
+  assert.equal(sony.reviews, 1182);
+  assert.equal(sony.stock, true);
+  assert.equal(sony.link, 'https://www.example-store.in/sony-wh-1000xm5/p/300863');
+  assert.equal(sony.image, 'https://www.example-store.in/images/wh1000xm5.jpg');
+
+  assert.equal(jbl.stock, false);
+  assert.equal(jbl.originalPrice, 0);
+  assert.equal(jbl.rating, 0);
+});
+
+test('leaves stock unknown when the offer has no availability', () => {
+  const html = page(jsonLd({
+    '@context': 'https://schema.org',
+    '@type': 'Product',
+    name: 'boAt Rockerz 450',
+    url: '/boat-rockerz-450',
+    offers: { '@type': 'Offer', price: 1499, priceCurrency: 'INR' }
+  }));
+
+  const { items } = extractProducts(html, options);
+  assert.equal(items.length, 1);
+  assert.equal(items[0].stock, null);
+});
+
+test('reads @graph, ProductGroup variants and AggregateOffer', () => {
+  const html = page(jsonLd({
+    '@context': 'https://schema.org',
+    '@graph': [
+      { '@type': 'WebPage', name: 'Headphones' },
+      {
+        '@type': 'ProductGroup',
+        name: 'boAt Rockerz 450',
+        image: { '@type': 'ImageObject', url: 'https://cdn.example.in/rockerz.jpg' },
+        aggregateRating: { ratingValue: 8, bestRating: 10, ratingCount: 50 },
+        hasVariant: [
+          { '@type': 'Product', name: 'boAt Rockerz 450 (Blue)', url: '/rockerz-450-blue', offers: { '@type': 'AggregateOffer', lowPrice: 1499, offers: [{ '@type': 'Offer', price: 1499 }, { '@type': 'Offer', price: 1299, priceCurrency: 'USD' }] } },
+          { '@type': 'Product', url: '/rockerz-450-black', offers: { '@type': 'Offer', price: 1399 } }
+        ]
+      }
+    ]
+  }));
+
+  const { items } = extractProducts(html, options);
+  assert.deepEqual(items.map(item => [item.title, item.price, item.link]), [
+    ['boAt Rockerz 450 (Blue)', 1499, 'https://www.example-store.in/rockerz-450-blue'],
+    ['boAt Rockerz 450', 1399, 'https://www.example-store.in/rockerz-450-black']
+  ]);
+  // Shared group fields, rating rescaled to out of 5
+  assert.equal(items[1].image, 'https://cdn.example.in/rockerz.jpg');
+  assert.equal(items[1].rating, 4);
+  assert.equal(items[1].reviews, 50);
+});
+
+test('reads microdata product tiles', () => {
+  const tile = (name, price, href) => `
+    <div itemscope itemtype="https://schema.org/Product">
+      <a itemprop="url" href="${href}"><img itemprop="image" src="${href}.jpg"><h3 itemprop="name">${name}</h3></a>
+      <div itemprop="aggregateRating" itemscope itemtype="https://schema.org/AggregateRating">
+        <meta itemprop="ratingValue" content="4.1"><span itemprop="reviewCount">312</span>
+      </div>
+      <div itemprop="offers" itemscope itemtype="https://schema.org/Offer">
+        <meta itemprop="priceCurrency" content="INR">
+        <span itemprop="price" content="${price}">₹${price.toLocaleString('en-IN')}</span>
+        <link itemprop="availability" href="https://schema.org/InStock">
+      </div>
+    </div>`;
+  const html = page('', tile('Noise Two Wireless', 1799, '/noise-two') + tile('Zebronics Duke', 1099, '/zeb-duke'));
+
+  const { items } = extractProducts(html, options);
+  assert.equal(items.length, 2);
+  assert.deepEqual(
+    { title: items[0].title, price: items[0].price, rating: items[0].rating, reviews: items[0].reviews, link: items[0].link, image: items[0].image, stock: items[0].stock },
+    { title: 'Noise Two Wireless', price: 1799, rating: 4.1, reviews: 312, link: 'https://www.example-store.in/noise-two', image: 'https://www.example-store.in/noise-two.jpg', stock: true }
+  );
+});
+
+test('falls back to OpenGraph product tags on product pages', () => {
+  const html = page(`
+    <meta property="og:type" content="product">
+    <meta property="og:title" content="Apple AirPods Pro (2nd Gen)">
+    <meta property="og:url" content="https://www.example-store.in/airpods-pro/p/1">
+    <meta property="og:image" content="https://cdn.example.in/airpods.jpg">
+    <meta property="product:price:amount" content="24900">
+    <meta property="product:sale_price:amount" content="20900">
+    <meta property="product:price:currency" content="INR">
+    <meta property="product:availability" content="in stock">`);
+
+  const { items } = extractProducts(html, options);
+  assert.equal(items.length, 1);
+  assert.equal(items[0].title, 'Apple AirPods Pro (2nd Gen)');
+  assert.equal(items[0].price, 20900);
+  assert.equal(items[0].originalPrice, 24900);
+  assert.equal(items[0].link, 'https://www.example-store.in/airpods-pro/p/1');
+});
+
+test('skips invalid JSON-LD and other currencies, dedupes JSON-LD against microdata', () => {
+  const product = { '@type': 'Product', name: 'Realme Buds T300', url: '/buds-t300', offers: { price: 2299, priceCurrency: 'INR' } };
+  const html = page(
+    '<script type="application/ld+json">{ "@type": "Product", "name": "Broken", }</script>' +
+    jsonLd(product) +
+    jsonLd({ '@type': 'Product', name: 'Imported', offers: { price: 99, priceCurrency: 'USD' } }),
+    `<div itemscope itemtype="http://schema.org/Product"><a itemprop="url" href="/buds-t300"><span itemprop="name">Realme Buds T300</span></a>
+      <div itemprop="offers" itemscope itemtype="http://schema.org/Offer"><span itemprop="price">2,299</span></div></div>`
+  );
+
+  const { items } = extractProducts(html, options);
+  assert.deepEqual(items.map(item => item.title), ['Realme Buds T300']);
+});
+
+test('follows product links when the search page only lists URLs', async (t) => {
+  const productPage = (name, price) => page(jsonLd({ '@type': 'Product', name, offers: { price, priceCurrency: 'INR' } }));
+  const server = http.createServer((req, res) => {
+    const pages = {
+      '/search?q=usb%20c%20hub': page(jsonLd({
+        '@type': 'ItemList',
+        itemListElement: [
+          { '@type': 'ListItem', position: 1, url: '/p/hub-4' },
+          { '@type': 'ListItem', position: 2, item: '/p/hub-7' },
+          { '@type': 'ListItem', position: 3, url: '/p/missing' }
+        ]
+      })),
+      '/p/hub-4': productPage('4-in-1 USB C Hub', 999),
+      '/p/hub-7': productPage('7-in-1 USB C Hub', 1999)
+    };
+    res.writeHead(pages[req.url] ? 200 : 404, { 'Content-Type': 'text/html' });
+    res.end(pages[req.url] || 'not found');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+
+  const items = await scrapeStructuredData('usb c hub', {
+    store: 'Local',
+    searchUrl: `http://127.0.0.1:${server.address().port}/search?q={query}`
+  });
+  assert.deepEqual(items.map(item => [item.title, item.price]).sort(), [
+    ['4-in-1 USB C Hub', 999],
+    ['7-in-1 USB C Hub', 1999]
+  ]);
+  assert.match(items[0].link, /^http:\/\/127\.0\.0\.1:\d+\/p\/hub-\d$/);
+});
+
+// Serves `pages` by path after `delay` ms, recording the paths requested
+async function startServer(t, pages, delay = 0) {
+  const requested = [];
+  const server = http.createServer((req, res) => {
+    requested.push(req.url);
+    setTimeout(() => {
+      res.writeHead(pages[req.url] ? 200 : 404, { 'Content-Type': 'text/html' });
+      res.end(pages[req.url] || 'not found');
+    }, delay);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { origin: `http://127.0.0.1:${server.address().port}`, requested };
+}
+
+const linkList = urls => page(jsonLd({
+  '@type': 'ItemList',
+  itemListElement: urls.map((url, i) => ({ '@type': 'ListItem', position: i + 1, url }))
+}));
+const productPage = (name, price) => page(jsonLd({ '@type': 'Product', name, offers: { price, priceCurrency: 'INR' } }));
+
+test('only follows product links on the search page origin', async (t) => {
+  const other = await startServer(t, { '/p/ad': productPage('Sponsored USB C Hub', 499) });
+  const store = await startServer(t, {
+    '/search?q=usb%20c%20hub': linkList([`${other.origin}/p/ad`, '/p/hub-4']),
+    '/p/hub-4': productPage('4-in-1 USB C Hub', 999)
+  });
+
+  const items = await scrapeStructuredData('usb c hub', { store: 'Local', searchUrl: `${store.origin}/search?q={query}` });
+  assert.deepEqual(items.map(item => item.title), ['4-in-1 USB C Hub']);
+  assert.deepEqual(other.requested, []);
+});
+
+test('skips product pages when the search page used up the timeout', async (t) => {
+  const store = await startServer(t, {
+    '/search?q=usb%20c%20hub': linkList(['/p/hub-4']),
+    '/p/hub-4': productPage('4-in-1 USB C Hub', 999)
+  }, 600);
+
+  const items = await scrapeStructuredData('usb c hub', { store: 'Local', searchUrl: `${store.origin}/search?q={query}`, timeout: 1500 });
+  assert.deepEqual(items, []);
+  assert.deepEqual(store.requested, ['/search?q=usb%20c%20hub']);
+});
@@ -0,0 +1,160 @@
+/**
+ * Parser Fixtures
+ * Saved search result pages and the listings the store parsers extracted
+ * from them, for testing the parsers offline.
+ *
+ *   test/fixtures/<store>/<name>.html   the page as the scraper saw it
+ *   test/fixtures/<store>/<name>.json   { store, query, url, version,
+ *                                         recordedAt, synthetic?, items }
+ *
+ * `items` holds the extracted fields only (ids and other per-run values are
+ * left out). Fixtures are recorded and updated with scripts/recordFixture.js,
+ * which bumps `version` and prints a diff report when the output changes.
+ *
+ * A fixture with `synthetic` set (and `recordedAt: null`) is a hand-written
+ * page rather than a recording; `synthetic` says how to record a real one.
+ * Recording the same search live replaces it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
+const { getProductKey } = require('../../services/productIdentity');
+
+const FIXTURE_DIR = path.join(__dirname, '..', 'fixtures');
+
+const PARSERS = {
+  amazon: require('../../services/scrapers/amazon').parseProductsFromHtml,
+  flipkart: require('../../services/scrapers/flipkart').parseProductsFromHtml
+};
+
+const FIELDS = ['title', 'price', 'originalPrice', 'discount', 'rating', 'reviews', 'link', 'image'];
+
+/**
+ * Runs a store's parser on saved HTML and keeps the compared fields
+ * @param {string} store - 'amazon' or 'flipkart'
+ * @param {string} html
+ * @returns {Array<Object>} [{ key, title, price, ... }]
+ */
+function extract(store, html) {
+  const parse = PARSERS[store];
+  if (!parse) throw new Error(`No parser for store "${store}"`);
+
+  return parse(html).map(item => {
+    const fields = { key: getProductKey(item) };
+    FIELDS.forEach(field => { fields[field] = item[field]; });
+    return fields;
+  });
+}
+
+function fixturePaths(store, name) {
+  const base = path.join(FIXTURE_DIR, store, name);
+  return { html: `${base}.html`, json: `${base}.json` };
+}
+
+/**
+ * Every saved fixture, sorted by store and name
+ * @returns {Array<Object>} [{ store, name, html, meta }]
+ */
+function listFixtures() {
+  if (!fs.existsSync(FIXTURE_DIR)) return [];
+
+  return fs.readdirSync(FIXTURE_DIR).sort().flatMap(store =>
+    fs.readdirSync(path.join(FIXTURE_DIR, store))
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .map(file => loadFixture(store, file.replace(/\.json$/, '')))
+  );
+}
+
+/**
+ * @returns {Object|null} { store, name, html, meta }, or null if not recorded
+ */
+function loadFixture(store, name) {
+  const paths = fixturePaths(store, name);
+  if (!fs.existsSync(paths.json)) return null;
+
+  return {
+    store,
+    name,
+    html: fs.readFileSync(paths.html, 'utf8'),
+    meta: JSON.parse(fs.readFileSync(paths.json, 'utf8'))
+  };
+}
+
+function saveFixture(store, name, html, meta) {
+  const paths = fixturePaths(store, name);
+  fs.mkdirSync(path.dirname(paths.html), { recursive: true });
+  fs.writeFileSync(paths.html, html);
+  fs.writeFileSync(paths.json, JSON.stringify(meta, null, 2) + '\n');
+  return paths;
+}
+
+/**
+ * Compares two extractions of the same search, matching listings by
+ * product key (falling back to position)
+ * @returns {Object} { added, removed, changed: [{ key, title, fields:
+ *   [{ field, before, after }] }], unchanged }
+ */
+function diffExtractions(before, after) {
+  const byKey = items => new Map(items.map((item, i) => [item.key || `#${i}`, item]));
+  const beforeItems = byKey(before);
+  const afterItems = byKey(after);
+
+  const diff = { added: [], removed: [], changed: [], unchanged: 0 };
+  afterItems.forEach((item, key) => {
+    const previous = beforeItems.get(key);
+    if (!previous) {
+      diff.added.push(item);
+      return;
+    }
+    const fields = FIELDS
+      .filter(field => !isDeepStrictEqual(previous[field], item[field]))
+      .map(field => ({ field, before: previous[field], after: item[field] }));
+    if (fields.length > 0) diff.changed.push({ key, title: item.title, fields });
+    else diff.unchanged++;
+  });
+  beforeItems.forEach((item, key) => {
+    if (!afterItems.has(key)) diff.removed.push(item);
+  });
+
+  return diff;
+}
+
+function hasChanges(diff) {
+  return diff.added.length + diff.removed.length + diff.changed.length > 0;
+}
+
+const describeItem = item => `${item.key || '(no key)'} "${item.title}" ₹${item.price}`;
+
+/**
+ * Human-readable diff report
+ * @param {string} label - e.g. 'amazon/wireless-earbuds v2 -> v3'
+ * @param {Object} diff - From diffExtractions
+ * @returns {string}
+ */
+function formatDiffReport(label, diff) {
+  const lines = [`${label}: ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed, ${diff.unchanged} unchanged`];
+  diff.removed.forEach(item => lines.push(`  - ${describeItem(item)}`));
+  diff.added.forEach(item => lines.push(`  + ${describeItem(item)}`));
+  diff.changed.forEach(({ key, title, fields }) => {
+    lines.push(`  ~ ${key} "${title}"`);
+    fields.forEach(({ field, before, after }) => {
+      lines.push(`      ${field}: ${JSON.stringify(before)} -> ${JSON.stringify(after)}`);
+    });
+  });
+  if (!hasChanges(diff)) lines.push('  (no changes in extracted output)');
+  return lines.join('\n');
+}
+
+module.exports = {
+  FIXTURE_DIR,
+  FIELDS,
+  extract,
+  listFixtures,
+  loadFixture,
+  saveFixture,
+  diffExtractions,
+  hasChanges,
+  formatDiffReport
+};
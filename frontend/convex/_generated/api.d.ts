@@ -9,6 +9,9 @@
  */
 
 import type * as cart from "../cart.js";
+import type * as migrations from "../migrations.js";
+import type * as profiles from "../profiles.js";
+import type * as watchlist from "../watchlist.js";
 
 import type {
   ApiFromModules,
@@ -26,6 +29,9 @@ import type {
  */
 declare const fullApi: ApiFromModules<{
   cart: typeof cart;
+  migrations: typeof migrations;
+  profiles: typeof profiles;
+  watchlist: typeof watchlist;
 }>;
 declare const fullApiWithMounts: typeof fullApi;
 
@@ -1,5 +1,54 @@
-import { mutation, query } from "./_generated/server";
+import { action, internalMutation, mutation, query } from "./_generated/server";
+import { api, internal } from "./_generated/api";
 import { v } from "convex/values";
+import { cartItem } from "./schema";
+
+export const MAX_QUANTITY = 10;
+export const MAX_CART_ITEMS = 50;
+const DEFAULT_CURRENCY = "INR";
+
+// Fills in snapshot fields missing from items written before snapshots
+// existed and keeps quantities in bounds. `addedAt` is the fallback add time.
+export function normalizeCartItem(item, addedAt) {
+  const { name, ...rest } = item;
+  return {
+    ...rest,
+    title: item.title ?? name ?? "Untitled product",
+    priceAtAdd: item.priceAtAdd ?? item.price,
+    currency: item.currency ?? DEFAULT_CURRENCY,
+    quantity: Math.min(MAX_QUANTITY, Math.max(1, Math.round(item.quantity) || 1)),
+    addedAt: item.addedAt ?? addedAt,
+    snapshotAt: item.snapshotAt ?? item.addedAt ?? addedAt,
+  };
+}
+
+// Cart lines are identified by productKey, which stays the same across
+// searches; listing ids (productId) change with every search, so they only
+// identify items saved without a key
+export function isSameCartItem(a, b) {
+  return a.productKey && b.productKey ? a.productKey === b.productKey : a.productId === b.productId;
+}
+
+function assertQuantity(quantity) {
+  if (!Number.isInteger(quantity) || quantity < 0 || quantity > MAX_QUANTITY) {
+    throw new Error(`Quantity must be a whole number between 0 and ${MAX_QUANTITY}`);
+  }
+}
+
+async function getUserCart(ctx, userId) {
+  return await ctx.db
+    .query("carts")
+    .withIndex("by_user", (q) => q.eq("userId", userId))
+    .first();
+}
+
+async function saveItems(ctx, userId, cart, items) {
+  if (cart) {
+    await ctx.db.patch(cart._id, { items, updatedAt: Date.now() });
+  } else {
+    await ctx.db.insert("carts", { userId, items, updatedAt: Date.now() });
+  }
+}
 
 // Get user's cart
 export const getCart = query({
@@ -8,107 +57,272 @@ export const getCart = query({
     const identity = await ctx.auth.getUserIdentity();
     if (!identity) return null;
     
-    return await ctx.db
-      .query("carts")
-      .withIndex("by_user", (q) => q.eq("userId", identity.subject))
-      .first();
+    const cart = await getUserCart(ctx, identity.subject);
+    if (!cart) return null;
+
+    return {
+      ...cart,
+      items: cart.items.map((item) => normalizeCartItem(item, cart._creationTime)),
+    };
   },
 });
 
-// Update cart
+// Replace the whole cart
 export const updateCart = mutation({
   args: {
-    items: v.array(v.object({
-      productId: v.string(),
-      name: v.string(),
-      price: v.number(),
-      quantity: v.number(),
-      image: v.optional(v.string()),
-    })),
+    items: v.array(cartItem),
   },
   handler: async (ctx, args) => {
     const identity = await ctx.auth.getUserIdentity();
     if (!identity) throw new Error("Not authenticated");
-    
-    const existing = await ctx.db
-      .query("carts")
-      .withIndex("by_user", (q) => q.eq("userId", identity.subject))
-      .first();
-    
-    if (existing) {
-      await ctx.db.patch(existing._id, {
-        items: args.items,
-        updatedAt: Date.now(),
-      });
-    } else {
-      await ctx.db.insert("carts", {
-        userId: identity.subject,
-        items: args.items,
-        updatedAt: Date.now(),
-      });
+    if (args.items.length > MAX_CART_ITEMS) {
+      throw new Error(`A cart can hold at most ${MAX_CART_ITEMS} products`);
     }
+    args.items.forEach((item) => assertQuantity(item.quantity));
+    
+    const existing = await getUserCart(ctx, identity.subject);
+    const now = Date.now();
+    await saveItems(ctx, identity.subject, existing, args.items
+      .filter((item) => item.quantity > 0)
+      .map((item) => normalizeCartItem(item, now)));
   },
 });
 
-// Add single item to cart
+// Add single item to cart. Adding a product that's already in the cart
+// raises its quantity and refreshes the snapshot, keeping priceAtAdd.
 export const addItem = mutation({
   args: {
     productId: v.string(),
-    name: v.string(),
-    price: v.number(),
-    quantity: v.number(),
+    productKey: v.optional(v.string()),
+    title: v.string(),
+    link: v.optional(v.string()),
+    store: v.optional(v.string()),
+    rating: v.optional(v.number()),
     image: v.optional(v.string()),
+    price: v.number(),
+    currency: v.optional(v.string()),
+    quantity: v.optional(v.number()),
   },
   handler: async (ctx, args) => {
     const identity = await ctx.auth.getUserIdentity();
     if (!identity) throw new Error("Not authenticated");
+
+    const quantity = args.quantity ?? 1;
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY) {
+      throw new Error(`Quantity must be a whole number between 1 and ${MAX_QUANTITY}`);
+    }
+    if (!(args.price > 0)) throw new Error("Price must be positive");
     
-    const cart = await ctx.db
-      .query("carts")
-      .withIndex("by_user", (q) => q.eq("userId", identity.subject))
-      .first();
-    
+    const cart = await getUserCart(ctx, identity.subject);
+    const now = Date.now();
+    const items = (cart?.items ?? []).map((item) => normalizeCartItem(item, cart._creationTime));
+    const existingItem = items.find((item) => isSameCartItem(item, args));
+
     let newItems;
-    if (cart) {
-      const existingItem = cart.items.find(item => item.productId === args.productId);
-      if (existingItem) {
-        newItems = cart.items.map(item =>
-          item.productId === args.productId
-            ? { ...item, quantity: item.quantity + args.quantity }
-            : item
-        );
-      } else {
-        newItems = [...cart.items, args];
-      }
-      
-      await ctx.db.patch(cart._id, {
-        items: newItems,
-        updatedAt: Date.now(),
-      });
+    if (existingItem) {
+      newItems = items.map((item) =>
+        item === existingItem
+          ? {
+              ...item,
+              ...args,
+              priceAtAdd: item.priceAtAdd,
+              currency: args.currency ?? item.currency,
+              addedAt: item.addedAt,
+              snapshotAt: now,
+              quantity: Math.min(MAX_QUANTITY, item.quantity + quantity),
+            }
+          : item
+      );
     } else {
-      await ctx.db.insert("carts", {
-        userId: identity.subject,
-        items: [args],
-        updatedAt: Date.now(),
-      });
+      if (items.length >= MAX_CART_ITEMS) {
+        throw new Error(`A cart can hold at most ${MAX_CART_ITEMS} products`);
+      }
+      newItems = [
+        ...items,
+        { ...args, priceAtAdd: args.price, currency: args.currency ?? DEFAULT_CURRENCY, quantity, addedAt: now, snapshotAt: now },
+      ];
+    }
+
+    await saveItems(ctx, identity.subject, cart, newItems);
+  },
+});
+
+// Merge a signed-out (local) cart into the user's cart after sign-in.
+// Duplicate products (same productKey, see isSameCartItem) get their
+// quantities summed (capped at MAX_QUANTITY); whichever side has the newer
+// snapshot supplies title, price, link etc., while priceAtAdd and addedAt
+// come from whichever was added first.
+export const mergeGuestCart = mutation({
+  args: { items: v.array(cartItem) },
+  handler: async (ctx, args) => {
+    const identity = await ctx.auth.getUserIdentity();
+    if (!identity) throw new Error("Not authenticated");
+    if (args.items.length === 0) return { merged: 0, dropped: 0 };
+
+    const cart = await getUserCart(ctx, identity.subject);
+    const now = Date.now();
+    const items = (cart?.items ?? []).map((item) => normalizeCartItem(item, cart._creationTime));
+
+    let dropped = 0;
+    for (const guestItem of args.items.map((item) => normalizeCartItem(item, now))) {
+      const index = items.findIndex((item) => isSameCartItem(item, guestItem));
+      if (index === -1) {
+        if (items.length < MAX_CART_ITEMS) items.push(guestItem);
+        else dropped++;
+        continue;
+      }
+
+      const existing = items[index];
+      const newer = guestItem.snapshotAt > existing.snapshotAt ? guestItem : existing;
+      const older = newer === guestItem ? existing : guestItem;
+      const first = guestItem.addedAt < existing.addedAt ? guestItem : existing;
+      items[index] = {
+        ...older,
+        ...newer,
+        priceAtAdd: first.priceAtAdd,
+        addedAt: first.addedAt,
+        quantity: Math.min(MAX_QUANTITY, existing.quantity + guestItem.quantity),
+      };
     }
+
+    await saveItems(ctx, identity.subject, cart, items);
+    return { merged: args.items.length - dropped, dropped };
+  },
+});
+
+// Set an item's quantity; 0 removes it
+export const updateQuantity = mutation({
+  args: { productId: v.string(), productKey: v.optional(v.string()), quantity: v.number() },
+  handler: async (ctx, args) => {
+    const identity = await ctx.auth.getUserIdentity();
+    if (!identity) throw new Error("Not authenticated");
+    assertQuantity(args.quantity);
+
+    const cart = await getUserCart(ctx, identity.subject);
+    if (!cart || !cart.items.some((item) => isSameCartItem(item, args))) {
+      throw new Error("Item is not in the cart");
+    }
+
+    const newItems = cart.items
+      .map((item) => normalizeCartItem(item, cart._creationTime))
+      .map((item) => (isSameCartItem(item, args) ? { ...item, quantity: args.quantity } : item))
+      .filter((item) => item.quantity > 0);
+
+    await saveItems(ctx, identity.subject, cart, newItems);
+  },
+});
+
+const priceCheck = v.object({
+  productId: v.string(),
+  productKey: v.optional(v.string()),
+  found: v.boolean(),
+  price: v.union(v.number(), v.null()),
+  availability: v.union(v.literal("in_stock"), v.literal("out_of_stock"), v.literal("unknown")),
+  checkedAt: v.number(),
+});
+
+// POSTs to the Findlee backend. Its URL comes from the FINDLEE_API_URL
+// Convex environment variable, e.g. https://api.example.com/api; it must be
+// reachable from Convex.
+async function postToBackend(path, body) {
+  const apiUrl = process.env.FINDLEE_API_URL;
+  if (!apiUrl) throw new Error("FINDLEE_API_URL is not set in the Convex environment");
+
+  const response = await fetch(`${apiUrl.replace(/\/+$/, "")}${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  if (!response.ok) {
+    throw new Error(`${path} failed (${response.status})`);
+  }
+  return await response.json();
+}
+
+// Re-checks every item's price and availability with the backend
+// (POST /api/cart/revalidate) and writes the results back
+export const revalidateCart = action({
+  args: {},
+  handler: async (ctx) => {
+    const identity = await ctx.auth.getUserIdentity();
+    if (!identity) throw new Error("Not authenticated");
+
+    const cart = await ctx.runQuery(api.cart.getCart, {});
+    if (!cart || cart.items.length === 0) return { checked: 0, changed: 0 };
+
+    const { items } = await postToBackend("/cart/revalidate", {
+      items: cart.items.map(({ productId, productKey, title, store, price }) => ({ productId, productKey, title, store, price })),
+    });
+    return await ctx.runMutation(internal.cart.applyPriceChecks, {
+      userId: identity.subject,
+      checks: items.map(({ productId, productKey, found, price, availability, checkedAt }) => ({ productId, productKey, found, price, availability, checkedAt })),
+    });
+  },
+});
+
+// Cheapest way to buy the cart across stores (POST /api/cart/optimize),
+// optionally limited to `maxStores` stores or leaning towards `preferStores`.
+// Returns the backend's per-store plan; the cart itself is not changed.
+export const optimizeCart = action({
+  args: {
+    maxStores: v.optional(v.number()),
+    preferStores: v.optional(v.array(v.string())),
+  },
+  handler: async (ctx, args) => {
+    const identity = await ctx.auth.getUserIdentity();
+    if (!identity) throw new Error("Not authenticated");
+
+    const cart = await ctx.runQuery(api.cart.getCart, {});
+    if (!cart || cart.items.length === 0) return null;
+
+    const { plan } = await postToBackend("/cart/optimize", {
+      items: cart.items.map(({ productId, productKey, title, store, price, quantity, link, availability }) =>
+        ({ productId, productKey, title, store, price, quantity, link, availability })),
+      maxStores: args.maxStores,
+      preferStores: args.preferStores,
+    });
+    return plan;
+  },
+});
+
+// Writes revalidation results into the cart. Items removed while the check
+// ran are skipped.
+export const applyPriceChecks = internalMutation({
+  args: { userId: v.string(), checks: v.array(priceCheck) },
+  handler: async (ctx, args) => {
+    const cart = await getUserCart(ctx, args.userId);
+    if (!cart) return { checked: 0, changed: 0 };
+
+    let changed = 0;
+    const items = cart.items.map((raw) => {
+      const item = normalizeCartItem(raw, cart._creationTime);
+      const check = args.checks.find((c) => isSameCartItem(c, item));
+      if (!check) return item;
+
+      const updated = { ...item, availability: check.availability, checkedAt: check.checkedAt };
+      if (check.found && check.price > 0 && check.price !== item.price) {
+        changed++;
+        Object.assign(updated, { price: check.price, priceChangedAt: check.checkedAt, snapshotAt: check.checkedAt });
+      }
+      return updated;
+    });
+
+    await ctx.db.patch(cart._id, { items, updatedAt: Date.now() });
+    return { checked: args.checks.length, changed };
   },
 });
 
 // Remove item from cart
 export const removeItem = mutation({
-  args: { productId: v.string() },
+  args: { productId: v.string(), productKey: v.optional(v.string()) },
   handler: async (ctx, args) => {
     const identity = await ctx.auth.getUserIdentity();
     if (!identity) throw new Error("Not authenticated");
     
-    const cart = await ctx.db
-      .query("carts")
-      .withIndex("by_user", (q) => q.eq("userId", identity.subject))
-      .first();
+    const cart = await getUserCart(ctx, identity.subject);
     
     if (cart) {
-      const newItems = cart.items.filter(item => item.productId !== args.productId);
+      const newItems = cart.items.filter(item => !isSameCartItem(item, args));
       await ctx.db.patch(cart._id, {
         items: newItems,
         updatedAt: Date.now(),
@@ -124,10 +338,7 @@ export const clearCart = mutation({
     const identity = await ctx.auth.getUserIdentity();
     if (!identity) throw new Error("Not authenticated");
     
-    const cart = await ctx.db
-      .query("carts")
-      .withIndex("by_user", (q) => q.eq("userId", identity.subject))
-      .first();
+    const cart = await getUserCart(ctx, identity.subject);
     
     if (cart) {
       await ctx.db.delete(cart._id);
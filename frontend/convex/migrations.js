@@ -0,0 +1,44 @@
+import { internalMutation } from "./_generated/server";
+import { internal } from "./_generated/api";
+import { v } from "convex/values";
+import { normalizeCartItem } from "./cart";
+
+const BATCH_SIZE = 100;
+
+const isCurrentItem = (item) =>
+  item.name === undefined &&
+  item.title !== undefined &&
+  item.priceAtAdd !== undefined &&
+  item.currency !== undefined &&
+  item.addedAt !== undefined &&
+  item.snapshotAt !== undefined;
+
+// Rewrites cart items saved before product snapshots into the current
+// shape (title instead of name, priceAtAdd, currency, addedAt, snapshotAt).
+// Safe to re-run; carts already migrated are skipped. Processes one batch
+// per run and schedules the next:
+//   npx convex run migrations:migrateCarts
+export const migrateCarts = internalMutation({
+  args: { cursor: v.optional(v.union(v.string(), v.null())) },
+  handler: async (ctx, args) => {
+    const batch = await ctx.db
+      .query("carts")
+      .paginate({ cursor: args.cursor ?? null, numItems: BATCH_SIZE });
+
+    let migrated = 0;
+    for (const cart of batch.page) {
+      if (cart.items.every(isCurrentItem)) continue;
+      await ctx.db.patch(cart._id, {
+        items: cart.items.map((item) => normalizeCartItem(item, cart._creationTime)),
+      });
+      migrated++;
+    }
+
+    if (!batch.isDone) {
+      await ctx.scheduler.runAfter(0, internal.migrations.migrateCarts, { cursor: batch.continueCursor });
+    }
+
+    console.log(`Migrated ${migrated} of ${batch.page.length} carts${batch.isDone ? "" : ", continuing"}`);
+    return { migrated, done: batch.isDone };
+  },
+});
@@ -0,0 +1,190 @@
+import { mutation, query } from "./_generated/server";
+import { v } from "convex/values";
+import { rankingPreferences } from "./schema";
+
+export const MAX_ADDRESSES = 10;
+// Listings are priced by Indian stores in INR and nothing converts them
+export const SUPPORTED_CURRENCIES = ["INR"];
+const MAX_PREFERRED_STORES = 5;
+
+// What a user without a saved profile gets
+export const DEFAULT_PROFILE = {
+  addresses: [],
+  defaultAddressId: undefined,
+  currency: "INR",
+  region: "IN",
+  preferredStores: [],
+  ranking: { sort: "relevance", minRating: 0 },
+};
+
+const addressFields = {
+  label: v.optional(v.string()),
+  name: v.string(),
+  addressLine1: v.string(),
+  addressLine2: v.optional(v.string()),
+  city: v.optional(v.string()),
+  state: v.optional(v.string()),
+  pincode: v.string(),
+  country: v.string(),
+  phone: v.optional(v.string()),
+};
+
+// Indian PIN codes are 6 digits and never start with 0; other countries
+// just get a loose postcode check
+function assertAddress(address) {
+  if (!address.name.trim() || !address.addressLine1.trim()) {
+    throw new Error("Name and address line 1 are required");
+  }
+  const pincode = address.pincode.trim();
+  if (/^india$/i.test(address.country.trim()) ? !/^[1-9][0-9]{5}$/.test(pincode) : !/^[A-Za-z0-9 -]{3,10}$/.test(pincode)) {
+    throw new Error(`"${pincode}" is not a valid pincode`);
+  }
+}
+
+async function getUserProfile(ctx, userId) {
+  return await ctx.db
+    .query("profiles")
+    .withIndex("by_user", (q) => q.eq("userId", userId))
+    .first();
+}
+
+async function requireUser(ctx) {
+  const identity = await ctx.auth.getUserIdentity();
+  if (!identity) throw new Error("Not authenticated");
+  return identity.subject;
+}
+
+// Applies `changes` to the user's profile, creating it from the defaults
+async function saveProfile(ctx, userId, profile, changes) {
+  if (profile) {
+    await ctx.db.patch(profile._id, { ...changes, updatedAt: Date.now() });
+  } else {
+    const { defaultAddressId, ...defaults } = DEFAULT_PROFILE;
+    await ctx.db.insert("profiles", { userId, ...defaults, ...changes, updatedAt: Date.now() });
+  }
+}
+
+// Get the signed-in user's profile (defaults if they haven't saved one), or
+// null when signed out. `defaultAddress` is resolved for convenience.
+export const getProfile = query({
+  args: {},
+  handler: async (ctx) => {
+    const identity = await ctx.auth.getUserIdentity();
+    if (!identity) return null;
+
+    const profile = (await getUserProfile(ctx, identity.subject)) ?? DEFAULT_PROFILE;
+    return {
+      ...profile,
+      // Saved before currencies were limited to SUPPORTED_CURRENCIES
+      currency: SUPPORTED_CURRENCIES.includes(profile.currency) ? profile.currency : DEFAULT_PROFILE.currency,
+      defaultAddress: profile.addresses.find((a) => a.id === profile.defaultAddressId) ?? profile.addresses[0] ?? null,
+    };
+  },
+});
+
+// Update currency/region, preferred stores or ranking preferences; omitted
+// fields are left as they are
+export const updatePreferences = mutation({
+  args: {
+    currency: v.optional(v.string()),
+    region: v.optional(v.string()),
+    preferredStores: v.optional(v.array(v.string())),
+    ranking: v.optional(rankingPreferences),
+  },
+  handler: async (ctx, args) => {
+    const userId = await requireUser(ctx);
+
+    const changes = {};
+    if (args.currency !== undefined) {
+      if (!SUPPORTED_CURRENCIES.includes(args.currency)) {
+        throw new Error(`Currency must be one of ${SUPPORTED_CURRENCIES.join(", ")}`);
+      }
+      changes.currency = args.currency;
+    }
+    if (args.region !== undefined) {
+      if (!/^[A-Z]{2}$/.test(args.region)) throw new Error("Region must be a 2-letter country code like IN");
+      changes.region = args.region;
+    }
+    if (args.preferredStores !== undefined) {
+      const stores = [...new Set(args.preferredStores.map((s) => s.trim()).filter(Boolean))];
+      if (stores.length > MAX_PREFERRED_STORES) {
+        throw new Error(`Pick at most ${MAX_PREFERRED_STORES} preferred stores`);
+      }
+      changes.preferredStores = stores;
+    }
+    if (args.ranking !== undefined) {
+      if (args.ranking.minRating < 0 || args.ranking.minRating > 5) {
+        throw new Error("Minimum rating must be between 0 and 5");
+      }
+      changes.ranking = args.ranking;
+    }
+
+    const profile = await getUserProfile(ctx, userId);
+    await saveProfile(ctx, userId, profile, changes);
+  },
+});
+
+// Add an address, or replace the one with `id`. The first address saved
+// becomes the default. Returns the address id.
+export const saveAddress = mutation({
+  args: {
+    id: v.optional(v.string()),
+    address: v.object(addressFields),
+    makeDefault: v.optional(v.boolean()),
+  },
+  handler: async (ctx, args) => {
+    const userId = await requireUser(ctx);
+    assertAddress(args.address);
+
+    const profile = await getUserProfile(ctx, userId);
+    const addresses = profile?.addresses ?? [];
+
+    let id = args.id;
+    let newAddresses;
+    if (id) {
+      if (!addresses.some((a) => a.id === id)) throw new Error("Address not found");
+      newAddresses = addresses.map((a) => (a.id === id ? { ...args.address, id } : a));
+    } else {
+      if (addresses.length >= MAX_ADDRESSES) {
+        throw new Error(`You can save at most ${MAX_ADDRESSES} addresses`);
+      }
+      id = `addr_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+      newAddresses = [...addresses, { ...args.address, id }];
+    }
+
+    const makeDefault = args.makeDefault || !profile?.defaultAddressId;
+    await saveProfile(ctx, userId, profile, {
+      addresses: newAddresses,
+      ...(makeDefault && { defaultAddressId: id }),
+    });
+    return id;
+  },
+});
+
+// Remove an address; if it was the default, the next one takes over
+export const removeAddress = mutation({
+  args: { id: v.string() },
+  handler: async (ctx, args) => {
+    const userId = await requireUser(ctx);
+    const profile = await getUserProfile(ctx, userId);
+    if (!profile) return;
+
+    const addresses = profile.addresses.filter((a) => a.id !== args.id);
+    await saveProfile(ctx, userId, profile, {
+      addresses,
+      defaultAddressId: profile.defaultAddressId === args.id ? addresses[0]?.id : profile.defaultAddressId,
+    });
+  },
+});
+
+export const setDefaultAddress = mutation({
+  args: { id: v.string() },
+  handler: async (ctx, args) => {
+    const userId = await requireUser(ctx);
+    const profile = await getUserProfile(ctx, userId);
+    if (!profile || !profile.addresses.some((a) => a.id === args.id)) {
+      throw new Error("Address not found");
+    }
+    await saveProfile(ctx, userId, profile, { defaultAddressId: args.id });
+  },
+});
@@ -1,16 +1,116 @@
 import { defineSchema, defineTable } from "convex/server";
 import { v } from "convex/values";
 
+// A cart line: a snapshot of the listing as it was when added, so the cart
+// can show and link to it without re-fetching. `price` is the latest known
+// price, taken at `snapshotAt`; `priceAtAdd` is kept for comparison.
+// cart.revalidateCart refreshes price and availability from the stores.
+//
+// Carts written before snapshots only have productId, name, price, quantity
+// and image, so the snapshot fields are optional until
+// migrations:migrateCarts has run. Read items through normalizeCartItem.
+export const cartItem = v.object({
+  productId: v.string(),
+  productKey: v.optional(v.string()),
+  title: v.optional(v.string()),
+  name: v.optional(v.string()), // legacy title
+  link: v.optional(v.string()),
+  store: v.optional(v.string()),
+  rating: v.optional(v.number()),
+  image: v.optional(v.string()),
+  price: v.number(),
+  priceAtAdd: v.optional(v.number()),
+  currency: v.optional(v.string()),
+  quantity: v.number(),
+  addedAt: v.optional(v.number()),
+  snapshotAt: v.optional(v.number()),
+  priceChangedAt: v.optional(v.number()),
+  availability: v.optional(v.union(v.literal("in_stock"), v.literal("out_of_stock"), v.literal("unknown"))),
+  checkedAt: v.optional(v.number()),
+});
+
+// A saved delivery address. `id` is generated by profiles.saveAddress so an
+// address can be edited or picked as the default.
+export const address = v.object({
+  id: v.string(),
+  label: v.optional(v.string()), // "Home", "Work", ...
+  name: v.string(),
+  addressLine1: v.string(),
+  addressLine2: v.optional(v.string()),
+  city: v.optional(v.string()),
+  state: v.optional(v.string()),
+  pincode: v.string(),
+  country: v.string(),
+  phone: v.optional(v.string()),
+});
+
+export const rankingPreferences = v.object({
+  sort: v.union(
+    v.literal("relevance"),
+    v.literal("price_low"),
+    v.literal("price_high"),
+    v.literal("rating"),
+    v.literal("discount")
+  ),
+  minRating: v.number(),
+});
+
 export default defineSchema({
+  // One per signed-in user, keyed by the Clerk subject. Created on the first
+  // profiles mutation; profiles.getProfile returns defaults until then.
+  profiles: defineTable({
+    userId: v.string(),
+    addresses: v.array(address),
+    defaultAddressId: v.optional(v.string()),
+    currency: v.string(),
+    region: v.string(),
+    preferredStores: v.array(v.string()),
+    ranking: rankingPreferences,
+    updatedAt: v.number(),
+  }).index("by_user", ["userId"]),
+
   carts: defineTable({
     userId: v.string(),
-    items: v.array(v.object({
-      productId: v.string(),
-      name: v.string(),
-      price: v.number(),
-      quantity: v.number(),
-      image: v.optional(v.string()),
-    })),
+    items: v.array(cartItem),
     updatedAt: v.number(),
   }).index("by_user", ["userId"]),
+
+  watches: defineTable({
+    userId: v.string(),
+    email: v.optional(v.string()),
+    productKey: v.string(),
+    title: v.string(),
+    store: v.string(),
+    link: v.string(),
+    image: v.optional(v.string()),
+    targetPrice: v.number(),
+    priceAtAdd: v.number(),
+    lastPrice: v.optional(v.number()),
+    lastCheckedAt: v.optional(v.number()),
+    // True while the price sits at/below target, so we alert once per drop
+    triggered: v.boolean(),
+    createdAt: v.number(),
+  })
+    .index("by_user", ["userId"])
+    .index("by_user_product", ["userId", "productKey"]),
+
+  alerts: defineTable({
+    watchId: v.id("watches"),
+    userId: v.string(),
+    email: v.optional(v.string()),
+    productKey: v.string(),
+    title: v.string(),
+    store: v.string(),
+    link: v.string(),
+    price: v.number(),
+    targetPrice: v.number(),
+    triggeredAt: v.number(),
+    deliveredAt: v.optional(v.number()),
+    channels: v.optional(v.array(v.string())),
+    // Sends where every notifier failed; retried up to a cap
+    failedAttempts: v.optional(v.number()),
+  })
+    .index("by_user", ["userId"])
+    .index("by_watch", ["watchId"])
+    .index("by_delivered", ["deliveredAt"]),
 });
\ No newline at end of file
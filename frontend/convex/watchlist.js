@@ -0,0 +1,206 @@
+import { mutation, query } from "./_generated/server";
+import { v } from "convex/values";
+
+// The backend price watcher calls the job functions over HTTP without a user
+// session, so they're guarded by a shared secret set in the Convex dashboard
+function assertJobSecret(secret) {
+  const expected = process.env.WATCHLIST_JOB_SECRET;
+  if (!expected || secret !== expected) {
+    throw new Error("Invalid watchlist job secret");
+  }
+}
+
+// Get the signed-in user's watches
+export const getWatches = query({
+  args: {},
+  handler: async (ctx) => {
+    const identity = await ctx.auth.getUserIdentity();
+    if (!identity) return [];
+
+    return await ctx.db
+      .query("watches")
+      .withIndex("by_user", (q) => q.eq("userId", identity.subject))
+      .collect();
+  },
+});
+
+// Get the signed-in user's most recent alerts
+export const getAlerts = query({
+  args: { limit: v.optional(v.number()) },
+  handler: async (ctx, args) => {
+    const identity = await ctx.auth.getUserIdentity();
+    if (!identity) return [];
+
+    return await ctx.db
+      .query("alerts")
+      .withIndex("by_user", (q) => q.eq("userId", identity.subject))
+      .order("desc")
+      .take(args.limit ?? 20);
+  },
+});
+
+// Watch a product, or update the target of an existing watch
+export const addWatch = mutation({
+  args: {
+    productKey: v.string(),
+    title: v.string(),
+    store: v.string(),
+    link: v.string(),
+    image: v.optional(v.string()),
+    price: v.number(),
+    targetPrice: v.number(),
+  },
+  handler: async (ctx, args) => {
+    const identity = await ctx.auth.getUserIdentity();
+    if (!identity) throw new Error("Not authenticated");
+    if (args.targetPrice <= 0) throw new Error("Target price must be positive");
+
+    const existing = await ctx.db
+      .query("watches")
+      .withIndex("by_user_product", (q) =>
+        q.eq("userId", identity.subject).eq("productKey", args.productKey)
+      )
+      .first();
+
+    if (existing) {
+      await ctx.db.patch(existing._id, {
+        targetPrice: args.targetPrice,
+        triggered: false,
+      });
+      return existing._id;
+    }
+
+    return await ctx.db.insert("watches", {
+      userId: identity.subject,
+      email: identity.email,
+      productKey: args.productKey,
+      title: args.title,
+      store: args.store,
+      link: args.link,
+      image: args.image,
+      targetPrice: args.targetPrice,
+      priceAtAdd: args.price,
+      lastPrice: args.price,
+      lastCheckedAt: Date.now(),
+      triggered: false,
+      createdAt: Date.now(),
+    });
+  },
+});
+
+// Stop watching a product
+export const removeWatch = mutation({
+  args: { watchId: v.id("watches") },
+  handler: async (ctx, args) => {
+    const identity = await ctx.auth.getUserIdentity();
+    if (!identity) throw new Error("Not authenticated");
+
+    const watch = await ctx.db.get(args.watchId);
+    if (!watch || watch.userId !== identity.subject) {
+      throw new Error("Watch not found");
+    }
+
+    await ctx.db.delete(args.watchId);
+  },
+});
+
+// --- Price watcher job (backend) ---
+
+// Every watch; the job re-checks all of them on each pass
+export const listWatchesToCheck = query({
+  args: { secret: v.string() },
+  handler: async (ctx, args) => {
+    assertJobSecret(args.secret);
+    return await ctx.db.query("watches").collect();
+  },
+});
+
+// Record a fresh price; creates an alert when the price first drops to or
+// below the target, and re-arms the watch once it rises above it again
+export const recordCheck = mutation({
+  args: {
+    secret: v.string(),
+    watchId: v.id("watches"),
+    price: v.number(),
+  },
+  handler: async (ctx, args) => {
+    assertJobSecret(args.secret);
+
+    const watch = await ctx.db.get(args.watchId);
+    if (!watch) return null;
+
+    const now = Date.now();
+    const hit = args.price <= watch.targetPrice;
+
+    await ctx.db.patch(watch._id, {
+      lastPrice: args.price,
+      lastCheckedAt: now,
+      triggered: hit,
+    });
+
+    if (!hit || watch.triggered) return null;
+
+    const alertId = await ctx.db.insert("alerts", {
+      watchId: watch._id,
+      userId: watch.userId,
+      email: watch.email,
+      productKey: watch.productKey,
+      title: watch.title,
+      store: watch.store,
+      link: watch.link,
+      price: args.price,
+      targetPrice: watch.targetPrice,
+      triggeredAt: now,
+    });
+
+    return await ctx.db.get(alertId);
+  },
+});
+
+// Mark an alert as sent through the given notifier channels
+export const markAlertDelivered = mutation({
+  args: {
+    secret: v.string(),
+    alertId: v.id("alerts"),
+    channels: v.array(v.string()),
+  },
+  handler: async (ctx, args) => {
+    assertJobSecret(args.secret);
+    await ctx.db.patch(args.alertId, {
+      deliveredAt: Date.now(),
+      channels: args.channels,
+    });
+  },
+});
+
+// Alerts no notifier has delivered yet, with fewer than maxAttempts failures
+export const listUndeliveredAlerts = query({
+  args: {
+    secret: v.string(),
+    maxAttempts: v.number(),
+  },
+  handler: async (ctx, args) => {
+    assertJobSecret(args.secret);
+    const pending = await ctx.db
+      .query("alerts")
+      .withIndex("by_delivered", (q) => q.eq("deliveredAt", undefined))
+      .collect();
+    return pending.filter((alert) => (alert.failedAttempts ?? 0) < args.maxAttempts);
+  },
+});
+
+// Count a send where every notifier failed
+export const recordAlertFailure = mutation({
+  args: {
+    secret: v.string(),
+    alertId: v.id("alerts"),
+  },
+  handler: async (ctx, args) => {
+    assertJobSecret(args.secret);
+    const alert = await ctx.db.get(args.alertId);
+    if (!alert) return null;
+    const failedAttempts = (alert.failedAttempts ?? 0) + 1;
+    await ctx.db.patch(args.alertId, { failedAttempts });
+    return failedAttempts;
+  },
+});
@@ -1,21 +1,68 @@
-import React, { useState, useEffect } from 'react';
-import { Search, ShoppingCart, TrendingUp, Shield, Zap, Filter, X, Star, Package, ExternalLink, ArrowRight, ShoppingBag, Moon, Sun, Trash2, Plus, Minus } from 'lucide-react';
+import React, { useState, useEffect, useRef } from 'react';
+import { Search, ShoppingCart, TrendingUp, Shield, Zap, Filter, X, Star, Package, ExternalLink, ArrowRight, ShoppingBag, Moon, Sun, Trash2, Plus, Minus, Bell, Scale, TrendingDown, AlertTriangle, UserCog } from 'lucide-react';
 import { SignedIn, SignedOut, SignInButton, UserButton } from '@clerk/clerk-react'
-import { useQuery, useMutation } from "convex/react";
+import { useQuery, useMutation, useAction } from "convex/react";
 import { api } from "../convex/_generated/api";
+import { useCompareTray, compareLinkId, MIN_COMPARE_PRODUCTS, MAX_COMPARE_PRODUCTS } from './compareTray';
+import { useLocation, navigate } from './router';
+import { useGuestCart, toCartItem, MAX_CART_QUANTITY } from './guestCart';
+import CartOptimizer from './components/CartOptimizer';
+import CheckoutConfirmation from './components/CheckoutConfirmation';
+import ProfileSettings from './components/ProfileSettings';
 import { useUser } from '@clerk/clerk-react';
 
 // =======================================================
 // 🛒 CONFIGURATION CONSTANTS
 // =======================================================
 const API_URL = import.meta.env.REACT_APP_API_URL || 'http://localhost:4000/api';
+const PAGE_SIZE = 20;
+// Re-opening the cart within this window doesn't re-check prices
+const PRICE_CHECK_INTERVAL_MS = 5 * 60 * 1000;
+const SORTS = ['relevance', 'price_low', 'price_high', 'rating', 'discount'];
 
-const PLACEHOLDER_USER_DATA = {
-  name: 'Adhyayan Kumar',
-  addressLine1: 'Flat 401, Sai Towers, Whitefield Main Road',
-  zipCode: '560066',
-  country: 'India'
+const DEFAULT_FILTERS = {
+  minPrice: 0,
+  maxPrice: 100000,
+  minRating: 0,
+  category: 'all',
+  dealsOnly: false,
+  sort: 'relevance'
 };
+
+// Search state lives in the URL (?q=&minPrice=&maxPrice=&minRating=&category=&deals=&sort=&page=)
+// so results can be shared and survive reloads. Defaults are left out.
+const filtersFromParams = (params) => {
+  const number = (name) => {
+    const value = Number(params.get(name));
+    return params.get(name) && !isNaN(value) ? value : DEFAULT_FILTERS[name];
+  };
+  return {
+    minPrice: number('minPrice'),
+    maxPrice: number('maxPrice'),
+    minRating: number('minRating'),
+    category: params.get('category') || DEFAULT_FILTERS.category,
+    dealsOnly: params.get('deals') === '1',
+    sort: SORTS.includes(params.get('sort')) ? params.get('sort') : DEFAULT_FILTERS.sort
+  };
+};
+
+const toSearchParams = (query, filters, pages) => {
+  const params = { q: query };
+  ['minPrice', 'maxPrice', 'minRating', 'category', 'sort'].forEach(name => {
+    if (filters[name] !== DEFAULT_FILTERS[name]) params[name] = filters[name];
+  });
+  if (filters.dealsOnly) params.deals = 1;
+  if (pages > 1) params.page = pages;
+  return params;
+};
+
+const sameFilters = (a, b) => Object.keys(DEFAULT_FILTERS).every(name => a[name] === b[name]);
+
+// Filters a new search starts with: the signed-in user's ranking
+// preferences (convex/profiles.js) on top of the defaults
+const personalFilters = (profile) => (profile
+  ? { ...DEFAULT_FILTERS, sort: profile.ranking.sort, minRating: profile.ranking.minRating }
+  : DEFAULT_FILTERS);
 // =======================================================
 
 const ShopMate = () => {
@@ -25,172 +72,387 @@ const ShopMate = () => {
   const removeItemMutation = useMutation(api.cart.removeItem);
   const updateQuantityMutation = useMutation(api.cart.updateQuantity);
   const clearCartMutation = useMutation(api.cart.clearCart);
+  const mergeGuestCartMutation = useMutation(api.cart.mergeGuestCart);
+  const revalidateCartAction = useAction(api.cart.revalidateCart);
+  const guestCart = useGuestCart();
+  const watches = useQuery(api.watchlist.getWatches) || [];
+  // Null when signed out; defaults until the user saves something
+  const profile = useQuery(api.profiles.getProfile);
+  const alerts = useQuery(api.watchlist.getAlerts, {}) || [];
+  const addWatchMutation = useMutation(api.watchlist.addWatch);
+  const removeWatchMutation = useMutation(api.watchlist.removeWatch);
+  const compareTray = useCompareTray();
+  const location = useLocation();
   const [query, setQuery] = useState('');
   const [products, setProducts] = useState([]);
   const [summary, setSummary] = useState('');
   const [loading, setLoading] = useState(false);
+  const [searchedQuery, setSearchedQuery] = useState('');
+  const [nextCursor, setNextCursor] = useState(null);
+  const [totalResults, setTotalResults] = useState(0);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [showWelcome, setShowWelcome] = useState(true);
   const [showFilters, setShowFilters] = useState(false);
    const [showCart, setShowCart] = useState(false);
+  const [showWatchlist, setShowWatchlist] = useState(false);
+  const [showProfile, setShowProfile] = useState(false);
   const [isDarkMode, setIsDarkMode] = useState(false);
-  const [cartLoaded, setCartLoaded] = useState(false);
 
   
-  // Get cart from Convex
-  const cart = cartData?.items || [];
-  const [filters, setFilters] = useState({
-    minPrice: 0,
-    maxPrice: 100000,
-    minRating: 0,
-    category: 'all',
-    dealsOnly: false,
-    sort: 'relevance'
-  })
-  ;
-
-  // ✅ Load cart from storage on mount
+  // Signed-in carts live in Convex; signed-out users get a local cart
+  const cart = isSignedIn ? (cartData?.items || []) : guestCart.items;
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  // Result pages loaded so far, mirrored to ?page= for shared links
+  const [pages, setPages] = useState(0);
+  // Latest filters for stream callbacks created before a filter change
+  const filtersRef = useRef(filters);
+  filtersRef.current = filters;
+
+  // Move the signed-out cart into the user's Convex cart once they sign in
+  const mergingGuestCart = useRef(false);
   useEffect(() => {
-    const loadCart = async () => {
-      try {
-        const result = await window.storage.get('shopping-cart');
-        if (result && result.value) {
-          const savedCart = JSON.parse(result.value);
-          setCart(savedCart);
-          console.log('✅ Cart loaded:', savedCart.length, 'items');
-        }
-      } catch (error) {
-        console.log('No saved cart found or error loading cart:', error);
-      } finally {
-        setCartLoaded(true);
-      }
-    };
-    loadCart();
-  }, []);
+    if (!isSignedIn || guestCart.items.length === 0 || mergingGuestCart.current) return;
+    mergingGuestCart.current = true;
+    mergeGuestCartMutation({ items: guestCart.items })
+      .then(({ merged, dropped }) => {
+        console.log('🛒 Merged', merged, 'guest cart items');
+        if (dropped > 0) alert(`Your cart is full, so ${dropped} item(s) from before you signed in were not added.`);
+        guestCart.clear();
+      })
+      .catch(error => console.error('Error merging guest cart:', error))
+      .finally(() => { mergingGuestCart.current = false; });
+  }, [isSignedIn, guestCart.items]);
 
-  // ✅ Save cart to storage whenever it changes
+  // Refresh cart prices and stock from the stores when the drawer opens
   useEffect(() => {
-    const saveCart = async () => {
-      if (!cartLoaded) return;
-      try {
-        await window.storage.set('shopping-cart', JSON.stringify(cart));
-        console.log('💾 Cart saved:', cart.length, 'items');
-      } catch (error) {
-        console.error('Error saving cart:', error);
-      }
-    };
-    saveCart();
-  }, [cart, cartLoaded]);
+    if (showCart && cart.length > 0) revalidateCart();
+  }, [showCart]);
 
   const toggleDarkMode = () => setIsDarkMode(!isDarkMode);
 
-  const handleSearch = async () => {
-    if (!query.trim()) return;
-    setLoading(true);
-    setShowWelcome(false);
+  // Open stream for the current search, closed when a new search starts
+  const streamRef = useRef(null);
+
+  useEffect(() => () => streamRef.current?.close(), []);
+
+  // Builds the paged /products URL for the current filters
+  const buildProductsUrl = (searchQuery, cursor) => {
+    const activeFilters = filtersRef.current;
+    const params = new URLSearchParams({ q: searchQuery, limit: String(PAGE_SIZE), sort: activeFilters.sort });
+    if (activeFilters.minPrice > 0) params.set('minPrice', String(activeFilters.minPrice));
+    if (activeFilters.maxPrice > 0) params.set('maxPrice', String(activeFilters.maxPrice));
+    if (activeFilters.minRating > 0) params.set('minRating', String(activeFilters.minRating));
+    if (activeFilters.dealsOnly) params.set('dealsOnly', 'true');
+    if (cursor) params.set('cursor', cursor);
+    return `${API_URL}/products?${params}`;
+  };
+
+  // Loads one page of filtered results; a cursor appends, no cursor replaces.
+  // Resolves to the cursor of the next page, if any.
+  const fetchProducts = async (searchQuery, cursor = null) => {
+    const url = buildProductsUrl(searchQuery, cursor);
+    console.log('🔍 Fetching from:', url);
+
+    const response = await fetch(url);
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    const fetchedProducts = data.products || [];
+    setProducts(prev => cursor ? [...prev, ...fetchedProducts] : fetchedProducts);
+    setNextCursor(data.pageInfo?.nextCursor || null);
+    setTotalResults(data.pageInfo?.total ?? fetchedProducts.length);
+    if (!cursor) setSummary(data.summary || 'Search complete!');
+
+    console.log('✅ Loaded', fetchedProducts.length, 'of', data.pageInfo?.total, 'products');
+    return data.pageInfo?.nextCursor || null;
+  };
+
+  // Loads the first `count` pages, e.g. to restore ?page=3 from a shared link
+  const fetchPages = async (searchQuery, count) => {
+    let cursor = await fetchProducts(searchQuery);
+    let loaded = 1;
+    while (cursor && loaded < count) {
+      cursor = await fetchProducts(searchQuery, cursor);
+      loaded++;
+    }
+    setPages(loaded);
+  };
+
+  const loadMore = async () => {
+    if (!nextCursor || loadingMore || loading) return;
+    setLoadingMore(true);
     try {
-      const url = `${API_URL}/products?q=${encodeURIComponent(query)}`;
-      console.log('🔍 Fetching from:', url);
-      
-      const response = await fetch(url);
-      
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-      
-      const data = await response.json();
-      const fetchedProducts = data.products || [];
-      setProducts(fetchedProducts);
-      setSummary(data.summary || 'Search complete!');
-      
-      console.log('✅ Found', fetchedProducts.length, 'products');
+      await fetchProducts(searchedQuery, nextCursor);
+      setPages(prev => prev + 1);
     } catch (error) {
-      console.error('Search Error:', error);
-      setSummary(`Unable to fetch results. Error: ${error.message}. Make sure your backend is running at ${API_URL}`);
+      console.error('Load more error:', error);
+      setNextCursor(null);
     } finally {
-      setLoading(false);
+      setLoadingMore(false);
     }
   };
 
-  const filteredProducts = products.filter(p => {
-    if (p.price < filters.minPrice || p.price > filters.maxPrice) return false;
-    if (p.rating < filters.minRating) return false;
-    if (filters.dealsOnly && !p.discount) return false;
-    return true;
-  }).sort((a, b) => {
-    switch (filters.sort) {
-      case 'price_low': return a.price - b.price;
-      case 'price_high': return b.price - a.price;
-      case 'rating': return b.rating - a.rating;
-      default: return 0;
+  // New searches get their own history entry; the URL effect below runs them
+  const handleSearch = () => {
+    const searchQuery = query.trim();
+    if (!searchQuery) return;
+    if (searchQuery === searchedQuery) {
+      runSearch(searchQuery);
+      return;
     }
-  });
+    // A first search from the home page uses the user's preferred sort/rating
+    const startFilters = !searchedQuery && sameFilters(filters, DEFAULT_FILTERS) ? personalFilters(profile) : filters;
+    navigate('/', toSearchParams(searchQuery, startFilters, 0));
+  };
 
-  const resetFilters = () => {
-    setFilters({
-      minPrice: 0,
-      maxPrice: 100000,
-      minRating: 0,
-      category: 'all',
-      dealsOnly: false,
-      sort: 'relevance'
+  // Streams results for a query, then loads `pageCount` filtered pages
+  const runSearch = (searchQuery, pageCount = 1) => {
+    streamRef.current?.close();
+    setLoading(true);
+    setShowWelcome(false);
+    setProducts([]);
+    setSummary('');
+    setNextCursor(null);
+    setTotalResults(0);
+    setPages(0);
+    setQuery(searchQuery);
+    setSearchedQuery(searchQuery);
+
+    const url = `${API_URL}/products/stream?q=${encodeURIComponent(searchQuery)}`;
+    console.log('🌊 Streaming from:', url);
+
+    const stream = new EventSource(url);
+    streamRef.current = stream;
+    let received = false;
+
+    const finish = () => {
+      stream.close();
+      if (streamRef.current === stream) streamRef.current = null;
+      setLoading(false);
+    };
+
+    // Raw per-source listings show up as soon as each store answers
+    stream.addEventListener('source', (e) => {
+      received = true;
+      const { items } = JSON.parse(e.data);
+      if (items.length > 0) setProducts(prev => [...prev, ...items]);
     });
+
+    stream.addEventListener('merged', (e) => {
+      received = true;
+      const { items } = JSON.parse(e.data);
+      setProducts(items);
+      if (items.length > 0) setSummary('🤖 Analyzing the best options for you...');
+    });
+
+    stream.addEventListener('ranked', (e) => {
+      setProducts(JSON.parse(e.data).items);
+    });
+
+    stream.addEventListener('verdict', (e) => {
+      setSummary(JSON.parse(e.data).summary || 'Search complete!');
+    });
+
+    // The full result is now cached server-side: switch to filtered pages
+    stream.addEventListener('done', async (e) => {
+      const { metadata } = JSON.parse(e.data);
+      console.log('✅ Found', metadata.totalResults, 'products');
+      finish();
+      if (metadata.totalResults === 0) return;
+
+      try {
+        await fetchPages(searchQuery, pageCount);
+      } catch (error) {
+        console.error('Page load error:', error);
+      }
+    });
+
+    stream.addEventListener('failed', (e) => {
+      const { message } = JSON.parse(e.data);
+      setSummary(`Unable to fetch results. Error: ${message}`);
+      finish();
+    });
+
+    // Connection-level error: retry once over plain HTTP if nothing arrived yet
+    stream.onerror = async () => {
+      if (streamRef.current !== stream) return;
+      finish();
+      if (received) return;
+
+      setLoading(true);
+      try {
+        await fetchPages(searchQuery, pageCount);
+      } catch (error) {
+        console.error('Search Error:', error);
+        setSummary(`Unable to fetch results. Error: ${error.message}. Make sure your backend is running at ${API_URL}`);
+      } finally {
+        setLoading(false);
+      }
+    };
+  };
+
+  // Re-query the server whenever filters change (debounced for typing)
+  useEffect(() => {
+    if (!searchedQuery || loading) return;
+    const timer = setTimeout(() => {
+      fetchProducts(searchedQuery)
+        .then(() => setPages(1))
+        .catch(error => console.error('Filter error:', error));
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [filters]);
+
+  // URL -> state: runs on load and on back/forward
+  useEffect(() => {
+    const urlQuery = (location.params.get('q') || '').trim();
+    const urlFilters = filtersFromParams(location.params);
+
+    if (!sameFilters(urlFilters, filters)) setFilters(urlFilters);
+
+    if (!urlQuery) {
+      if (searchedQuery) resetSearch();
+    } else if (urlQuery !== searchedQuery) {
+      runSearch(urlQuery, Math.max(1, Number(location.params.get('page')) || 1));
+    }
+  }, [location]);
+
+  // State -> URL: filter and page changes update the current entry, so
+  // back/forward steps between searches rather than slider positions
+  useEffect(() => {
+    if (!searchedQuery || loading || pages === 0) return;
+    navigate('/', toSearchParams(searchedQuery, filters, pages), { replace: true });
+  }, [searchedQuery, filters, pages, loading]);
+
+  // Infinite scroll: fetch the next page when the sentinel comes into view
+  const sentinelRef = useRef(null);
+
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !nextCursor) return;
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) loadMore();
+    }, { rootMargin: '400px' });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [nextCursor, loadingMore, loading, searchedQuery]);
+
+  const resetFilters = () => {
+    setFilters(personalFilters(profile));
   };
 
-  const goToComparePage = () => {
-    window.location.href = './compare.html';
+  // Without IDs the comparison page starts from the compare tray
+  const goToComparePage = (ids) => {
+    navigate('/compare', { ids: Array.isArray(ids) ? ids.join(',') : null });
   };
 
-  const goToHome = () => {
+  const resetSearch = () => {
+    streamRef.current?.close();
     setQuery('');
+    setSearchedQuery('');
     setProducts([]);
+    setNextCursor(null);
+    setPages(0);
     setSummary('');
     setShowWelcome(true);
   };
 
-const addToCart = async (product) => {
-    if (!isSignedIn) {
-      alert("Please sign in to add items to cart");
-      return;
-    }
+  const goToHome = () => {
+    navigate('/');
+  };
 
+const addToCart = async (product) => {
     try {
-      await addItemMutation({
-        id: product.id,
-        productId: product.id,
-        title: product.title,
-        name: product.title,
-        price: product.price,
-        quantity: 1,
-        image: product.image,
-        link: product.link,
-        store: product.store,
-        rating: product.rating,
-      });
+      if (!isSignedIn) {
+        guestCart.add(product);
+        return;
+      }
+      // The server stamps the add/snapshot times itself
+      const { priceAtAdd, addedAt, snapshotAt, ...item } = toCartItem(product);
+      await addItemMutation(item);
     } catch (error) {
       console.error("Error adding to cart:", error);
       alert("Failed to add item to cart");
     }
   };
 
-  const removeFromCart = async (productId) => {
-    if (!isSignedIn) return;
+  const removeFromCart = async ({ productId, productKey }) => {
+    if (!isSignedIn) {
+      guestCart.remove({ productId, productKey });
+      return;
+    }
     try {
-      await removeItemMutation({ productId });
+      await removeItemMutation({ productId, productKey });
     } catch (error) {
       console.error("Error removing from cart:", error);
     }
   };
 
-  const updateQuantity = async (productId, newQuantity) => {
-    if (!isSignedIn) return;
+  const updateQuantity = async ({ productId, productKey }, newQuantity) => {
+    if (!isSignedIn) {
+      guestCart.updateQuantity({ productId, productKey }, newQuantity);
+      return;
+    }
     try {
-      await updateQuantityMutation({ productId, quantity: newQuantity });
+      await updateQuantityMutation({ productId, productKey, quantity: newQuantity });
     } catch (error) {
       console.error("Error updating quantity:", error);
     }
   };
+  // Re-checks cart prices with the stores. Returns the number of changed
+  // prices, or null when the check was skipped or failed (the stored prices
+  // are kept in that case).
+  const [checkingPrices, setCheckingPrices] = useState(false);
+  const lastPriceCheck = useRef(0);
+  const revalidateCart = async ({ force = false } = {}) => {
+    if (cart.length === 0 || checkingPrices) return null;
+    if (!force && Date.now() - lastPriceCheck.current < PRICE_CHECK_INTERVAL_MS) return null;
+
+    setCheckingPrices(true);
+    try {
+      let result;
+      if (isSignedIn) {
+        result = await revalidateCartAction();
+      } else {
+        const response = await fetch(`${API_URL}/cart/revalidate`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            items: cart.map(({ productId, productKey, title, store, price }) => ({ productId, productKey, title, store, price }))
+          })
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const { items } = await response.json();
+        result = guestCart.applyPriceChecks(items);
+      }
+      lastPriceCheck.current = Date.now();
+      return result.changed;
+    } catch (error) {
+      console.error("Error checking cart prices:", error);
+      return null;
+    } finally {
+      setCheckingPrices(false);
+    }
+  };
+
+  // Stops a share/checkout that would use prices which just changed, so the
+  // user sees the updated cart first
+  const confirmCurrentPrices = async () => {
+    const changed = await revalidateCart({ force: true });
+    if (changed > 0) {
+      alert(`${changed} price(s) in your cart changed since you added them. Review the updated cart and try again.`);
+      return false;
+    }
+    return true;
+  };
+
   const clearCart = async () => {
-    if (!isSignedIn) return;
+    if (!isSignedIn) {
+      guestCart.clear();
+      return;
+    }
     try {
       await clearCartMutation();
     } catch (error) {
@@ -198,45 +460,87 @@ const addToCart = async (product) => {
     }
   };
 
+  const isWatched = (product) => watches.some(w => w.productKey === product.productKey);
+
+  const watchProduct = async (product) => {
+    if (!isSignedIn) {
+      alert("Please sign in to watch prices");
+      return;
+    }
+    if (!product.productKey) {
+      alert("This product can't be tracked");
+      return;
+    }
+
+    const suggested = Math.floor(product.price * 0.9);
+    const input = window.prompt(`Alert me when "${product.title.slice(0, 60)}" drops to (₹):`, suggested);
+    if (input === null) return;
+
+    const targetPrice = Number(String(input).replace(/[₹,\s]/g, ''));
+    if (!targetPrice || targetPrice <= 0) {
+      alert("Please enter a valid target price");
+      return;
+    }
+
+    try {
+      await addWatchMutation({
+        productKey: product.productKey,
+        title: product.title,
+        store: product.store,
+        link: product.link,
+        image: product.image || undefined,
+        price: product.price,
+        targetPrice,
+      });
+    } catch (error) {
+      console.error("Error adding watch:", error);
+      alert("Failed to watch this product");
+    }
+  };
+
+  const removeWatch = async (watchId) => {
+    try {
+      await removeWatchMutation({ watchId });
+    } catch (error) {
+      console.error("Error removing watch:", error);
+    }
+  };
+
   const getTotalPrice = () => cart.reduce((total, item) => total + (item.price * item.quantity), 0);
   const getTotalItems = () => cart.reduce((total, item) => total + item.quantity, 0);
+  // How much the total moved since the items were added (positive = more expensive)
+  const getPriceDelta = () => cart.reduce((total, item) => total + ((item.price - (item.priceAtAdd ?? item.price)) * item.quantity), 0);
 
+  // Hands the cart over to the stores: per-store cart links, plus the order
+  // summary for the automation webhook if the backend has one configured
+  const [checkoutOrder, setCheckoutOrder] = useState(null);
+  const [checkingOut, setCheckingOut] = useState(false);
   const handleCheckout = async () => {
-    if (cart.length === 0) return;
-    
-    const checkoutData = {
-      items: cart,
-      totalAmount: getTotalPrice(),
-      placeholderUserData: PLACEHOLDER_USER_DATA 
-    };
+    if (cart.length === 0 || checkingOut) return;
+    if (!(await confirmCurrentPrices())) return;
 
+    setCheckingOut(true);
     try {
-      const response = await fetch(N8N_WEBHOOK_URL, {
+      const response = await fetch(`${API_URL}/checkout`, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(checkoutData),
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          items: cart.map(({ productId, productKey, title, store, price, quantity, link }) => ({ productId, productKey, title, store, price, quantity, link })),
+          shippingAddress: isSignedIn ? profile?.defaultAddress : undefined,
+          // Store prices are INR and nothing converts them
+          currency: 'INR'
+        })
       });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || `HTTP ${response.status}`);
 
-      if (response.ok) {
-        const htmlContent = await response.text();
-        
-        const newWindow = window.open('', '_blank');
-        if (newWindow) {
-          newWindow.document.write(htmlContent);
-          newWindow.document.close();
-          setShowCart(false);
-          clearCart(); 
-        } else {
-          alert('Could not open a new window. Please allow pop-ups.');
-        }
-      } else {
-        alert(`Checkout Automation Failed. n8n Status: ${response.status}. Check n8n logs.`);
-      }
+      setShowCart(false);
+      setCheckoutOrder(data.order);
     } catch (error) {
-      console.error('Checkout failed to connect to n8n:', error);
-      alert('Error connecting to the n8n workflow. Ensure n8n is running and the URL is correct.');
+      console.error('Checkout failed:', error);
+      alert(`Checkout failed: ${error.message}`);
+    } finally {
+      setCheckingOut(false);
     }
   };
 
@@ -293,12 +597,38 @@ const addToCart = async (product) => {
                   </span>
                 )}
               </button>
+              <SignedIn>
+                <button
+                  onClick={() => setShowProfile(true)}
+                  className={`p-2 backdrop-blur-lg rounded-xl font-semibold transition-all ${isDarkMode ? 'bg-gray-700/50 text-white hover:bg-gray-600/50' : 'bg-white/20 text-white hover:bg-white/30'}`}
+                  title="Addresses and preferences"
+                >
+                  <UserCog className="w-5 h-5" />
+                </button>
+                <button
+                  onClick={() => setShowWatchlist(!showWatchlist)}
+                  className={`relative p-2 backdrop-blur-lg rounded-xl font-semibold transition-all ${isDarkMode ? 'bg-gray-700/50 text-white hover:bg-gray-600/50' : 'bg-white/20 text-white hover:bg-white/30'}`}
+                  title="Price Watchlist"
+                >
+                  <Bell className="w-5 h-5" />
+                  {watches.some(w => w.triggered) && (
+                    <span className="absolute -top-2 -right-2 w-6 h-6 bg-green-500 text-white rounded-full text-xs flex items-center justify-center font-bold animate-pulse">
+                      {watches.filter(w => w.triggered).length}
+                    </span>
+                  )}
+                </button>
+              </SignedIn>
               <button
-                onClick={goToComparePage}
+                onClick={() => goToComparePage()}
                 className={`flex items-center gap-2 px-4 py-2 backdrop-blur-lg rounded-xl font-semibold transition-all ${isDarkMode ? 'bg-gray-700/50 text-white hover:bg-gray-600/50' : 'bg-white/20 text-white hover:bg-white/30'}`}
               >
                 <ArrowRight className="w-5 h-5" />
                 Compare
+                {compareTray.tray.length > 0 && (
+                  <span className="w-6 h-6 bg-pink-500 text-white rounded-full text-xs flex items-center justify-center font-bold">
+                    {compareTray.tray.length}
+                  </span>
+                )}
               </button>
              
               <div className="flex items-center gap-2 px-4 py-2 backdrop-blur-lg rounded-xl font-semibold transition-all text-white">💰Save time, Save Money💸</div>
@@ -328,6 +658,90 @@ const addToCart = async (product) => {
         </div>
       </header>
 
+      {showProfile && profile && (
+        <ProfileSettings profile={profile} isDarkMode={isDarkMode} onClose={() => setShowProfile(false)} />
+      )}
+
+      {showWatchlist && (
+        <div className="fixed inset-0 z-[60] bg-black/50 backdrop-blur-sm" onClick={() => setShowWatchlist(false)}>
+          <div 
+            className={`absolute right-0 top-0 h-full w-full max-w-md shadow-2xl overflow-y-auto transition-colors duration-300 ${isDarkMode ? 'bg-gray-800' : 'bg-white'}`}
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="p-6">
+              <div className="flex items-center justify-between mb-6">
+                <h2 className={`text-2xl font-bold ${isDarkMode ? 'text-white' : 'text-gray-800'}`}>Price Watchlist</h2>
+                <button 
+                  onClick={() => setShowWatchlist(false)} 
+                  className={`p-2 rounded-full transition-colors ${isDarkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-100'}`}
+                >
+                  <X className={`w-6 h-6 ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`} />
+                </button>
+              </div>
+
+              {alerts.length > 0 && (
+                <div className="mb-6 space-y-2">
+                  <h3 className={`text-sm font-semibold uppercase tracking-wide ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>Recent Alerts</h3>
+                  {alerts.slice(0, 5).map((alertItem) => (
+                    <a
+                      key={alertItem._id}
+                      href={alertItem.link}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="block rounded-xl p-3 bg-green-50 border border-green-200 hover:bg-green-100 transition-colors"
+                    >
+                      <p className="text-sm font-semibold text-green-800 line-clamp-1">{alertItem.title}</p>
+                      <p className="text-xs text-green-700">
+                        Dropped to ₹{alertItem.price.toLocaleString('en-IN')} at {alertItem.store} · {new Date(alertItem.triggeredAt).toLocaleDateString('en-IN')}
+                      </p>
+                    </a>
+                  ))}
+                </div>
+              )}
+
+              {watches.length === 0 ? (
+                <div className="text-center py-12">
+                  <Bell className={`w-16 h-16 mx-auto mb-4 ${isDarkMode ? 'text-gray-600' : 'text-gray-300'}`} />
+                  <p className={`text-lg ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>You're not watching anything yet</p>
+                  <p className={`text-sm mt-2 ${isDarkMode ? 'text-gray-500' : 'text-gray-400'}`}>Tap the bell on a product to get notified when it drops to your price.</p>
+                </div>
+              ) : (
+                <div className="space-y-4">
+                  {watches.map((watch) => (
+                    <div key={watch._id} className={`rounded-xl p-4 transition-colors ${isDarkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
+                      <div className="flex gap-4">
+                        <img 
+                          src={watch.image || 'https://via.placeholder.com/80?text=No+Image'} 
+                          alt={watch.title}
+                          className="w-16 h-16 object-contain rounded-lg"
+                        />
+                        <div className="flex-1 min-w-0">
+                          <a href={watch.link} target="_blank" rel="noopener noreferrer" className={`font-semibold text-sm line-clamp-2 mb-1 hover:underline ${isDarkMode ? 'text-white' : 'text-gray-800'}`}>{watch.title}</a>
+                          <p className={`text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>{watch.store}</p>
+                          <div className="flex items-center gap-3 mt-1 text-sm">
+                            <span className={watch.triggered ? 'text-green-600 font-bold' : (isDarkMode ? 'text-white' : 'text-gray-800')}>
+                              Now ₹{(watch.lastPrice ?? watch.priceAtAdd).toLocaleString('en-IN')}
+                            </span>
+                            <span className="text-purple-600 dark:text-purple-400">Target ₹{watch.targetPrice.toLocaleString('en-IN')}</span>
+                          </div>
+                        </div>
+                        <button
+                          onClick={() => removeWatch(watch._id)}
+                          className="self-start text-red-500 hover:text-red-700 transition-colors"
+                          title="Stop watching"
+                        >
+                          <Trash2 className="w-5 h-5" />
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
       {showCart && (
         <div className="fixed inset-0 z-[60] bg-black/50 backdrop-blur-sm" onClick={() => setShowCart(false)}>
           <div 
@@ -359,7 +773,7 @@ const addToCart = async (product) => {
                 <>
                   <div className="space-y-4 mb-6">
                     {cart.map((item) => (
-                      <div key={item.id} className={`rounded-xl p-4 transition-colors ${isDarkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
+                      <div key={item.productId} className={`rounded-xl p-4 transition-colors ${isDarkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
                         <div className="flex gap-4">
                           <img 
                             src={item.image || 'https://via.placeholder.com/80?text=No+Image'} 
@@ -368,49 +782,85 @@ const addToCart = async (product) => {
                           />
                           <div className="flex-1">
                             <h3 className={`font-semibold text-sm line-clamp-2 mb-2 ${isDarkMode ? 'text-white' : 'text-gray-800'}`}>{item.title}</h3>
-                            <p className="text-purple-600 dark:text-purple-400 font-bold mb-2">₹{item.price.toLocaleString('en-IN')}</p>
+                            <div className="flex items-center gap-2 mb-2">
+                              <p className="text-purple-600 dark:text-purple-400 font-bold">₹{item.price.toLocaleString('en-IN')}</p>
+                              {item.store && (
+                                <span className="bg-gradient-to-r from-purple-500 to-pink-500 text-white px-2 py-0.5 rounded-full text-xs font-semibold">{item.store}</span>
+                              )}
+                            </div>
+                            {(item.availability === 'out_of_stock' || (item.priceAtAdd && item.price !== item.priceAtAdd)) && (
+                              <div className="flex flex-wrap items-center gap-2 mb-2">
+                                {item.priceAtAdd && item.price > item.priceAtAdd && (
+                                  <span className="flex items-center gap-1 bg-red-100 text-red-700 px-2 py-0.5 rounded-full text-xs font-semibold">
+                                    <TrendingUp className="w-3 h-3" /> Price went up ₹{(item.price - item.priceAtAdd).toLocaleString('en-IN')} since you added it
+                                  </span>
+                                )}
+                                {item.priceAtAdd && item.price < item.priceAtAdd && (
+                                  <span className="flex items-center gap-1 bg-green-100 text-green-700 px-2 py-0.5 rounded-full text-xs font-semibold">
+                                    <TrendingDown className="w-3 h-3" /> Price went down ₹{(item.priceAtAdd - item.price).toLocaleString('en-IN')} since you added it
+                                  </span>
+                                )}
+                                {item.availability === 'out_of_stock' && (
+                                  <span className="flex items-center gap-1 bg-yellow-100 text-yellow-800 px-2 py-0.5 rounded-full text-xs font-semibold">
+                                    <AlertTriangle className="w-3 h-3" /> Out of stock
+                                  </span>
+                                )}
+                              </div>
+                            )}
                             <div className="flex items-center gap-2">
                               <button
-                                onClick={() => updateQuantity(item.id, item.quantity - 1)}
+                                onClick={() => updateQuantity(item, item.quantity - 1)}
                                 className={`w-8 h-8 rounded-lg border flex items-center justify-center transition-colors ${isDarkMode ? 'bg-gray-600 border-gray-500 hover:bg-gray-500' : 'bg-white border-gray-300 hover:bg-gray-50'}`}
                               >
                                 <Minus className="w-4 h-4" />
                               </button>
                               <span className={`w-8 text-center font-semibold ${isDarkMode ? 'text-white' : 'text-gray-800'}`}>{item.quantity}</span>
                               <button
-                                onClick={() => updateQuantity(item.id, item.quantity + 1)}
-                                className={`w-8 h-8 rounded-lg border flex items-center justify-center transition-colors ${isDarkMode ? 'bg-gray-600 border-gray-500 hover:bg-gray-500' : 'bg-white border-gray-300 hover:bg-gray-50'}`}
+                                onClick={() => updateQuantity(item, item.quantity + 1)}
+                                disabled={item.quantity >= MAX_CART_QUANTITY}
+                                className={`w-8 h-8 rounded-lg border flex items-center justify-center transition-colors disabled:opacity-50 ${isDarkMode ? 'bg-gray-600 border-gray-500 hover:bg-gray-500' : 'bg-white border-gray-300 hover:bg-gray-50'}`}
                               >
                                 <Plus className="w-4 h-4" />
                               </button>
                               <button
-                                onClick={() => removeFromCart(item.id)}
+                                onClick={() => removeFromCart(item)}
                                 className="ml-auto text-red-500 hover:text-red-700 transition-colors"
                               >
                                 <Trash2 className="w-5 h-5" />
                               </button>
                             </div>
-                            <div className="mt-2">
-                              <a
-                                href={item.link} 
-                                target="_blank"
-                                rel="noopener noreferrer"
-                                className={`px-4 py-2 rounded-xl font-semibold transition-all flex items-center justify-center gap-2 mt-2 w-full ${isDarkMode ? 'bg-gray-700 text-white hover:bg-gray-600' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
-                                title="View Deal"
-                              >
-                                <ExternalLink className="w-4 h-4" />
-                              </a>
-                            </div>
+                            {item.link && (
+                              <div className="mt-2">
+                                <a
+                                  href={item.link} 
+                                  target="_blank"
+                                  rel="noopener noreferrer"
+                                  className={`px-4 py-2 rounded-xl font-semibold transition-all flex items-center justify-center gap-2 mt-2 w-full ${isDarkMode ? 'bg-gray-700 text-white hover:bg-gray-600' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+                                  title="View Deal"
+                                >
+                                  <ExternalLink className="w-4 h-4" />
+                                </a>
+                              </div>
+                            )}
                           </div>
                         </div>
                       </div>
                     ))}
                   </div>
+                  {cart.length > 1 && <CartOptimizer cart={cart} isSignedIn={isSignedIn} isDarkMode={isDarkMode} preferredStores={profile?.preferredStores || []} />}
                   <div className={`border-t pt-4 transition-colors ${isDarkMode ? 'border-gray-700' : 'border-gray-200'}`}>
                     <div className="flex justify-between items-center mb-4">
                       <span className={`text-lg font-semibold ${isDarkMode ? 'text-white' : 'text-gray-800'}`}>Total:</span>
                       <span className="text-2xl font-bold text-purple-600 dark:text-purple-400">₹{getTotalPrice().toLocaleString('en-IN')}</span>
                     </div>
+                    {getPriceDelta() !== 0 && (
+                      <p className={`text-sm font-semibold text-right -mt-3 mb-4 ${getPriceDelta() > 0 ? 'text-red-600' : 'text-green-600'}`}>
+                        ₹{Math.abs(getPriceDelta()).toLocaleString('en-IN')} {getPriceDelta() > 0 ? 'more' : 'less'} than when you added these items
+                      </p>
+                    )}
+                    {checkingPrices && (
+                      <p className={`text-xs text-right -mt-2 mb-4 ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>Checking current prices…</p>
+                    )}
                     
 
                    <button
@@ -419,6 +869,7 @@ const addToCart = async (product) => {
       alert('Your cart is empty — add some items first.');
       return;
     }
+    if (!(await confirmCurrentPrices())) return;
 
     const lines = [];
     lines.push('🛒 Findlee — Shared Cart');
@@ -465,6 +916,14 @@ const addToCart = async (product) => {
 
 
 
+                    <button
+                      onClick={handleCheckout}
+                      disabled={checkingOut || getTotalItems() === 0}
+                      className="w-full py-3 mb-3 rounded-xl font-semibold transition-all bg-gradient-to-r from-purple-600 to-pink-600 text-white hover:from-purple-700 hover:to-pink-700 disabled:opacity-50 flex items-center justify-center gap-2"
+                    >
+                      <ShoppingBag className="w-5 h-5" /> {checkingOut ? 'Preparing checkout…' : 'Checkout'}
+                    </button>
+
                     <button 
                       onClick={clearCart}
                       className={`w-full py-3 mb-3 rounded-xl font-semibold transition-all ${isDarkMode ? 'bg-gray-700 text-white hover:bg-gray-600' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
@@ -479,6 +938,18 @@ const addToCart = async (product) => {
         </div>
       )}
 
+      {checkoutOrder && (
+        <CheckoutConfirmation
+          order={checkoutOrder}
+          isDarkMode={isDarkMode}
+          onClose={() => setCheckoutOrder(null)}
+          onClearCart={() => {
+            clearCart();
+            setCheckoutOrder(null);
+          }}
+        />
+      )}
+
       {showWelcome && (
         <div className="max-w-4xl mx-auto px-4 py-8 text-center animate-fade-in">
           <h2 className="text-5xl font-bold text-white mb-6">
@@ -631,7 +1102,7 @@ const addToCart = async (product) => {
         </div>
       )}
 
-      {!showWelcome && filteredProducts.length > 0 && (
+      {!showWelcome && products.length > 0 && (
         <div className="max-w-7xl mx-auto px-4 mb-6">
           <div className={`backdrop-blur-lg rounded-2xl p-4 border flex items-center justify-between transition-colors ${isDarkMode ? 'bg-gray-800/50 border-gray-700' : 'bg-white/10 border-white/20'}`}>
             <div className="flex items-center gap-3">
@@ -644,7 +1115,7 @@ const addToCart = async (product) => {
               </div>
             </div>
             <button
-              onClick={goToComparePage}
+              onClick={() => goToComparePage()}
               className={`px-6 py-3 rounded-xl font-semibold hover:shadow-2xl transition-all flex items-center gap-2 ${isDarkMode ? 'bg-gray-700 text-white hover:bg-gray-600' : 'bg-white text-purple-600'}`}
             >
               <ArrowRight className="w-5 h-5" />
@@ -657,18 +1128,25 @@ const addToCart = async (product) => {
       {!showWelcome && (
         <div className="max-w-7xl mx-auto px-4 pb-16">
           <div className="flex items-center justify-between mb-6">
-            <h3 className="text-white text-xl font-semibold">{filteredProducts.length} Products Found</h3>
+            <h3 className="text-white text-xl font-semibold">{totalResults || products.length} Products Found</h3>
           </div>
 
           <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
-            {filteredProducts.map((product) => (
+            {products.map((product) => (
               <div key={product.id} className={`rounded-2xl shadow-xl overflow-hidden hover:shadow-2xl transition-all hover:-translate-y-1 group ${isDarkMode ? 'bg-gray-800' : 'bg-white'}`}>
                 <div className="relative">
                   <img src={product.image || 'https://via.placeholder.com/300x300?text=No+Image'} alt={product.title} className="w-full h-48 object-cover" />
                   <div className="absolute top-3 right-3 bg-gradient-to-r from-purple-500 to-pink-500 text-white px-3 py-1 rounded-full text-xs font-semibold">{product.store}</div>
-                  {product.discount > 0 && (
+                  {product.discount > 0 && (product.discountCheck?.suspicious ? (
+                    <div
+                      className="absolute top-3 left-3 bg-amber-500 text-white px-3 py-1 rounded-full text-xs font-bold"
+                      title={`Claimed ${product.discount}% off, but the MRP looks inflated. Real saving is about ${product.discountCheck.verifiedDiscount}%.`}
+                    >
+                      ⚠️ {product.discount}% OFF?
+                    </div>
+                  ) : (
                     <div className="absolute top-3 left-3 bg-green-500 text-white px-3 py-1 rounded-full text-xs font-bold">{product.discount}% OFF</div>
-                  )}
+                  ))}
                 </div>
                 <div className="p-4">
                   <h3 className={`font-semibold mb-2 line-clamp-2 h-12 ${isDarkMode ? 'text-white' : 'text-gray-800'}`}>{product.title}</h3>
@@ -690,10 +1168,47 @@ const addToCart = async (product) => {
                     <Package className={`w-4 h-4 ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`} />
                     <span className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>{product.shipping || 'Free Shipping'}</span>
                   </div>
+                  {product.offers?.length > 1 && (
+                    <div className={`mb-3 rounded-xl p-2 text-xs space-y-1 ${isDarkMode ? 'bg-gray-700/50' : 'bg-gray-50'}`}>
+                      <p className={`font-semibold ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>{product.offers.length} offers from {product.storeCount} stores</p>
+                      {product.offers.slice(0, 4).map((offer) => (
+                        <a
+                          key={offer.id}
+                          href={offer.link}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className={`flex justify-between hover:underline ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}
+                        >
+                          <span>{offer.store}</span>
+                          <span className="font-semibold">₹{offer.price.toLocaleString('en-IN')}</span>
+                        </a>
+                      ))}
+                    </div>
+                  )}
+                  <label
+                    className={`flex items-center gap-2 mb-3 text-sm font-medium select-none ${compareTray.isFull && !compareTray.isInTray(product) ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'} ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}
+                    title={compareTray.isFull && !compareTray.isInTray(product) ? `You can compare up to ${MAX_COMPARE_PRODUCTS} products` : 'Add to comparison'}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={compareTray.isInTray(product)}
+                      disabled={compareTray.isFull && !compareTray.isInTray(product)}
+                      onChange={() => compareTray.toggle(product)}
+                      className="w-4 h-4 accent-purple-600"
+                    />
+                    Compare
+                  </label>
                   <div className="flex gap-2">
                     <button onClick={() => addToCart(product)} className="flex-1 px-4 py-2 bg-gradient-to-r from-purple-600 to-pink-600 text-white rounded-xl font-semibold hover:from-purple-700 hover:to-pink-700 transition-all flex items-center justify-center gap-2">
                       <ShoppingCart className="w-4 h-4" /> Add to Cart
                     </button>
+                    <button
+                      onClick={() => watchProduct(product)}
+                      className={`px-4 py-2 rounded-xl font-semibold transition-all flex items-center justify-center ${isWatched(product) ? 'bg-yellow-400 text-white hover:bg-yellow-500' : (isDarkMode ? 'bg-gray-700 text-white hover:bg-gray-600' : 'bg-gray-100 text-gray-700 hover:bg-gray-200')}`}
+                      title={isWatched(product) ? 'Change target price' : 'Watch price'}
+                    >
+                      <Bell className="w-4 h-4" />
+                    </button>
                     <a
                       href={product.link}
                       target="_blank"
@@ -709,7 +1224,14 @@ const addToCart = async (product) => {
             ))}
           </div>
 
-          {filteredProducts.length === 0 && !loading && (
+          <div ref={sentinelRef} className="h-1" />
+          {loadingMore && (
+            <div className="text-center py-6">
+              <div className="inline-block animate-spin rounded-full h-8 w-8 border-4 border-white border-t-transparent"></div>
+            </div>
+          )}
+
+          {products.length === 0 && !loading && (
             <div className={`text-center py-16 rounded-2xl ${isDarkMode ? 'bg-gray-800' : 'bg-white'}`}>
               <Search className={`w-16 h-16 mx-auto mb-4 ${isDarkMode ? 'text-gray-600' : 'text-gray-300'}`} />
               <p className={`text-xl ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>No products found matching your filters</p>
@@ -730,7 +1252,51 @@ const addToCart = async (product) => {
         </div>
       )}
 
-      <footer className={`${isDarkMode ? 'bg-gray-800/50 border-gray-700' : 'bg-white/10 border-white/20'} backdrop-blur-lg border-t py-6`}>
+      {/* Compare Tray */}
+      {compareTray.tray.length > 0 && (
+        <div className={`fixed bottom-0 inset-x-0 z-50 border-t shadow-2xl backdrop-blur-lg ${isDarkMode ? 'bg-gray-900/95 border-gray-700' : 'bg-white/95 border-gray-200'}`}>
+          <div className="max-w-7xl mx-auto px-4 py-3 flex items-center gap-4">
+            <div className={`flex items-center gap-2 font-semibold whitespace-nowrap ${isDarkMode ? 'text-white' : 'text-gray-800'}`}>
+              <Scale className="w-5 h-5 text-purple-600" />
+              Compare ({compareTray.tray.length}/{MAX_COMPARE_PRODUCTS})
+            </div>
+            <div className="flex-1 flex gap-3 overflow-x-auto">
+              {compareTray.tray.map((item) => (
+                <div key={item.id} className={`relative flex items-center gap-2 rounded-xl p-2 pr-8 min-w-[180px] max-w-[220px] ${isDarkMode ? 'bg-gray-800' : 'bg-gray-50'}`}>
+                  <img src={item.image || 'https://via.placeholder.com/80?text=No+Image'} alt={item.title} className="w-10 h-10 object-cover rounded-lg flex-shrink-0" />
+                  <div className="min-w-0">
+                    <p className={`text-xs font-semibold truncate ${isDarkMode ? 'text-white' : 'text-gray-800'}`}>{item.title}</p>
+                    <p className={`text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>₹{item.price?.toLocaleString('en-IN')} · {item.store}</p>
+                  </div>
+                  <button
+                    onClick={() => compareTray.remove(item.id)}
+                    className="absolute top-1 right-1 p-1 text-gray-400 hover:text-red-500 transition-colors"
+                    title="Remove from comparison"
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+            <button
+              onClick={compareTray.clear}
+              className={`px-4 py-2 rounded-xl font-semibold transition-all ${isDarkMode ? 'text-gray-300 hover:bg-gray-800' : 'text-gray-600 hover:bg-gray-100'}`}
+            >
+              Clear
+            </button>
+            <button
+              onClick={() => goToComparePage(compareTray.tray.map(compareLinkId))}
+              disabled={compareTray.tray.length < MIN_COMPARE_PRODUCTS}
+              className="px-6 py-2 bg-gradient-to-r from-purple-600 to-pink-600 text-white rounded-xl font-semibold hover:from-purple-700 hover:to-pink-700 transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2 whitespace-nowrap"
+              title={compareTray.tray.length < MIN_COMPARE_PRODUCTS ? `Select at least ${MIN_COMPARE_PRODUCTS} products` : 'Compare selected products'}
+            >
+              Compare Now <ArrowRight className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+      )}
+
+      <footer className={`${isDarkMode ? 'bg-gray-800/50 border-gray-700' : 'bg-white/10 border-white/20'} backdrop-blur-lg border-t py-6 ${compareTray.tray.length > 0 ? 'pb-24' : ''}`}>
         <div className="max-w-7xl mx-auto px-4 text-center text-white/80 text-sm">
           <p>© 2025 Findlee - Save Time, Save Money | Powered by AI</p>
           <a href='https://www.instagram.com/findl_ee/' target="_blank" rel="noopener noreferrer"> Instagram: Findl_ee</a>
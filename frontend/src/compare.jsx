@@ -1,10 +0,0 @@
-import React from 'react'
-import ReactDOM from 'react-dom/client'
-import ComparisonPage from './ComparisonPage'
-import './styles/tailwind.css'
-
-ReactDOM.createRoot(document.getElementById('root')).render(
-  <React.StrictMode>
-    <ComparisonPage />
-  </React.StrictMode>,
-)
\ No newline at end of file
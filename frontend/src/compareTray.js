@@ -0,0 +1,69 @@
+import { useState, useEffect } from 'react';
+
+// Products picked for comparison, shared between the search page and the
+// comparison page. Kept in localStorage so it survives reloads and works
+// without signing in.
+export const COMPARE_STORAGE_KEY = 'shopmate_products';
+export const MIN_COMPARE_PRODUCTS = 2;
+export const MAX_COMPARE_PRODUCTS = 5;
+
+// Fields the comparison needs; offers and ranking scores are left out
+const SNAPSHOT_FIELDS = ['id', 'productKey', 'title', 'price', 'originalPrice', 'discount', 'store', 'rating', 'reviews', 'image', 'link'];
+
+export const toCompareSnapshot = (product) =>
+  Object.fromEntries(SNAPSHOT_FIELDS.filter(field => product[field] != null).map(field => [field, product[field]]));
+
+// Shared /compare?ids= links name products by productKey: listing ids are
+// per-search and only resolve while the backend still caches that search
+export const compareLinkId = (product) => product.productKey || product.id;
+
+export const loadCompareTray = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(COMPARE_STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored.filter(p => p && p.id && p.title).slice(0, MAX_COMPARE_PRODUCTS) : [];
+  } catch (e) {
+    console.error('Error parsing stored products:', e);
+    return [];
+  }
+};
+
+const saveCompareTray = (products) => {
+  try {
+    localStorage.setItem(COMPARE_STORAGE_KEY, JSON.stringify(products));
+  } catch (e) {
+    console.error('Error saving compare tray:', e);
+  }
+};
+
+// Compare tray state, persisted and kept in sync across open tabs
+export const useCompareTray = () => {
+  const [tray, setTray] = useState(loadCompareTray);
+
+  useEffect(() => {
+    const onStorage = (e) => {
+      if (e.key === COMPARE_STORAGE_KEY) setTray(loadCompareTray());
+    };
+    window.addEventListener('storage', onStorage);
+    return () => window.removeEventListener('storage', onStorage);
+  }, []);
+
+  const update = (next) => {
+    setTray(next);
+    saveCompareTray(next);
+  };
+
+  const isInTray = (product) => tray.some(p => p.id === product.id);
+
+  const toggle = (product) => {
+    if (isInTray(product)) {
+      update(tray.filter(p => p.id !== product.id));
+    } else if (tray.length < MAX_COMPARE_PRODUCTS) {
+      update([...tray, toCompareSnapshot(product)]);
+    }
+  };
+
+  const remove = (productId) => update(tray.filter(p => p.id !== productId));
+  const clear = () => update([]);
+
+  return { tray, isInTray, toggle, remove, clear, isFull: tray.length >= MAX_COMPARE_PRODUCTS };
+};
@@ -0,0 +1,151 @@
+import React, { useState, useEffect } from 'react';
+import { useAction } from "convex/react";
+import { api } from "../../convex/_generated/api";
+import { Store, Truck, ExternalLink } from 'lucide-react';
+
+const API_URL = import.meta.env.REACT_APP_API_URL || 'http://localhost:4000/api';
+// Select value for the preferred stores saved in the user's profile
+const PROFILE_STORES = '__profile';
+
+// "Cheapest way to buy this cart": asks the backend which store to buy each
+// item from (counting delivery fees) and shows the per-store breakdown.
+// Signed-in carts go through the cart.optimizeCart Convex action; guest
+// carts are sent straight to the backend.
+function CartOptimizer({ cart, isSignedIn, isDarkMode, preferredStores = [] }) {
+  const optimizeCartAction = useAction(api.cart.optimizeCart);
+  const [maxStores, setMaxStores] = useState('');
+  const [preferStore, setPreferStore] = useState(preferredStores.length > 0 ? PROFILE_STORES : '');
+  const [plan, setPlan] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const stores = [...new Set(cart.map(item => item.store).filter(Boolean))];
+
+  // A plan is for the cart it was computed from
+  const cartSignature = cart.map(item => `${item.productId}:${item.quantity}`).join(',');
+  useEffect(() => { setPlan(null); }, [cartSignature]);
+
+  const optimize = async () => {
+    const constraints = {
+      maxStores: maxStores ? Number(maxStores) : undefined,
+      preferStores: preferStore === PROFILE_STORES ? preferredStores : preferStore ? [preferStore] : undefined
+    };
+
+    setLoading(true);
+    setError(null);
+    try {
+      if (isSignedIn) {
+        setPlan(await optimizeCartAction(constraints));
+      } else {
+        const response = await fetch(`${API_URL}/cart/optimize`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            items: cart.map(({ productId, productKey, title, store, price, quantity, link, availability }) =>
+              ({ productId, productKey, title, store, price, quantity, link, availability })),
+            ...constraints
+          })
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        setPlan((await response.json()).plan);
+      }
+    } catch (err) {
+      console.error('Error optimizing cart:', err);
+      setError('Could not work out store prices right now. Try again in a moment.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const selectClass = `flex-1 px-3 py-2 rounded-lg border text-sm ${isDarkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-800'}`;
+  const mutedText = isDarkMode ? 'text-gray-400' : 'text-gray-500';
+
+  return (
+    <div className={`rounded-xl p-4 mb-4 ${isDarkMode ? 'bg-gray-700/50' : 'bg-purple-50'}`}>
+      <h3 className={`font-semibold mb-3 flex items-center gap-2 ${isDarkMode ? 'text-white' : 'text-gray-800'}`}>
+        <Store className="w-4 h-4" /> Cheapest way to buy this cart
+      </h3>
+      <div className="flex gap-2 mb-3">
+        <select value={maxStores} onChange={(e) => setMaxStores(e.target.value)} className={selectClass}>
+          <option value="">Any number of stores</option>
+          <option value="1">1 store</option>
+          <option value="2">Max 2 stores</option>
+          <option value="3">Max 3 stores</option>
+        </select>
+        <select value={preferStore} onChange={(e) => setPreferStore(e.target.value)} className={selectClass}>
+          <option value="">No preference</option>
+          {preferredStores.length > 0 && <option value={PROFILE_STORES}>Prefer {preferredStores.join(', ')}</option>}
+          {stores.map(store => <option key={store} value={store}>Prefer {store}</option>)}
+        </select>
+      </div>
+      <button
+        onClick={optimize}
+        disabled={loading || cart.length === 0}
+        className="w-full py-2 rounded-xl font-semibold transition-all bg-gradient-to-r from-purple-600 to-pink-600 text-white hover:from-purple-700 hover:to-pink-700 disabled:opacity-50"
+      >
+        {loading ? 'Comparing stores…' : 'Find the cheapest split'}
+      </button>
+      {error && <p className="text-sm text-red-500 mt-2">{error}</p>}
+
+      {plan && !loading && (
+        <div className="mt-4 space-y-3">
+          {plan.stores.map(group => (
+            <div key={group.store} className={`rounded-lg p-3 ${isDarkMode ? 'bg-gray-800' : 'bg-white'}`}>
+              <div className="flex justify-between items-center mb-2">
+                <span className="bg-gradient-to-r from-purple-500 to-pink-500 text-white px-2 py-0.5 rounded-full text-xs font-semibold">{group.store}</span>
+                <span className={`font-bold ${isDarkMode ? 'text-white' : 'text-gray-800'}`}>₹{group.total.toLocaleString('en-IN')}</span>
+              </div>
+              <ul className="space-y-1 mb-2">
+                {group.items.map(item => (
+                  <li key={item.productId} className={`flex justify-between gap-2 text-xs ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                    <span className="line-clamp-1">
+                      {item.quantity > 1 && `${item.quantity} × `}{item.title}
+                      {!item.isCurrentStore && <span className="ml-1 text-green-600 font-semibold">(switch)</span>}
+                    </span>
+                    <span className="flex items-center gap-1 shrink-0">
+                      ₹{item.lineTotal.toLocaleString('en-IN')}
+                      {item.link && (
+                        <a href={item.link} target="_blank" rel="noopener noreferrer" title="View Deal">
+                          <ExternalLink className="w-3 h-3" />
+                        </a>
+                      )}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+              <p className={`text-xs flex items-center gap-1 ${mutedText}`}>
+                <Truck className="w-3 h-3" />
+                {!group.feesKnown
+                  ? 'Delivery fee not known'
+                  : group.deliveryFee > 0
+                    ? `₹${group.deliveryFee} delivery${group.amountToFreeShipping > 0 ? ` — add ₹${group.amountToFreeShipping.toLocaleString('en-IN')} for free delivery` : ''}`
+                    : 'Free delivery'}
+              </p>
+            </div>
+          ))}
+
+          {plan.unassigned.length > 0 && (
+            <p className="text-xs text-yellow-600">
+              Not available at the allowed stores: {plan.unassigned.map(item => item.title).join(', ')}
+            </p>
+          )}
+
+          <div className={`flex justify-between items-center text-sm font-semibold ${isDarkMode ? 'text-white' : 'text-gray-800'}`}>
+            <span>Total with delivery</span>
+            <span>₹{plan.totalCost.toLocaleString('en-IN')}</span>
+          </div>
+          {plan.savings > 0 && (
+            <p className="text-sm font-semibold text-green-600 text-right">
+              Saves ₹{plan.savings.toLocaleString('en-IN')} over buying as added
+            </p>
+          )}
+          {plan.savings !== null && plan.savings <= 0 && (
+            <p className={`text-sm text-right ${mutedText}`}>Your cart is already the cheapest option.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CartOptimizer;
@@ -0,0 +1,104 @@
+import React from 'react';
+import { CheckCircle, ExternalLink, ShoppingCart, X, AlertTriangle } from 'lucide-react';
+
+// Result of POST /api/checkout: one section per store with a button that
+// fills the store's cart (where supported) or links to each product page
+function CheckoutConfirmation({ order, isDarkMode, onClose, onClearCart }) {
+  const mutedText = isDarkMode ? 'text-gray-400' : 'text-gray-500';
+  const linkClass = `px-3 py-1.5 rounded-lg text-sm font-semibold transition-all flex items-center gap-2 ${isDarkMode ? 'bg-gray-700 text-white hover:bg-gray-600' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`;
+
+  return (
+    <div className="fixed inset-0 z-[70] bg-black/50 backdrop-blur-sm flex items-center justify-center p-4" onClick={onClose}>
+      <div
+        className={`w-full max-w-lg max-h-[90vh] overflow-y-auto rounded-2xl shadow-2xl p-6 ${isDarkMode ? 'bg-gray-800' : 'bg-white'}`}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h2 className={`text-2xl font-bold flex items-center gap-2 ${isDarkMode ? 'text-white' : 'text-gray-800'}`}>
+              <CheckCircle className="w-6 h-6 text-green-500" /> Ready to check out
+            </h2>
+            <p className={`text-xs mt-1 ${mutedText}`}>Order {order.orderId}</p>
+          </div>
+          <button onClick={onClose} className={`p-2 rounded-lg transition-colors ${isDarkMode ? 'hover:bg-gray-700 text-gray-300' : 'hover:bg-gray-100 text-gray-600'}`}>
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <p className={`text-sm mb-4 ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+          Finish your order on each store's site{order.stores.length > 1 ? ` (${order.stores.length} stores)` : ''}.
+        </p>
+
+        <div className="space-y-4 mb-4">
+          {order.stores.map(group => (
+            <div key={group.store} className={`rounded-xl p-4 ${isDarkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
+              <div className="flex justify-between items-center mb-2">
+                <span className="bg-gradient-to-r from-purple-500 to-pink-500 text-white px-2 py-0.5 rounded-full text-xs font-semibold">{group.store}</span>
+                <span className={`font-bold ${isDarkMode ? 'text-white' : 'text-gray-800'}`}>₹{group.subtotal.toLocaleString('en-IN')}</span>
+              </div>
+              <ul className="space-y-1 mb-3">
+                {group.items.map(item => (
+                  <li key={item.productId} className={`flex justify-between gap-2 text-sm ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                    <span className="line-clamp-1">{item.quantity > 1 && `${item.quantity} × `}{item.title}</span>
+                    <span className="shrink-0">₹{item.lineTotal.toLocaleString('en-IN')}</span>
+                  </li>
+                ))}
+              </ul>
+              {group.handoff.type === 'cart' && (
+                <a
+                  href={group.handoff.url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="w-full py-2 mb-2 rounded-xl font-semibold transition-all bg-gradient-to-r from-purple-600 to-pink-600 text-white hover:from-purple-700 hover:to-pink-700 flex items-center justify-center gap-2"
+                >
+                  <ShoppingCart className="w-4 h-4" /> Open {group.store} cart
+                </a>
+              )}
+              {(group.handoff.type === 'links' || group.handoff.notInCart) && (
+                <div className="flex flex-wrap gap-2">
+                  {group.handoff.links
+                    .filter(link => group.handoff.type === 'links' || group.handoff.notInCart.includes(link.productId))
+                    .map(link => (
+                      <a key={link.productId} href={link.url} target="_blank" rel="noopener noreferrer" className={linkClass} title={link.title}>
+                        <ExternalLink className="w-3 h-3" />
+                        <span className="max-w-[10rem] truncate">{link.title}</span>
+                      </a>
+                    ))}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <div className={`flex justify-between items-center border-t pt-4 mb-4 ${isDarkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+          <span className={`font-semibold ${isDarkMode ? 'text-white' : 'text-gray-800'}`}>Total ({order.itemCount} items)</span>
+          <span className="text-2xl font-bold text-purple-600 dark:text-purple-400">₹{order.total.toLocaleString('en-IN')}</span>
+        </div>
+
+        {order.shippingAddress && (
+          <p className={`text-sm mb-4 ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+            Ship to {order.shippingAddress.name}, {[order.shippingAddress.city, order.shippingAddress.pincode].filter(Boolean).join(' ')}.
+            The stores don't receive this address, so enter it at each store's checkout; delivery to this pincode isn't checked here.
+          </p>
+        )}
+
+        {order.automation.enabled && (
+          <p className={`text-xs mb-4 flex items-center gap-1 ${order.automation.delivered ? 'text-green-600' : 'text-yellow-600'}`}>
+            {order.automation.delivered
+              ? <><CheckCircle className="w-3 h-3" /> Order summary sent to your automation</>
+              : <><AlertTriangle className="w-3 h-3" /> Couldn't send the order summary to your automation ({order.automation.error})</>}
+          </p>
+        )}
+
+        <button
+          onClick={onClearCart}
+          className={`w-full py-3 rounded-xl font-semibold transition-all ${isDarkMode ? 'bg-gray-700 text-white hover:bg-gray-600' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+        >
+          Done — clear my cart
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default CheckoutConfirmation;
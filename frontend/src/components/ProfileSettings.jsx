@@ -0,0 +1,216 @@
+import React, { useState } from 'react';
+import { useMutation } from "convex/react";
+import { api } from "../../convex/_generated/api";
+import { X, MapPin, Trash2, Star, Plus } from 'lucide-react';
+
+// Stores with direct adapters or known delivery terms (backend config/stores.js)
+const KNOWN_STORES = ['Amazon', 'Flipkart', 'Croma', 'Reliance Digital'];
+const REGIONS = [['IN', 'India'], ['US', 'United States'], ['GB', 'United Kingdom']];
+// Store prices are INR and aren't converted (SUPPORTED_CURRENCIES in convex/profiles.js)
+const CURRENCIES = ['INR'];
+const SORT_LABELS = {
+  relevance: 'Most relevant',
+  price_low: 'Lowest price',
+  price_high: 'Highest price',
+  rating: 'Best rated',
+  discount: 'Biggest discount'
+};
+
+const emptyAddress = (region) => ({
+  label: '',
+  name: '',
+  addressLine1: '',
+  addressLine2: '',
+  city: '',
+  state: '',
+  pincode: '',
+  country: (REGIONS.find(([code]) => code === region) || REGIONS[0])[1],
+  phone: ''
+});
+
+// Saved addresses and shopping preferences (convex/profiles.js)
+function ProfileSettings({ profile, isDarkMode, onClose }) {
+  const saveAddress = useMutation(api.profiles.saveAddress);
+  const removeAddress = useMutation(api.profiles.removeAddress);
+  const setDefaultAddress = useMutation(api.profiles.setDefaultAddress);
+  const updatePreferences = useMutation(api.profiles.updatePreferences);
+  const [draft, setDraft] = useState(null);
+  const [error, setError] = useState(null);
+
+  const run = async (fn) => {
+    setError(null);
+    try {
+      await fn();
+      return true;
+    } catch (err) {
+      console.error('Error saving profile:', err);
+      setError(err.message.replace(/^.*Uncaught Error: /, '').split('\n')[0]);
+      return false;
+    }
+  };
+
+  const submitAddress = async (e) => {
+    e.preventDefault();
+    const { id, ...fields } = draft;
+    // Convex validators reject empty optional strings sent as ""
+    const address = Object.fromEntries(Object.entries(fields).filter(([, value]) => value.trim() !== ''));
+    if (await run(() => saveAddress({ id, address: { name: '', addressLine1: '', pincode: '', country: '', ...address } }))) {
+      setDraft(null);
+    }
+  };
+
+  const togglePreferredStore = (store) => {
+    const stores = profile.preferredStores.includes(store)
+      ? profile.preferredStores.filter(s => s !== store)
+      : [...profile.preferredStores, store];
+    run(() => updatePreferences({ preferredStores: stores }));
+  };
+
+  const panelClass = `rounded-xl p-4 mb-6 ${isDarkMode ? 'bg-gray-700' : 'bg-gray-50'}`;
+  const headingClass = `text-sm font-semibold uppercase tracking-wide mb-3 ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`;
+  const inputClass = `w-full px-3 py-2 rounded-lg border text-sm ${isDarkMode ? 'bg-gray-800 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-800'}`;
+  const textClass = isDarkMode ? 'text-white' : 'text-gray-800';
+
+  return (
+    <div className="fixed inset-0 z-[60] bg-black/50 backdrop-blur-sm" onClick={onClose}>
+      <div
+        className={`absolute right-0 top-0 h-full w-full max-w-md shadow-2xl overflow-y-auto transition-colors duration-300 ${isDarkMode ? 'bg-gray-800' : 'bg-white'}`}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="p-6">
+          <div className="flex items-center justify-between mb-6">
+            <h2 className={`text-2xl font-bold ${textClass}`}>Your Profile</h2>
+            <button
+              onClick={onClose}
+              className={`p-2 rounded-full transition-colors ${isDarkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-100'}`}
+            >
+              <X className={`w-6 h-6 ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`} />
+            </button>
+          </div>
+
+          {error && <p className="text-sm text-red-500 mb-4">{error}</p>}
+
+          <h3 className={headingClass}>Delivery addresses</h3>
+          <div className="space-y-3 mb-3">
+            {profile.addresses.map(address => (
+              <div key={address.id} className={`rounded-xl p-4 ${isDarkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
+                <div className="flex justify-between gap-2">
+                  <div className={`text-sm ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                    <p className={`font-semibold flex items-center gap-2 ${textClass}`}>
+                      <MapPin className="w-4 h-4" /> {address.label || address.name}
+                      {profile.defaultAddress?.id === address.id && (
+                        <span className="bg-purple-100 text-purple-700 px-2 py-0.5 rounded-full text-xs">Default</span>
+                      )}
+                    </p>
+                    <p>{address.name}, {address.addressLine1}{address.addressLine2 && `, ${address.addressLine2}`}</p>
+                    <p>{[address.city, address.state, address.pincode].filter(Boolean).join(', ')} · {address.country}</p>
+                  </div>
+                  <div className="flex flex-col gap-2 shrink-0">
+                    {profile.defaultAddress?.id !== address.id && (
+                      <button onClick={() => run(() => setDefaultAddress({ id: address.id }))} title="Make default" className="text-purple-500 hover:text-purple-700">
+                        <Star className="w-4 h-4" />
+                      </button>
+                    )}
+                    <button onClick={() => run(() => removeAddress({ id: address.id }))} title="Remove" className="text-red-500 hover:text-red-700">
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+                <button
+                  onClick={() => setDraft({ ...emptyAddress(profile.region), ...address })}
+                  className="text-xs text-purple-500 hover:text-purple-700 mt-2"
+                >
+                  Edit
+                </button>
+              </div>
+            ))}
+          </div>
+
+          {draft ? (
+            <form onSubmit={submitAddress} className={`${panelClass} space-y-2`}>
+              <input className={inputClass} placeholder="Label (Home, Work…)" value={draft.label} onChange={(e) => setDraft({ ...draft, label: e.target.value })} />
+              <input className={inputClass} placeholder="Full name" required value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} />
+              <input className={inputClass} placeholder="Address line 1" required value={draft.addressLine1} onChange={(e) => setDraft({ ...draft, addressLine1: e.target.value })} />
+              <input className={inputClass} placeholder="Address line 2" value={draft.addressLine2} onChange={(e) => setDraft({ ...draft, addressLine2: e.target.value })} />
+              <div className="flex gap-2">
+                <input className={inputClass} placeholder="City" value={draft.city} onChange={(e) => setDraft({ ...draft, city: e.target.value })} />
+                <input className={inputClass} placeholder="State" value={draft.state} onChange={(e) => setDraft({ ...draft, state: e.target.value })} />
+              </div>
+              <div className="flex gap-2">
+                <input className={inputClass} placeholder="Pincode" required value={draft.pincode} onChange={(e) => setDraft({ ...draft, pincode: e.target.value })} />
+                <input className={inputClass} placeholder="Country" required value={draft.country} onChange={(e) => setDraft({ ...draft, country: e.target.value })} />
+              </div>
+              <input className={inputClass} placeholder="Phone" value={draft.phone} onChange={(e) => setDraft({ ...draft, phone: e.target.value })} />
+              <div className="flex gap-2 pt-2">
+                <button type="submit" className="flex-1 py-2 rounded-xl font-semibold bg-gradient-to-r from-purple-600 to-pink-600 text-white hover:from-purple-700 hover:to-pink-700">
+                  Save address
+                </button>
+                <button type="button" onClick={() => setDraft(null)} className={`flex-1 py-2 rounded-xl font-semibold ${isDarkMode ? 'bg-gray-600 text-white' : 'bg-gray-200 text-gray-700'}`}>
+                  Cancel
+                </button>
+              </div>
+            </form>
+          ) : (
+            <button
+              onClick={() => setDraft(emptyAddress(profile.region))}
+              className={`w-full py-2 mb-6 rounded-xl font-semibold flex items-center justify-center gap-2 ${isDarkMode ? 'bg-gray-700 text-white hover:bg-gray-600' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+            >
+              <Plus className="w-4 h-4" /> Add an address
+            </button>
+          )}
+
+          <h3 className={headingClass}>Region and currency</h3>
+          <div className={`${panelClass} flex gap-2`}>
+            <select className={inputClass} value={profile.region} onChange={(e) => run(() => updatePreferences({ region: e.target.value }))}>
+              {REGIONS.map(([code, name]) => <option key={code} value={code}>{name}</option>)}
+            </select>
+            <select className={inputClass} value={profile.currency} onChange={(e) => run(() => updatePreferences({ currency: e.target.value }))}>
+              {CURRENCIES.map(code => <option key={code} value={code}>{code}</option>)}
+            </select>
+          </div>
+
+          <h3 className={headingClass}>Preferred stores</h3>
+          <div className={`${panelClass} flex flex-wrap gap-2`}>
+            {KNOWN_STORES.map(store => (
+              <button
+                key={store}
+                onClick={() => togglePreferredStore(store)}
+                className={`px-3 py-1 rounded-full text-sm font-semibold transition-all ${profile.preferredStores.includes(store)
+                  ? 'bg-gradient-to-r from-purple-500 to-pink-500 text-white'
+                  : isDarkMode ? 'bg-gray-600 text-gray-200' : 'bg-white border border-gray-300 text-gray-700'}`}
+              >
+                {store}
+              </button>
+            ))}
+          </div>
+
+          <h3 className={headingClass}>Search results</h3>
+          <div className={`${panelClass} space-y-2`}>
+            <label className={`block text-sm ${textClass}`}>
+              Sort by default
+              <select
+                className={`${inputClass} mt-1`}
+                value={profile.ranking.sort}
+                onChange={(e) => run(() => updatePreferences({ ranking: { ...profile.ranking, sort: e.target.value } }))}
+              >
+                {Object.entries(SORT_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+              </select>
+            </label>
+            <label className={`block text-sm ${textClass}`}>
+              Hide products rated below
+              <select
+                className={`${inputClass} mt-1`}
+                value={profile.ranking.minRating}
+                onChange={(e) => run(() => updatePreferences({ ranking: { ...profile.ranking, minRating: Number(e.target.value) } }))}
+              >
+                {[0, 3, 3.5, 4, 4.5].map(rating => <option key={rating} value={rating}>{rating === 0 ? 'Show all' : `${rating}★`}</option>)}
+              </select>
+            </label>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ProfileSettings;
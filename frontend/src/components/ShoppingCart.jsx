@@ -17,15 +17,16 @@ function ShoppingCart() {
 
     await addItem({
       productId: product.id,
-      name: product.name,
+      productKey: product.productKey,
+      title: product.name,
       price: product.price,
       quantity: 1,
       image: product.image,
     });
   };
 
-  const handleRemoveItem = async (productId) => {
-    await removeItem({ productId });
+  const handleRemoveItem = async ({ productId, productKey }) => {
+    await removeItem({ productId, productKey });
   };
 
   const handleClearCart = async () => {
@@ -58,11 +59,11 @@ function ShoppingCart() {
         <>
           {cartItems.map((item) => (
             <div key={item.productId} style={{ border: '1px solid #ccc', padding: '10px', margin: '10px 0' }}>
-              <h3>{item.name}</h3>
+              <h3>{item.title}</h3>
               <p>Price: ${item.price}</p>
               <p>Quantity: {item.quantity}</p>
               <p>Subtotal: ${(item.price * item.quantity).toFixed(2)}</p>
-              <button onClick={() => handleRemoveItem(item.productId)}>Remove</button>
+              <button onClick={() => handleRemoveItem(item)}>Remove</button>
             </div>
           ))}
           
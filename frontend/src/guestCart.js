@@ -0,0 +1,117 @@
+import { useState, useEffect } from 'react';
+
+// Cart for signed-out users, kept in localStorage. Items use the same shape
+// as Convex cart items (convex/schema.js) so they can be merged into the
+// user's cart with cart.mergeGuestCart after sign-in.
+const GUEST_CART_KEY = 'findlee_guest_cart';
+// Match MAX_QUANTITY / MAX_CART_ITEMS in convex/cart.js
+export const MAX_CART_QUANTITY = 10;
+const MAX_CART_ITEMS = 50;
+
+// Same line identity as isSameCartItem in convex/cart.js: productKey, or the
+// per-search listing id for items without one
+const isSameItem = (a, b) =>
+  (a.productKey && b.productKey ? a.productKey === b.productKey : a.productId === b.productId);
+
+// Builds a cart item snapshot from a search result; empty fields are left
+// out because the Convex validators reject null
+export const toCartItem = (product, quantity = 1) => {
+  const now = Date.now();
+  const snapshot = {
+    productId: product.id,
+    productKey: product.productKey,
+    title: product.title,
+    link: product.link,
+    store: product.store,
+    rating: product.rating || undefined,
+    image: product.image,
+    price: product.price,
+    priceAtAdd: product.price,
+    currency: 'INR',
+    quantity,
+    addedAt: now,
+    snapshotAt: now
+  };
+  return Object.fromEntries(Object.entries(snapshot).filter(([, value]) => value != null));
+};
+
+const loadGuestCart = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(GUEST_CART_KEY) || '[]');
+    return Array.isArray(stored) ? stored.filter(item => item && item.productId && item.price > 0) : [];
+  } catch (e) {
+    console.error('Error parsing guest cart:', e);
+    return [];
+  }
+};
+
+const saveGuestCart = (items) => {
+  try {
+    localStorage.setItem(GUEST_CART_KEY, JSON.stringify(items));
+  } catch (e) {
+    console.error('Error saving guest cart:', e);
+  }
+};
+
+// Guest cart state, persisted and kept in sync across open tabs
+export const useGuestCart = () => {
+  const [items, setItems] = useState(loadGuestCart);
+
+  useEffect(() => {
+    const onStorage = (e) => {
+      if (e.key === GUEST_CART_KEY) setItems(loadGuestCart());
+    };
+    window.addEventListener('storage', onStorage);
+    return () => window.removeEventListener('storage', onStorage);
+  }, []);
+
+  const update = (next) => {
+    setItems(next);
+    saveGuestCart(next);
+  };
+
+  // Re-adding refreshes the snapshot and bumps the quantity, like cart.addItem
+  const add = (product) => {
+    const item = toCartItem(product);
+    const existing = items.find(i => isSameItem(i, item));
+    if (existing) {
+      update(items.map(i => (i === existing
+        ? { ...i, ...item, priceAtAdd: i.priceAtAdd, addedAt: i.addedAt, quantity: Math.min(MAX_CART_QUANTITY, i.quantity + 1) }
+        : i)));
+    } else if (items.length < MAX_CART_ITEMS) {
+      update([...items, item]);
+    } else {
+      throw new Error(`A cart can hold at most ${MAX_CART_ITEMS} products`);
+    }
+  };
+
+  // `line` is the cart item (or { productId, productKey }) to change
+  const updateQuantity = (line, quantity) => {
+    if (quantity <= 0) {
+      update(items.filter(i => !isSameItem(i, line)));
+    } else {
+      update(items.map(i => (isSameItem(i, line) ? { ...i, quantity: Math.min(MAX_CART_QUANTITY, quantity) } : i)));
+    }
+  };
+
+  const remove = (line) => update(items.filter(i => !isSameItem(i, line)));
+  const clear = () => update([]);
+
+  // Writes back results from POST /api/cart/revalidate, like cart.applyPriceChecks
+  const applyPriceChecks = (checks) => {
+    let changed = 0;
+    update(items.map(item => {
+      const check = checks.find(c => isSameItem(c, item));
+      if (!check) return item;
+      const updated = { ...item, availability: check.availability, checkedAt: check.checkedAt };
+      if (check.found && check.price > 0 && check.price !== item.price) {
+        changed++;
+        Object.assign(updated, { price: check.price, priceChangedAt: check.checkedAt, snapshotAt: check.checkedAt });
+      }
+      return updated;
+    }));
+    return { checked: checks.length, changed };
+  };
+
+  return { items, add, updateQuantity, remove, clear, applyPriceChecks };
+};
@@ -1,18 +1,27 @@
-import React from 'react';
+import React, { useEffect } from 'react';
 import ReactDOM from 'react-dom/client';
 import { ClerkProvider, useAuth } from '@clerk/clerk-react';
 import { ConvexProvider, ConvexReactClient } from 'convex/react';
 import { ConvexProviderWithClerk } from 'convex/react-clerk';
 import App from './App.jsx';
+import ComparisonPage from './ComparisonPage.jsx';
+import { useLocation } from './router';
 import './styles/tailwind.css';
 
 const convex = new ConvexReactClient(import.meta.env.VITE_CONVEX_URL);
 
+// Routes: / (search) and /compare
+const Routes = () => {
+  const { path } = useLocation();
+  useEffect(() => window.scrollTo(0, 0), [path]);
+  return path === '/compare' ? <ComparisonPage /> : <App />;
+};
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <ClerkProvider publishableKey={import.meta.env.VITE_CLERK_PUBLISHABLE_KEY}>
       <ConvexProviderWithClerk client={convex} useAuth={useAuth}>
-        <App />
+        <Routes />
       </ConvexProviderWithClerk>
     </ClerkProvider>
   </React.StrictMode>,
@@ -0,0 +1,49 @@
+import { useState, useEffect } from 'react';
+
+// Minimal History API router. The app has two views (search and compare),
+// and all of their state lives in the query string so links can be shared.
+const NAVIGATE_EVENT = 'findlee:navigate';
+
+const readLocation = () => ({
+  path: window.location.pathname.replace(/\/+$/, '') || '/',
+  params: new URLSearchParams(window.location.search)
+});
+
+/**
+ * Builds a URL from a path and params, leaving out empty values
+ */
+export const buildUrl = (path, params = {}) => {
+  const search = new URLSearchParams(
+    Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '' && value !== false)
+  ).toString();
+  return search ? `${path}?${search}` : path;
+};
+
+/**
+ * Changes the URL without a page load. `replace` updates the current history
+ * entry instead of adding one (for state the back button shouldn't step
+ * through, like a price slider).
+ */
+export const navigate = (path, params = {}, { replace = false } = {}) => {
+  const url = buildUrl(path, params);
+  if (url === window.location.pathname + window.location.search) return;
+  window.history[replace ? 'replaceState' : 'pushState'](null, '', url);
+  window.dispatchEvent(new Event(NAVIGATE_EVENT));
+};
+
+// Current { path, params }, updated on navigate() and back/forward
+export const useLocation = () => {
+  const [location, setLocation] = useState(readLocation);
+
+  useEffect(() => {
+    const update = () => setLocation(readLocation());
+    window.addEventListener('popstate', update);
+    window.addEventListener(NAVIGATE_EVENT, update);
+    return () => {
+      window.removeEventListener('popstate', update);
+      window.removeEventListener(NAVIGATE_EVENT, update);
+    };
+  }, []);
+
+  return location;
+};